@@ -0,0 +1,133 @@
+/**
+ * 開発・動作確認用のOpenAI互換スタブサーバー
+ * ネットワークやGPUのない環境でも LOCAL_LLM_API_URL をこのサーバーに向けてBotを起動できる
+ *
+ * 使い方: npm run llm:stub（LOCAL_LLM_API_URL=http://localhost:1234/v1 として使用）
+ */
+const http = require('http');
+const { termFrequencyVector } = require('../src/utils/textVectors');
+
+const PORT = parseInt(process.env.STUB_PORT || '1234', 10);
+const MODEL = process.env.LOCAL_LLM_MODEL || 'local-model';
+
+// ストリーミングで1回に送る文字数と間隔（ミリ秒）
+const STREAM_CHUNK_LENGTH = 4;
+const STREAM_INTERVAL_MS = parseInt(process.env.STUB_STREAM_INTERVAL_MS || '50', 10);
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * 応答をServer-Sent Eventsで少しずつ送る（stream: true の動作確認用）
+ * @param {ServerResponse} res - レスポンス
+ * @param {string} model - モデル名
+ * @param {string} content - 応答内容
+ */
+function sendStream(res, model, content) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+  const id = `stub-${Date.now()}`;
+  const chars = Array.from(content);
+  const send = data => res.write(`data: ${JSON.stringify(data)}\n\n`);
+
+  let index = 0;
+  const timer = setInterval(() => {
+    if (index < chars.length) {
+      const delta = chars.slice(index, index + STREAM_CHUNK_LENGTH).join('');
+      index += STREAM_CHUNK_LENGTH;
+      send({ id, object: 'chat.completion.chunk', model, choices: [{ index: 0, delta: { content: delta }, finish_reason: null }] });
+      return;
+    }
+    clearInterval(timer);
+    send({ id, object: 'chat.completion.chunk', model, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] });
+    send({ id, object: 'chat.completion.chunk', model, choices: [], usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 } });
+    res.end('data: [DONE]\n\n');
+  }, STREAM_INTERVAL_MS);
+  res.on('close', () => clearInterval(timer));
+}
+
+/**
+ * JSON Schemaを満たす最小限の値を作る（JSONモードの要求にそれらしく応答するため）
+ * @param {Object} schema - JSON Schema
+ * @param {string} text - 文字列の項目に入れる値
+ * @returns {*} - スキーマを満たす値
+ */
+function sampleFromSchema(schema, text) {
+  const types = [].concat(schema.type || 'object');
+  if (schema.enum) return schema.enum[0];
+  if (types.includes('object')) {
+    return Object.fromEntries((schema.required || Object.keys(schema.properties || {}))
+      .map(name => [name, sampleFromSchema(schema.properties[name], text)]));
+  }
+  if (types.includes('array')) {
+    return Array.from({ length: schema.minItems || 0 }, () => sampleFromSchema(schema.items || {}, text));
+  }
+  if (types.includes('null')) return null;
+  if (types.includes('integer') || types.includes('number')) return 0;
+  if (types.includes('boolean')) return false;
+  return text;
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'GET' && req.url === '/v1/models') {
+    return sendJson(res, 200, { object: 'list', data: [{ id: MODEL, object: 'model' }] });
+  }
+
+  if (req.method !== 'POST' || !['/v1/chat/completions', '/v1/embeddings'].includes(req.url)) {
+    return sendJson(res, 404, { error: { message: 'Not found' } });
+  }
+
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    let request;
+    try {
+      request = JSON.parse(body);
+    } catch (error) {
+      return sendJson(res, 400, { error: { message: 'Invalid JSON' } });
+    }
+
+    // 埋め込みは語の頻度のベクトルを返す（MEMORY_EMBEDDING_BACKEND=openai の動作確認用）
+    if (req.url === '/v1/embeddings') {
+      const inputs = [].concat(request.input || []);
+      return sendJson(res, 200, {
+        object: 'list',
+        model: request.model || MODEL,
+        data: inputs.map((input, index) => {
+          const embedding = new Array(256).fill(0);
+          const { indices, values } = termFrequencyVector(input);
+          indices.forEach((position, i) => {
+            embedding[position % 256] += values[i];
+          });
+          return { object: 'embedding', index, embedding };
+        })
+      });
+    }
+
+    // 最後のユーザーメッセージと受け取った履歴の件数をそのまま返す
+    const messages = request.messages || [];
+    const lastUser = [...messages].reverse().find(msg => msg.role === 'user');
+    const content = request.response_format && request.response_format.json_schema
+      ? JSON.stringify(sampleFromSchema(request.response_format.json_schema.schema, '（スタブ応答）'))
+      : `（スタブ応答）${lastUser ? lastUser.content : ''}\n履歴: ${messages.length}件 / temperature: ${request.temperature} / max_tokens: ${request.max_tokens}`;
+
+    if (request.stream) {
+      return sendStream(res, request.model || MODEL, content);
+    }
+
+    sendJson(res, 200, {
+      id: `stub-${Date.now()}`,
+      object: 'chat.completion',
+      model: request.model || MODEL,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`ローカルLLMスタブサーバーを起動しました: http://localhost:${PORT}/v1`);
+});
@@ -0,0 +1,62 @@
+/**
+ * データベースマイグレーションのCLI
+ *
+ * 使い方:
+ *   npm run db:status   適用済み・未適用のマイグレーションを表示
+ *   npm run db:migrate  未適用のマイグレーションを適用
+ */
+const sqlite3 = require('sqlite3');
+const path = require('path');
+const fs = require('fs');
+const { resolveDatabasePath, getStatus, migrate } = require('../src/database/migrator');
+
+const commands = {
+  async status(db) {
+    const { currentVersion, applied, pending } = await getStatus(db);
+
+    console.log(`現在のスキーマバージョン: ${currentVersion}`);
+    console.log('\n適用済み:');
+    if (applied.length === 0) {
+      console.log('  （なし）');
+    }
+    applied.forEach(row => console.log(`  ✔ ${row.name}（${row.applied_at}）`));
+
+    console.log('\n未適用:');
+    if (pending.length === 0) {
+      console.log('  （なし）');
+    }
+    pending.forEach(migration => console.log(`  ・ ${migration.name} - ${migration.description}`));
+  },
+
+  async up(db) {
+    const applied = await migrate(db);
+    console.log(applied.length > 0
+      ? `${applied.length}件のマイグレーションを適用しました。`
+      : '未適用のマイグレーションはありません。');
+  }
+};
+
+async function main() {
+  const commandName = process.argv[2] || 'status';
+  const command = commands[commandName];
+  if (!command) {
+    console.error(`不明なコマンドです: ${commandName}（status または up を指定してください）`);
+    process.exit(1);
+  }
+
+  const dbPath = resolveDatabasePath();
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  console.log(`データベース: ${dbPath}\n`);
+
+  const db = new sqlite3.Database(dbPath);
+  try {
+    await command(db);
+  } finally {
+    db.close();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -1,21 +1,55 @@
-const { LangChain, initializeAgentExecutorWithOptions } = require('langchain');
-const { DynamicTool } = require('langchain/tools');
-const { ChatOpenAI } = require('langchain/chat_models/openai');
+const { AgentExecutor, createToolCallingAgent } = require('langchain/agents');
+const { DynamicStructuredTool } = require('@langchain/core/tools');
+const { ChatPromptTemplate, MessagesPlaceholder } = require('@langchain/core/prompts');
+const { HumanMessage, AIMessage } = require('@langchain/core/messages');
 const database = require('../database');
-const localLLM = require('../services/localLLM');
-const geminiService = require('../services/geminiService');
+const aiService = require('../services/aiService');
+const { createDailySummary } = require('../services/dailySummaryService');
+const { createTask, updateTask } = require('../services/taskService');
+const { createIdea, updateIdea } = require('../services/ideaService');
+const { createJournalEntry, updateJournalEntry } = require('../services/journalService');
+const { parseRecurrenceInput, toRRule } = require('../utils/recurrence');
+const { ProviderChatModel } = require('./providerChatModel');
+const { getLocalDateTime, truncateText, toConversationTurns } = require('../utils/helpers');
+
+// 「実行したアクション」の表示に使うツールの説明
+const toolLabels = {
+  get_tasks: 'タスク一覧を確認',
+  add_task: 'タスクを追加',
+  update_task: 'タスクを更新',
+  get_project_ideas: 'アイデア一覧を確認',
+  add_project_idea: 'アイデアを追加',
+  update_project_idea: 'アイデアを更新',
+  get_journal_entries: 'ジャーナルを確認',
+  add_journal_entry: 'ジャーナルを追加',
+  update_journal_entry: 'ジャーナルを更新',
+  extract_tasks: 'メッセージからタスクを抽出',
+  generate_project_ideas: 'アイデアを生成',
+  assist_with_journaling: 'ジャーナルを作成',
+  generate_daily_summary: '日次サマリーを生成'
+};
+
+// 引数を取らないツールのスキーマ
+const noArgsSchema = { type: 'object', properties: {} };
 
 /**
  * 秘書AIのエージェントを作成し、それが使用するツールを初期化する
  * @param {string} userId - ツールを使用するユーザーのID
+ * @param {Object} [options] - オプション
+ * @param {number|null} [options.sourceMessageId] - 依頼したメッセージ（message_history.id、作成した項目に作成元として記録）
+ * @param {string} [options.language] - 応答の言語（aiService.RESPONSE_LANGUAGES のキー、既定: ja）
+ * @param {string} [options.chain] - agent機能の既定のチェーンの代わりに使うチェーン（サーバーごとの既定のモデル）
  * @returns {Object} - LangChainエージェントインスタンス
  */
-async function createAssistantAgent(userId) {
+async function createAssistantAgent(userId, options = {}) {
+  const sourceMessageId = options.sourceMessageId || null;
+
   // データベースツールの作成
   const databaseTools = [
-    new DynamicTool({
+    new DynamicStructuredTool({
       name: "get_tasks",
       description: "ユーザーのタスク一覧を取得します",
+      schema: noArgsSchema,
       func: async () => {
         try {
           const tasks = await database.tasks.getAll(userId);
@@ -26,37 +60,79 @@ async function createAssistantAgent(userId) {
       }
     }),
 
-    new DynamicTool({
+    new DynamicStructuredTool({
       name: "add_task",
       description: "新しいタスクをユーザーのタスクリストに追加します",
-      func: async (input) => {
+      schema: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', description: 'タスクのタイトル' },
+          description: { type: 'string', description: 'タスクの詳細説明' },
+          dueDate: { type: 'string', description: 'YYYY-MM-DD形式の締切日' },
+          recurrence: { type: 'string', description: 'RRULE形式の繰り返し（例: FREQ=WEEKLY;BYDAY=FR）' }
+        },
+        required: ['title']
+      },
+      func: async ({ title, description, dueDate, recurrence }) => {
         try {
-          const { title, description, dueDate } = JSON.parse(input);
-          const taskId = await database.tasks.create(userId, title, description, dueDate);
-          return `タスク「${title}」を追加しました（ID: ${taskId}）`;
+          const rule = parseRecurrenceInput(recurrence);
+          const task = await createTask(userId, {
+            title,
+            description: description || "",
+            dueDate: dueDate || null,
+            // 解釈できない繰り返しはそのまま渡し、検証エラーとして返す
+            recurrence: rule ? toRRule(rule) : (recurrence || null),
+            sourceMessageId
+          });
+          return `タスク「${task.title}」を追加しました（ID: ${task.id}）`;
         } catch (error) {
           return `エラー: ${error.message}`;
         }
       }
     }),
 
-    new DynamicTool({
+    new DynamicStructuredTool({
       name: "update_task",
-      description: "既存のタスクを更新します",
-      func: async (input) => {
+      description: "ユーザーのタスクを更新します。状態は pending → in_progress → done/cancelled の順に進み、完了・取り消しは pending に戻して再開できます",
+      schema: {
+        type: 'object',
+        properties: {
+          taskId: { type: 'integer', description: '更新するタスクのID' },
+          updateData: {
+            type: 'object',
+            description: '更新する項目',
+            properties: {
+              title: { type: 'string' },
+              description: { type: 'string' },
+              status: { type: 'string', enum: ['pending', 'in_progress', 'done', 'cancelled'] },
+              due_date: { type: ['string', 'null'], description: 'YYYY-MM-DD または YYYY-MM-DD HH:MM 形式の締切日（nullで期限なし）' },
+              recurrence: { type: ['string', 'null'], description: 'RRULE形式の繰り返し（nullで繰り返しなし）' }
+            },
+            additionalProperties: false
+          }
+        },
+        required: ['taskId', 'updateData']
+      },
+      func: async ({ taskId, updateData }) => {
         try {
-          const { taskId, updateData } = JSON.parse(input);
-          const changes = await database.tasks.update(taskId, updateData);
-          return `タスク（ID: ${taskId}）を更新しました`;
+          const result = await updateTask(userId, taskId, updateData);
+          if (!result) {
+            return `タスク（ID: ${taskId}）が見つかりませんでした`;
+          }
+          const next = result.nextTask
+            ? `。次の回のタスクを作成しました（ID: ${result.nextTask.id}、期限: ${result.nextTask.due_date}）`
+            : '';
+          return `タスク（ID: ${taskId}）を更新しました${next}`;
         } catch (error) {
           return `エラー: ${error.message}`;
         }
       }
     }),
 
-    new DynamicTool({
+    new DynamicStructuredTool({
       name: "get_project_ideas",
       description: "ユーザーのプロジェクトアイデア一覧を取得します",
+      schema: noArgsSchema,
       func: async () => {
         try {
           const ideas = await database.projectIdeas.getAll(userId);
@@ -67,23 +143,64 @@ async function createAssistantAgent(userId) {
       }
     }),
 
-    new DynamicTool({
+    new DynamicStructuredTool({
       name: "add_project_idea",
       description: "新しいプロジェクトアイデアを追加します",
-      func: async (input) => {
+      schema: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', description: 'アイデアのタイトル' },
+          description: { type: 'string', description: 'アイデアの詳細説明' },
+          category: { type: 'string', description: 'カテゴリ（技術、ビジネス、趣味など）' }
+        },
+        required: ['title']
+      },
+      func: async ({ title, description, category }) => {
+        try {
+          const idea = await createIdea(userId, { title, description: description || "", category: category || null, sourceMessageId });
+          return `アイデア「${idea.title}」を追加しました（ID: ${idea.id}）`;
+        } catch (error) {
+          return `エラー: ${error.message}`;
+        }
+      }
+    }),
+
+    new DynamicStructuredTool({
+      name: "update_project_idea",
+      description: "ユーザーのプロジェクトアイデアを更新します",
+      schema: {
+        type: 'object',
+        properties: {
+          ideaId: { type: 'integer', description: '更新するアイデアのID' },
+          updateData: {
+            type: 'object',
+            description: '更新する項目',
+            properties: {
+              title: { type: 'string' },
+              description: { type: 'string' },
+              category: { type: ['string', 'null'] }
+            },
+            additionalProperties: false
+          }
+        },
+        required: ['ideaId', 'updateData']
+      },
+      func: async ({ ideaId, updateData }) => {
         try {
-          const { title, description, category } = JSON.parse(input);
-          const ideaId = await database.projectIdeas.create(userId, title, description, category);
-          return `アイデア「${title}」を追加しました（ID: ${ideaId}）`;
+          const idea = await updateIdea(userId, ideaId, updateData);
+          return idea
+            ? `アイデア（ID: ${ideaId}）を更新しました`
+            : `アイデア（ID: ${ideaId}）が見つかりませんでした`;
         } catch (error) {
           return `エラー: ${error.message}`;
         }
       }
     }),
 
-    new DynamicTool({
+    new DynamicStructuredTool({
       name: "get_journal_entries",
       description: "ユーザーの最近のジャーナルエントリを取得します",
+      schema: noArgsSchema,
       func: async () => {
         try {
           const entries = await database.journal.getRecent(userId);
@@ -94,14 +211,54 @@ async function createAssistantAgent(userId) {
       }
     }),
 
-    new DynamicTool({
+    new DynamicStructuredTool({
       name: "add_journal_entry",
       description: "新しいジャーナルエントリを追加します",
-      func: async (input) => {
+      schema: {
+        type: 'object',
+        properties: {
+          content: { type: 'string', description: 'ジャーナルの内容' },
+          mood: { type: 'string', description: '感情/気分' },
+          tags: { type: 'string', description: 'カンマ区切りのキーワード' }
+        },
+        required: ['content']
+      },
+      func: async ({ content, mood, tags }) => {
+        try {
+          const entry = await createJournalEntry(userId, { content, mood: mood || null, tags: tags || null, sourceMessageId });
+          return `ジャーナルエントリを追加しました（ID: ${entry.id}）`;
+        } catch (error) {
+          return `エラー: ${error.message}`;
+        }
+      }
+    }),
+
+    new DynamicStructuredTool({
+      name: "update_journal_entry",
+      description: "ユーザーのジャーナルエントリを更新します",
+      schema: {
+        type: 'object',
+        properties: {
+          entryId: { type: 'integer', description: '更新するエントリのID' },
+          updateData: {
+            type: 'object',
+            description: '更新する項目',
+            properties: {
+              content: { type: 'string' },
+              mood: { type: ['string', 'null'] },
+              tags: { type: 'string', description: 'カンマ区切りのキーワード' }
+            },
+            additionalProperties: false
+          }
+        },
+        required: ['entryId', 'updateData']
+      },
+      func: async ({ entryId, updateData }) => {
         try {
-          const { content, mood, tags } = JSON.parse(input);
-          const entryId = await database.journal.create(userId, content, mood, tags);
-          return `ジャーナルエントリを追加しました（ID: ${entryId}）`;
+          const entry = await updateJournalEntry(userId, entryId, updateData);
+          return entry
+            ? `ジャーナルエントリ（ID: ${entryId}）を更新しました`
+            : `ジャーナルエントリ（ID: ${entryId}）が見つかりませんでした`;
         } catch (error) {
           return `エラー: ${error.message}`;
         }
@@ -111,21 +268,31 @@ async function createAssistantAgent(userId) {
 
   // AI関連ツールの作成
   const aiTools = [
-    new DynamicTool({
+    new DynamicStructuredTool({
       name: "extract_tasks",
-      description: "メッセージからタスクを抽出します",
-      func: async (input) => {
+      description: "メッセージからタスクを抽出して登録します",
+      schema: {
+        type: 'object',
+        properties: {
+          message: { type: 'string', description: 'タスクを抽出するメッセージ' }
+        },
+        required: ['message']
+      },
+      func: async ({ message }) => {
         try {
-          const result = await geminiService.extractTasks(input);
+          // 締切日はユーザーのタイムゾーンで解釈する
+          const user = await database.users.get(userId);
+          const result = await aiService.extractTasks(message, { timezone: user ? user.timezone : undefined });
           if (result.tasks && Array.isArray(result.tasks)) {
             // 抽出したタスクを自動的にデータベースに保存
             for (const task of result.tasks) {
-              await database.tasks.create(
-                userId,
-                task.title,
-                task.description || "",
-                task.dueDate || null
-              );
+              await createTask(userId, {
+                title: task.title,
+                description: task.description || "",
+                dueDate: task.dueDate || null,
+                recurrence: task.recurrence,
+                sourceMessageId
+              });
             }
           }
           return JSON.stringify(result);
@@ -135,24 +302,20 @@ async function createAssistantAgent(userId) {
       }
     }),
 
-    new DynamicTool({
+    new DynamicStructuredTool({
       name: "generate_project_ideas",
       description: "ユーザーの過去のメッセージに基づいてプロジェクトのアイデアを生成します",
+      schema: noArgsSchema,
       func: async () => {
         try {
           // 最近のメッセージ履歴を取得
           const messageHistory = await database.getRecentMessages(userId, 50);
-          const ideas = await geminiService.generateProjectIdeas(messageHistory);
+          const ideas = await aiService.generateProjectIdeas(messageHistory);
 
           // 生成したアイデアをデータベースに保存
           if (ideas.projectIdeas && Array.isArray(ideas.projectIdeas)) {
             for (const idea of ideas.projectIdeas) {
-              await database.projectIdeas.create(
-                userId,
-                idea.title,
-                idea.description || "",
-                idea.category || ""
-              );
+              await createIdea(userId, { ...idea, sourceMessageId });
             }
           }
 
@@ -163,22 +326,23 @@ async function createAssistantAgent(userId) {
       }
     }),
 
-    new DynamicTool({
+    new DynamicStructuredTool({
       name: "assist_with_journaling",
-      description: "ユーザーのジャーナリングを支援します",
-      func: async (input) => {
+      description: "ユーザーの文章を整理してジャーナルエントリとして保存します",
+      schema: {
+        type: 'object',
+        properties: {
+          message: { type: 'string', description: 'ジャーナルにするユーザーの文章' }
+        },
+        required: ['message']
+      },
+      func: async ({ message }) => {
         try {
-          const result = await geminiService.assistWithJournaling(input);
+          const result = await aiService.assistWithJournaling(message);
 
           // ジャーナルエントリをデータベースに保存
           if (result.journalEntry) {
-            const entry = result.journalEntry;
-            await database.journal.create(
-              userId,
-              entry.content,
-              entry.mood,
-              entry.tags
-            );
+            await createJournalEntry(userId, { ...result.journalEntry, sourceMessageId });
           }
 
           return JSON.stringify(result);
@@ -188,17 +352,15 @@ async function createAssistantAgent(userId) {
       }
     }),
 
-    new DynamicTool({
+    new DynamicStructuredTool({
       name: "generate_daily_summary",
       description: "ユーザーの活動の日次サマリーを生成します",
+      schema: noArgsSchema,
       func: async () => {
         try {
-          // 最近のメッセージと現在のタスクを取得
-          const messageHistory = await database.getRecentMessages(userId, 50);
-          const tasks = await database.tasks.getAll(userId);
-
-          const summary = await geminiService.generateDailySummary(messageHistory, tasks);
-          return summary;
+          // ユーザーのタイムゾーンで昨日の活動と今日の期限を集計してサマリーを作成
+          const user = await database.users.get(userId);
+          return await createDailySummary(userId, { timezone: user ? user.timezone : undefined });
         } catch (error) {
           return `エラー: ${error.message}`;
         }
@@ -209,52 +371,97 @@ async function createAssistantAgent(userId) {
   // すべてのツールを集約
   const tools = [...databaseTools, ...aiTools];
 
-  // OpenAI APIのオブジェクトを作成（代わりにローカルLLMを使用）
-  const llmModel = new ChatOpenAI({
-    temperature: 0.7,
-    modelName: "local-model",
-    // ここではローカルLLMを使用するための設定を行う必要があります
-    // 例: APIコールをカスタマイズするなど
+  // プロバイダー層を経由するチャットモデルを作成（agent機能のフォールバックチェーンを使用）
+  const llmModel = new ProviderChatModel({
+    feature: "agent",
+    chain: options.chain,
+    temperature: 0.3,
   });
 
-  // プロンプトとツールを使ってエージェントを初期化
-  const agent = await initializeAgentExecutorWithOptions(
+  const prompt = ChatPromptTemplate.fromMessages([
+    ["system", `あなたは優秀な秘書AIです。ユーザーのタスク・プロジェクトアイデア・ジャーナルを、提供されたツールを使って確認・追加・更新できます。
+ユーザーの依頼を実行するために必要なツールを呼び出し、結果を踏まえて${aiService.getLanguageName(options.language)}で簡潔に回答してください。
+既存のタスクを更新する場合は、先に get_tasks でタスクIDを確認してください。
+今日の日付: {today}`],
+    new MessagesPlaceholder({ variableName: "chat_history", optional: true }),
+    ["human", "{input}"],
+    new MessagesPlaceholder("agent_scratchpad"),
+  ]);
+
+  // ツール呼び出しエージェントを初期化
+  const agent = createToolCallingAgent({
+    llm: llmModel,
     tools,
-    llmModel,
-    {
-      agentType: "chat-conversational-react-description",
-      verbose: true,
-      maxIterations: 5,
-    }
-  );
-
-  return agent;
+    prompt,
+  });
+
+  return new AgentExecutor({
+    agent,
+    tools,
+    maxIterations: 5,
+    returnIntermediateSteps: true,
+  });
 }
 
 /**
  * エージェントを使ってユーザーの入力に応答する
  * @param {string} userId - ユーザーのID
  * @param {string} userInput - ユーザーの入力
- * @returns {Promise<string>} - AIの応答
+ * @param {Array} history - 会話履歴（message_history の行、古い順）
+ * @param {Object} [options] - createAssistantAgent() のオプション
+ * @returns {Promise<Object>} - { output: AIの応答, actions: [{tool, input, observation}] }
  */
-async function getAgentResponse(userId, userInput) {
+async function getAgentResponse(userId, userInput, history = [], options = {}) {
   try {
     // エージェントの作成
-    const agent = await createAssistantAgent(userId);
+    const agent = await createAssistantAgent(userId, options);
 
-    // エージェントに問い合わせ
-    const result = await agent.call({
-      input: userInput
+    const chatHistory = toConversationTurns(history).map(turn => (
+      turn.role === 'assistant' ? new AIMessage(turn.content) : new HumanMessage(turn.content)
+    ));
+
+    // エージェントに問い合わせ（「今日」「明日」はユーザーのタイムゾーンの日付で解釈させる）
+    const user = await database.users.get(userId);
+    const result = await agent.invoke({
+      input: userInput,
+      chat_history: chatHistory,
+      today: getLocalDateTime(new Date(), user ? user.timezone : undefined).date
     });
 
-    return result.output;
+    const actions = (result.intermediateSteps || []).map(step => ({
+      tool: step.action.tool,
+      input: step.action.toolInput,
+      observation: step.observation
+    }));
+
+    return { output: result.output, actions };
   } catch (error) {
     console.error('エージェント実行エラー:', error);
-    return 'すみません、応答の生成中にエラーが発生しました。';
+    return { output: 'すみません、応答の生成中にエラーが発生しました。', actions: [] };
+  }
+}
+
+/**
+ * エージェントが実行したアクションを「実行したアクション」フッターとして整形する
+ * @param {Array} actions - getAgentResponse が返すアクションの配列
+ * @returns {string} - フッター文字列（アクションがない場合は空文字）
+ */
+function formatActionsFooter(actions) {
+  if (!actions || actions.length === 0) {
+    return '';
   }
+
+  const lines = actions.map(action => {
+    const label = toolLabels[action.tool] || action.tool;
+    const observation = typeof action.observation === 'string' ? action.observation : JSON.stringify(action.observation);
+    return `-# ・${label}: ${truncateText(observation.replace(/\s+/g, ' '), 80)}`;
+  });
+
+  return `\n\n-# 🛠 実行したアクション\n${lines.join('\n')}`;
 }
 
 module.exports = {
   createAssistantAgent,
-  getAgentResponse
+  getAgentResponse,
+  formatActionsFooter
 };
@@ -0,0 +1,115 @@
+const { BaseChatModel } = require('@langchain/core/language_models/chat_models');
+const { AIMessage } = require('@langchain/core/messages');
+const { convertToOpenAITool } = require('@langchain/core/utils/function_calling');
+const providers = require('../providers');
+
+/**
+ * LangChainのメッセージをプロバイダー層のメッセージ形式に変換する
+ * @param {Array} messages - LangChainのBaseMessageの配列
+ * @returns {Array} - [{role, content, toolCalls?, toolCallId?}]
+ */
+function toProviderMessages(messages) {
+  const roles = { system: 'system', human: 'user', ai: 'assistant', tool: 'tool' };
+
+  return messages.map(message => {
+    const converted = {
+      role: roles[message._getType()] || 'user',
+      content: typeof message.content === 'string'
+        ? message.content
+        : JSON.stringify(message.content)
+    };
+
+    if (message.tool_calls && message.tool_calls.length > 0) {
+      converted.toolCalls = message.tool_calls.map(call => ({
+        id: call.id,
+        name: call.name,
+        args: call.args
+      }));
+    }
+    if (message.tool_call_id) {
+      converted.toolCallId = message.tool_call_id;
+      converted.name = message.name;
+    }
+
+    return converted;
+  });
+}
+
+/**
+ * プロバイダー層（フォールバックチェーン）を経由して応答を生成するLangChainチャットモデル
+ * bindTools() に対応しているため、ツール呼び出しエージェントから使用できる
+ */
+class ProviderChatModel extends BaseChatModel {
+  /**
+   * @param {Object} fields - 設定
+   * @param {string} [fields.feature] - 使用する機能のプロバイダーチェーン
+   * @param {string} [fields.chain] - 機能の既定のチェーンの代わりに使うチェーン（'provider:model,...'）
+   * @param {number} [fields.temperature] - 温度パラメータ
+   * @param {number} [fields.maxTokens] - 最大生成トークン数
+   */
+  constructor(fields = {}) {
+    super(fields);
+    this.feature = fields.feature || 'agent';
+    this.chain = fields.chain || null;
+    this.temperature = fields.temperature ?? 0.7;
+    this.maxTokens = fields.maxTokens ?? 2000;
+  }
+
+  _llmType() {
+    return 'provider-chain';
+  }
+
+  /**
+   * ツールを紐付けたモデルを返す
+   * @param {Array} tools - LangChainのツールの配列
+   * @param {Object} kwargs - 追加の呼び出しオプション
+   * @returns {Runnable} - ツール付きのモデル
+   */
+  bindTools(tools, kwargs = {}) {
+    return this.withConfig({
+      tools: tools.map(tool => convertToOpenAITool(tool)),
+      ...kwargs
+    });
+  }
+
+  async _generate(messages, options = {}) {
+    const tools = (options.tools || []).map(tool => ({
+      name: tool.function.name,
+      description: tool.function.description,
+      parameters: tool.function.parameters
+    }));
+
+    const result = await providers.complete(this.feature, toProviderMessages(messages), {
+      temperature: this.temperature,
+      maxTokens: this.maxTokens,
+      chain: this.chain,
+      tools
+    });
+
+    const toolCalls = (result.toolCalls || []).map(call => ({
+      id: call.id,
+      name: call.name,
+      args: call.args,
+      type: 'tool_call'
+    }));
+
+    return {
+      generations: [{
+        text: result.content,
+        message: new AIMessage({
+          content: result.content,
+          tool_calls: toolCalls
+        })
+      }],
+      llmOutput: {
+        provider: result.provider,
+        model: result.model
+      }
+    };
+  }
+}
+
+module.exports = {
+  ProviderChatModel,
+  toProviderMessages
+};
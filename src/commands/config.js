@@ -0,0 +1,237 @@
+const { SlashCommandBuilder, MessageFlags, ChannelType, PermissionFlagsBits, InteractionContextType } = require('discord.js');
+const providers = require('../providers');
+const { RESPONSE_LANGUAGES } = require('../services/aiService');
+const {
+  DEFAULT_CHANNEL_MODE,
+  CHANNEL_MODES,
+  CONFIGURABLE_FEATURES,
+  getGuildSettings,
+  getAllowedModels,
+  updateGuildSettings,
+  setGuildModel,
+  setChannelMode
+} = require('../services/guildSettingsService');
+const { ValidationError } = require('../utils/validation');
+
+const data = new SlashCommandBuilder()
+  .setName('config')
+  .setDescription('このサーバーでのBotの動作を設定します（サーバー管理権限が必要）')
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+  .setContexts(InteractionContextType.Guild)
+  .addSubcommand(subcommand => subcommand
+    .setName('show')
+    .setDescription('現在の設定を表示します'))
+  .addSubcommand(subcommand => subcommand
+    .setName('channel')
+    .setDescription('チャンネルでの動作を設定します')
+    .addStringOption(option => option
+      .setName('mode')
+      .setDescription('動作')
+      .setRequired(true)
+      .addChoices(
+        ...Object.entries(CHANNEL_MODES).map(([value, name]) => ({ name, value }))
+      ))
+    .addChannelOption(option => option
+      .setName('channel')
+      .setDescription('対象のチャンネル（省略時はこのチャンネル）')
+      .addChannelTypes(ChannelType.GuildText, ChannelType.GuildForum, ChannelType.PublicThread, ChannelType.PrivateThread)))
+  .addSubcommand(subcommand => subcommand
+    .setName('mention-only')
+    .setDescription('自動返信のチャンネルでもメンション・プレフィックスで呼びかけられた場合のみ応答します')
+    .addBooleanOption(option => option
+      .setName('enabled')
+      .setDescription('有効にするか')
+      .setRequired(true)))
+  .addSubcommand(subcommand => subcommand
+    .setName('prefix')
+    .setDescription('呼びかけに使うプレフィックスを設定します（例: !ai）')
+    .addStringOption(option => option
+      .setName('value')
+      .setDescription('プレフィックス（省略するとプレフィックスを解除）')
+      .setMaxLength(10)))
+  .addSubcommand(subcommand => subcommand
+    .setName('language')
+    .setDescription('AIの応答の言語を設定します')
+    .addStringOption(option => option
+      .setName('language')
+      .setDescription('言語')
+      .setRequired(true)
+      .addChoices(
+        ...Object.entries(RESPONSE_LANGUAGES).map(([value, name]) => ({ name, value }))
+      )))
+  .addSubcommand(subcommand => subcommand
+    .setName('model')
+    .setDescription('機能の既定のモデルを設定します')
+    .addStringOption(option => option
+      .setName('feature')
+      .setDescription('機能')
+      .setRequired(true)
+      .addChoices(
+        ...Object.entries(CONFIGURABLE_FEATURES).map(([value, name]) => ({ name, value }))
+      ))
+    .addStringOption(option => option
+      .setName('chain')
+      .setDescription('provider:model（カンマ区切りでフォールバックの順、省略すると既定に戻す）')
+      .setMaxLength(200)
+      .setAutocomplete(true)));
+
+/**
+ * サーバーの管理権限を持つメンバーの実行か確認する
+ * 既定の権限はサーバー側で変更できるため、実行時にも確認する
+ * @param {ChatInputCommandInteraction} interaction - インタラクション
+ */
+function assertManager(interaction) {
+  if (!interaction.inGuild()) {
+    throw new ValidationError('/config はサーバー内でのみ使用できます');
+  }
+  if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild)) {
+    throw new ValidationError('/config にはサーバーの管理権限が必要です');
+  }
+}
+
+/**
+ * チェーンを表示用の文字列にする
+ * @param {Array<Object>} chain - [{ provider, model }]
+ * @returns {string} - 表示用の文字列（例: gemini:gemini-2.0-flash → local）
+ */
+function formatChain(chain) {
+  return chain.map(entry => (entry.model ? `${entry.provider}:${entry.model}` : entry.provider)).join(' → ');
+}
+
+/**
+ * サーバーの設定を表示用の文字列にする
+ * @param {Object} settings - getGuildSettings() の戻り値
+ * @returns {string} - 表示用の文字列
+ */
+function formatSettings(settings) {
+  const lines = [
+    `既定のチャンネルの動作: ${CHANNEL_MODES[DEFAULT_CHANNEL_MODE]}`,
+    `メンションのみ: ${settings.mentionOnly ? 'はい' : 'いいえ'}`,
+    `プレフィックス: ${settings.prefix ? `\`${settings.prefix}\`` : 'なし'}`,
+    `応答の言語: ${RESPONSE_LANGUAGES[settings.language] || settings.language}`
+  ];
+
+  lines.push('', '**モデル**');
+  for (const [feature, label] of Object.entries(CONFIGURABLE_FEATURES)) {
+    const chain = settings.models[feature];
+    lines.push(chain
+      ? `- ${label}: ${formatChain(providers.parseChain(chain))}`
+      : `- ${label}: ${formatChain(providers.getChain(feature))}（既定）`);
+  }
+  lines.push(`-# 選べるモデル: ${getAllowedModels().join(', ')}`);
+
+  lines.push('', '**チャンネル**');
+  if (settings.channels.size === 0) {
+    lines.push('- 個別の設定はありません');
+  }
+  for (const [channelId, mode] of settings.channels) {
+    lines.push(`- <#${channelId}>: ${CHANNEL_MODES[mode] || mode}`);
+  }
+
+  return lines.join('\n');
+}
+
+// サブコマンド名 → 処理
+const subcommands = {
+  async show(interaction) {
+    const settings = await getGuildSettings(interaction.guildId);
+    return interaction.reply({
+      content: `⚙️ **このサーバーの設定**\n${formatSettings(settings)}`,
+      flags: MessageFlags.Ephemeral
+    });
+  },
+
+  async channel(interaction) {
+    const mode = interaction.options.getString('mode');
+    const channel = interaction.options.getChannel('channel');
+    const channelId = channel ? channel.id : interaction.channelId;
+
+    await setChannelMode(interaction.guildId, channelId, mode, interaction.user.id);
+    return interaction.reply({
+      content: `⚙️ <#${channelId}> の動作を「${CHANNEL_MODES[mode]}」にしました。`,
+      flags: MessageFlags.Ephemeral
+    });
+  },
+
+  async 'mention-only'(interaction) {
+    const enabled = interaction.options.getBoolean('enabled');
+    await updateGuildSettings(interaction.guildId, { mentionOnly: enabled }, interaction.user.id);
+    return interaction.reply({
+      content: enabled
+        ? '⚙️ 自動返信のチャンネルでも、呼びかけられたメッセージにのみ応答します。'
+        : '⚙️ 自動返信のチャンネルでは、すべてのメッセージに応答します。',
+      flags: MessageFlags.Ephemeral
+    });
+  },
+
+  async prefix(interaction) {
+    const value = interaction.options.getString('value');
+    const settings = await updateGuildSettings(interaction.guildId, { prefix: value }, interaction.user.id);
+    return interaction.reply({
+      content: settings.prefix
+        ? `⚙️ プレフィックスを \`${settings.prefix}\` にしました。`
+        : '⚙️ プレフィックスを解除しました。',
+      flags: MessageFlags.Ephemeral
+    });
+  },
+
+  async language(interaction) {
+    const language = interaction.options.getString('language');
+    await updateGuildSettings(interaction.guildId, { language }, interaction.user.id);
+    return interaction.reply({
+      content: `⚙️ 応答の言語を${RESPONSE_LANGUAGES[language]}にしました。`,
+      flags: MessageFlags.Ephemeral
+    });
+  },
+
+  async model(interaction) {
+    const feature = interaction.options.getString('feature');
+    const chain = interaction.options.getString('chain');
+    const settings = await setGuildModel(interaction.guildId, feature, chain, interaction.user.id);
+    const label = CONFIGURABLE_FEATURES[feature];
+    return interaction.reply({
+      content: settings.models[feature]
+        ? `⚙️ ${label}のモデルを ${formatChain(providers.parseChain(settings.models[feature]))} にしました。`
+        : `⚙️ ${label}のモデルを既定（${formatChain(providers.getChain(feature))}）に戻しました。`,
+      flags: MessageFlags.Ephemeral
+    });
+  }
+};
+
+/**
+ * /config コマンドを実行する
+ * @param {ChatInputCommandInteraction} interaction - インタラクション
+ */
+async function execute(interaction) {
+  assertManager(interaction);
+  const handler = subcommands[interaction.options.getSubcommand()];
+  return handler(interaction);
+}
+
+/**
+ * 許可されたモデルのオートコンプリート候補を返す（カンマ区切りの最後の要素を補完する）
+ * @param {AutocompleteInteraction} interaction - インタラクション
+ */
+async function autocomplete(interaction) {
+  const focused = interaction.options.getFocused(true);
+  if (focused.name !== 'chain') {
+    return interaction.respond([]);
+  }
+
+  const value = String(focused.value);
+  const separator = value.lastIndexOf(',');
+  const head = value.slice(0, separator + 1);
+  const query = value.slice(separator + 1).trim().toLowerCase();
+  const choices = getAllowedModels()
+    .filter(model => model.toLowerCase().includes(query))
+    .map(model => `${head}${model}`)
+    .filter(choice => choice.length <= 100)
+    .slice(0, 25);
+  return interaction.respond(choices.map(choice => ({ name: choice, value: choice })));
+}
+
+module.exports = {
+  data,
+  execute,
+  autocomplete
+};
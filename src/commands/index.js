@@ -0,0 +1,129 @@
+const { MessageFlags } = require('discord.js');
+const database = require('../database');
+const task = require('./task');
+const summary = require('./summary');
+const remind = require('./remind');
+const search = require('./search');
+const memory = require('./memory');
+const usage = require('./usage');
+const config = require('./config');
+const { runWithUsageContext } = require('../services/usageService');
+const { ValidationError } = require('../utils/validation');
+
+// 登録するスラッシュコマンド（コマンド名 → モジュール）
+const commands = new Map(
+  [task, summary, remind, search, memory, usage, config].map(command => [command.data.name, command])
+);
+
+// スラッシュコマンド以外のボタンの処理（customId の先頭 → 処理）
+const buttonHandlers = new Map();
+
+/**
+ * スラッシュコマンド以外から送ったボタンの処理を登録する
+ * @param {string} prefix - customId の先頭（「:」の前）
+ * @param {Function} handler - (interaction) => Promise
+ */
+function registerButtonHandler(prefix, handler) {
+  buttonHandlers.set(prefix, handler);
+}
+
+/**
+ * コマンド・ボタンの処理中のエラーを本人にのみ表示する
+ * 入力の検証エラーはその内容を、それ以外は汎用のメッセージを表示する
+ * インタラクションの期限切れなどで表示できない場合は、ログに残して終える
+ * @param {Interaction} interaction - インタラクション
+ * @param {Error} error - 発生したエラー
+ * @param {string} fallback - 検証エラー以外の場合のメッセージ
+ */
+async function replyWithError(interaction, error, fallback) {
+  const reply = {
+    content: error instanceof ValidationError ? `⚠️ ${error.message}` : fallback,
+    flags: MessageFlags.Ephemeral
+  };
+  const send = interaction.replied || interaction.deferred
+    ? interaction.followUp(reply)
+    : interaction.reply(reply);
+  await send.catch(replyError => console.warn('エラーの返信に失敗しました:', replyError.message));
+}
+
+/**
+ * スラッシュコマンドをDiscordに登録する
+ * DISCORD_GUILD_ID が設定されている場合はそのサーバーにのみ登録する（即時反映されるため開発向け）
+ * @param {Client} client - ログイン済みのDiscordクライアント
+ */
+async function registerCommands(client) {
+  const body = [...commands.values()].map(command => command.data.toJSON());
+  const guildId = process.env.DISCORD_GUILD_ID;
+
+  if (guildId) {
+    const guild = await client.guilds.fetch(guildId);
+    await guild.commands.set(body);
+    console.log(`スラッシュコマンドをサーバー ${guild.name} に登録しました（${body.length}件）`);
+  } else {
+    await client.application.commands.set(body);
+    console.log(`スラッシュコマンドをグローバルに登録しました（${body.length}件）`);
+  }
+}
+
+/**
+ * スラッシュコマンド・オートコンプリート・ボタンのインタラクションを処理する
+ * ボタンの customId は「コマンド名:操作:…」の形式で、そのコマンドの button() に渡す
+ * @param {Interaction} interaction - インタラクション
+ */
+async function handleInteraction(interaction) {
+  if (interaction.isButton()) {
+    return handleButton(interaction);
+  }
+  if (!interaction.isChatInputCommand() && !interaction.isAutocomplete()) return;
+
+  const command = commands.get(interaction.commandName);
+  if (!command) return;
+
+  if (interaction.isAutocomplete()) {
+    try {
+      await command.autocomplete(interaction);
+    } catch (error) {
+      console.error(`オートコンプリートエラー（/${interaction.commandName}）:`, error);
+    }
+    return;
+  }
+
+  try {
+    await database.users.touch(interaction.user.id, interaction.user.username);
+    // コマンドの中で呼び出したLLMは、実行したユーザー・サーバーの利用として記録する
+    await runWithUsageContext({ userId: interaction.user.id, guildId: interaction.guildId }, () => command.execute(interaction));
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      console.error(`コマンド実行エラー（/${interaction.commandName}）:`, error);
+    }
+    await replyWithError(interaction, error, 'すみません、コマンドの実行中にエラーが発生しました。');
+  }
+}
+
+/**
+ * ボタンのインタラクションを処理する
+ * @param {ButtonInteraction} interaction - インタラクション
+ */
+async function handleButton(interaction) {
+  const prefix = interaction.customId.split(':')[0];
+  const command = commands.get(prefix);
+  const handler = command && command.button ? command.button : buttonHandlers.get(prefix);
+  if (!handler) return;
+
+  try {
+    await database.users.touch(interaction.user.id, interaction.user.username);
+    await handler(interaction);
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      console.error(`ボタン処理エラー（${interaction.customId}）:`, error);
+    }
+    await replyWithError(interaction, error, 'すみません、操作の処理中にエラーが発生しました。');
+  }
+}
+
+module.exports = {
+  commands,
+  registerCommands,
+  registerButtonHandler,
+  handleInteraction
+};
@@ -0,0 +1,107 @@
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const database = require('../database');
+const { CONVERSATION_WINDOW } = require('../services/conversationSummaryService');
+const { countMemories, forgetMemories } = require('../services/memoryService');
+const { fromSqliteTimestamp } = require('../services/reminderScheduler');
+const { getLocalDateTime } = require('../utils/helpers');
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Tokyo';
+
+// リセットの範囲の表示名
+const scopeLabels = {
+  channel: 'このチャンネル',
+  all: 'すべて（長期記憶を含む）'
+};
+
+const data = new SlashCommandBuilder()
+  .setName('memory')
+  .setDescription('Botが覚えている会話の要約と長期記憶を確認・リセットします')
+  .addSubcommand(subcommand => subcommand
+    .setName('show')
+    .setDescription('このチャンネルの会話の要約と長期記憶の件数を表示します'))
+  .addSubcommand(subcommand => subcommand
+    .setName('reset')
+    .setDescription('覚えている会話の要約と会話履歴を忘れさせます')
+    .addStringOption(option => option
+      .setName('scope')
+      .setDescription('忘れさせる範囲（既定: このチャンネル）')
+      .addChoices(
+        ...Object.entries(scopeLabels).map(([value, name]) => ({ name, value }))
+      )));
+
+/**
+ * SQLiteの日時をユーザーのタイムゾーンの表示用の文字列にする
+ * @param {string} timestamp - UTCの 'YYYY-MM-DD HH:MM:SS'
+ * @param {string} timezone - IANAタイムゾーン名
+ * @returns {string} - 表示用の文字列（例: 2025-05-01 15:00）
+ */
+function formatTimestamp(timestamp, timezone) {
+  const { date, time } = getLocalDateTime(fromSqliteTimestamp(timestamp), timezone);
+  return `${date} ${time}`;
+}
+
+const subcommands = {
+  async show(interaction) {
+    const userId = interaction.user.id;
+    const channelId = interaction.channelId;
+    const user = await database.users.get(userId);
+    const timezone = user ? user.timezone : DEFAULT_TIMEZONE;
+
+    const stored = await database.conversationSummaries.get(userId, channelId);
+    const recent = await database.getConversation(userId, channelId, CONVERSATION_WINDOW, null, stored ? stored.covered_until_id : 0);
+    const { enabled, counts, labels } = await countMemories(userId);
+
+    const lines = ['🧠 **このチャンネルの会話の要約**'];
+    if (stored && stored.summary) {
+      lines.push(`（${formatTimestamp(stored.updated_at, timezone)} 更新）`, stored.summary);
+    } else {
+      lines.push('まだありません。');
+    }
+    lines.push('', `直近の会話: ${recent.length}件（要約に含めず、そのまま会話履歴として渡します）`);
+
+    const countText = Object.entries(labels).map(([type, label]) => `${label} ${counts[type] || 0}件`).join('・');
+    lines.push('', `📚 **長期記憶**${enabled ? '' : '（無効）'}: ${countText}`);
+    if (user && user.memory_reset_at) {
+      lines.push(`${formatTimestamp(user.memory_reset_at, timezone)} より前の内容は記憶していません。`);
+    }
+
+    return interaction.reply({
+      content: lines.join('\n'),
+      flags: MessageFlags.Ephemeral
+    });
+  },
+
+  async reset(interaction) {
+    const userId = interaction.user.id;
+    const scope = interaction.options.getString('scope') || 'channel';
+
+    if (scope === 'all') {
+      const channels = await database.conversationSummaries.reset(userId);
+      const forgotten = await forgetMemories(userId);
+      return interaction.reply({
+        content: `🧹 ${channels}件のチャンネルの会話の要約と会話履歴、長期記憶${forgotten}件を忘れました。`,
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    await database.conversationSummaries.reset(userId, interaction.channelId);
+    return interaction.reply({
+      content: '🧹 このチャンネルの会話の要約と会話履歴を忘れました（長期記憶も消す場合は `scope:すべて` を指定してください）。',
+      flags: MessageFlags.Ephemeral
+    });
+  }
+};
+
+/**
+ * /memory コマンドを実行する
+ * @param {ChatInputCommandInteraction} interaction - インタラクション
+ */
+async function execute(interaction) {
+  const handler = subcommands[interaction.options.getSubcommand()];
+  return handler(interaction);
+}
+
+module.exports = {
+  data,
+  execute
+};
@@ -0,0 +1,113 @@
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const database = require('../database');
+const { registerReminder, formatReminder, formatRemindAt, fromSqliteTimestamp } = require('../services/reminderScheduler');
+const { truncateText } = require('../utils/helpers');
+
+const data = new SlashCommandBuilder()
+  .setName('remind')
+  .setDescription('リマインダーを管理します')
+  .addSubcommand(subcommand => subcommand
+    .setName('set')
+    .setDescription('リマインダーを登録します')
+    .addStringOption(option => option
+      .setName('when')
+      .setDescription('通知する時刻（例: 30分後、明日の15時、毎週月曜9時）')
+      .setRequired(true)
+      .setMaxLength(100))
+    .addStringOption(option => option
+      .setName('message')
+      .setDescription('通知する内容')
+      .setRequired(true)
+      .setMaxLength(500))
+    .addBooleanOption(option => option
+      .setName('dm')
+      .setDescription('このチャンネルではなくDMで通知する（既定: いいえ）')))
+  .addSubcommand(subcommand => subcommand
+    .setName('list')
+    .setDescription('通知待ちのリマインダーを表示します'))
+  .addSubcommand(subcommand => subcommand
+    .setName('cancel')
+    .setDescription('リマインダーを取り消します')
+    .addIntegerOption(option => option
+      .setName('reminder')
+      .setDescription('対象のリマインダー')
+      .setRequired(true)
+      .setAutocomplete(true)));
+
+const subcommands = {
+  async set(interaction) {
+    const when = interaction.options.getString('when', true);
+    const message = interaction.options.getString('message', true);
+    const dm = interaction.options.getBoolean('dm') || !interaction.inGuild();
+
+    const confirmation = await registerReminder(interaction.user.id, when, {
+      message,
+      channelId: dm ? null : interaction.channelId
+    });
+
+    return interaction.reply({
+      content: confirmation || `時刻「${when}」を解釈できませんでした（例: 30分後、明日の15時、毎週月曜9時）。`,
+      flags: MessageFlags.Ephemeral
+    });
+  },
+
+  async list(interaction) {
+    const reminders = await database.reminders.getPending(interaction.user.id, '', 25);
+    if (reminders.length === 0) {
+      return interaction.reply({
+        content: '通知待ちのリマインダーはありません。',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    return interaction.reply({
+      content: `⏰ **リマインダー一覧**（${reminders.length}件）\n${reminders.map(reminder => truncateText(formatReminder(reminder), 200)).join('\n')}`,
+      flags: MessageFlags.Ephemeral
+    });
+  },
+
+  async cancel(interaction) {
+    const reminderId = interaction.options.getInteger('reminder', true);
+    const reminder = await database.reminders.getById(interaction.user.id, reminderId);
+    const changes = await database.reminders.cancel(interaction.user.id, reminderId);
+
+    return interaction.reply({
+      content: changes > 0
+        ? `🗑️ リマインダー「${reminder.message}」を取り消しました。`
+        : `通知待ちのリマインダー #${reminderId} が見つかりませんでした。`,
+      flags: MessageFlags.Ephemeral
+    });
+  }
+};
+
+/**
+ * /remind コマンドを実行する
+ * @param {ChatInputCommandInteraction} interaction - インタラクション
+ */
+async function execute(interaction) {
+  const handler = subcommands[interaction.options.getSubcommand()];
+  return handler(interaction);
+}
+
+/**
+ * 対象リマインダーのオートコンプリート候補を返す（ユーザー自身の通知待ちのもののみ）
+ * @param {AutocompleteInteraction} interaction - インタラクション
+ */
+async function autocomplete(interaction) {
+  const focused = interaction.options.getFocused(true);
+  if (focused.name !== 'reminder') {
+    return interaction.respond([]);
+  }
+
+  const reminders = await database.reminders.getPending(interaction.user.id, String(focused.value), 25);
+  return interaction.respond(reminders.map(reminder => ({
+    name: truncateText(`#${reminder.id} ${formatRemindAt(fromSqliteTimestamp(reminder.remind_at), reminder.timezone)} ${reminder.message}`, 100),
+    value: reminder.id
+  })));
+}
+
+module.exports = {
+  data,
+  execute,
+  autocomplete
+};
@@ -0,0 +1,134 @@
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const database = require('../database');
+const { SEARCH_TYPE_LABELS, search, buildJumpLink, getResultDate } = require('../services/searchService');
+const { TASK_STATUS_LABELS } = require('../services/taskService');
+const { truncateText } = require('../utils/helpers');
+
+// 表示する検索結果の最大件数
+const MAX_RESULTS = 10;
+
+const data = new SlashCommandBuilder()
+  .setName('search')
+  .setDescription('過去のメッセージ・タスク・ジャーナル・アイデアを検索します')
+  .addStringOption(option => option
+    .setName('query')
+    .setDescription('検索語（空白区切りで複数指定するとすべてを含むものを探します）')
+    .setRequired(true)
+    .setMaxLength(100))
+  .addStringOption(option => option
+    .setName('type')
+    .setDescription('種類で絞り込み（既定: すべて）')
+    .addChoices(
+      ...Object.entries(SEARCH_TYPE_LABELS).map(([value, name]) => ({ name, value }))
+    ))
+  .addStringOption(option => option
+    .setName('from')
+    .setDescription('この日以降（YYYY-MM-DD）')
+    .setMaxLength(10))
+  .addStringOption(option => option
+    .setName('to')
+    .setDescription('この日まで（YYYY-MM-DD）')
+    .setMaxLength(10))
+  .addStringOption(option => option
+    .setName('tag')
+    .setDescription('ジャーナルのタグで絞り込み')
+    .setAutocomplete(true))
+  .addStringOption(option => option
+    .setName('mood')
+    .setDescription('ジャーナルの気分で絞り込み')
+    .setAutocomplete(true));
+
+// 検索結果の種類ごとの見出し
+const resultHeadings = {
+  message: result => (result.role === 'assistant' ? '🤖 Botの応答' : '💬 メッセージ'),
+  task: result => `📋 タスク #${result.id} ${result.title}（${TASK_STATUS_LABELS[result.status] || result.status}）`,
+  journal: result => `📓 ジャーナル #${result.id}${result.mood ? `（気分: ${result.mood}）` : ''}`,
+  idea: result => `💡 アイデア #${result.id} ${result.title}`
+};
+
+/**
+ * 検索結果の元のメッセージがあるサーバーを求める
+ * 保存されていない場合（導入前のメッセージ）はキャッシュ済みのチャンネルから求め、分からなければundefinedを返す
+ * @param {Client} client - Discordクライアント
+ * @param {Object} result - 検索結果
+ * @returns {string|null|undefined} - サーバーID（DMの場合はnull）
+ */
+function resolveGuildId(client, result) {
+  if (result.guild_id) return result.guild_id;
+  const channel = client.channels.cache.get(result.channel_id);
+  if (!channel) return undefined;
+  return channel.guildId || null;
+}
+
+/**
+ * 検索結果を1行に整形する（元のメッセージが分かる場合はジャンプリンクを付ける）
+ * @param {Client} client - Discordクライアント
+ * @param {Object} result - 検索結果
+ * @param {string} timezone - IANAタイムゾーン名
+ * @returns {string} - 表示用の文字列
+ */
+function formatResult(client, result, timezone) {
+  const guildId = result.discord_message_id ? resolveGuildId(client, result) : undefined;
+  const link = guildId !== undefined
+    ? ` [→ 元のメッセージ](<${buildJumpLink(guildId, result.channel_id, result.discord_message_id)}>)`
+    : '';
+  const snippet = result.snippet.replace(/\s+/g, ' ').trim();
+  return `${truncateText(resultHeadings[result.type](result), 80)}・${getResultDate(result, timezone)}${link}\n> ${snippet}`;
+}
+
+/**
+ * /search コマンドを実行する
+ * @param {ChatInputCommandInteraction} interaction - インタラクション
+ */
+async function execute(interaction) {
+  const query = interaction.options.getString('query', true);
+  const { results, timezone } = await search(interaction.user.id, query, {
+    type: interaction.options.getString('type') || 'all',
+    from: interaction.options.getString('from'),
+    to: interaction.options.getString('to'),
+    tag: interaction.options.getString('tag'),
+    mood: interaction.options.getString('mood'),
+    limit: MAX_RESULTS
+  });
+
+  if (results.length === 0) {
+    return interaction.reply({
+      content: `「${query}」に一致するものは見つかりませんでした。`,
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  // 1通に収まる件数だけ表示する
+  let content = `🔎 **「${query}」の検索結果**（${results.length}件）`;
+  for (const result of results) {
+    const line = formatResult(interaction.client, result, timezone);
+    if (content.length + line.length + 2 > 2000) break;
+    content += `\n\n${line}`;
+  }
+
+  return interaction.reply({ content, flags: MessageFlags.Ephemeral });
+}
+
+/**
+ * タグ・気分のオートコンプリート候補を返す（ユーザー自身のジャーナルで使われているもの）
+ * @param {AutocompleteInteraction} interaction - インタラクション
+ */
+async function autocomplete(interaction) {
+  const focused = interaction.options.getFocused(true);
+  const query = String(focused.value);
+
+  let values = [];
+  if (focused.name === 'tag') {
+    values = await database.journal.getTags(interaction.user.id, query, 25);
+  } else if (focused.name === 'mood') {
+    values = await database.journal.getMoods(interaction.user.id, query, 25);
+  }
+
+  return interaction.respond(values.map(value => ({ name: truncateText(value, 100), value: value.slice(0, 100) })));
+}
+
+module.exports = {
+  data,
+  execute,
+  autocomplete
+};
@@ -0,0 +1,291 @@
+const { SlashCommandBuilder, MessageFlags, ChannelType } = require('discord.js');
+const database = require('../database');
+const { getDailySummary } = require('../services/dailySummaryService');
+const { checkQuota } = require('../services/usageService');
+const { getLocalDateTime, addDays, isValidTimeZone, splitMessage } = require('../utils/helpers');
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Tokyo';
+const DEFAULT_SUMMARY_TIME = process.env.DEFAULT_SUMMARY_TIME || '09:00';
+
+// 配信先の表示名
+const targetLabels = {
+  dm: 'DM',
+  channel: 'チャンネル'
+};
+
+const data = new SlashCommandBuilder()
+  .setName('summary')
+  .setDescription('日次サマリーを管理します')
+  .addSubcommand(subcommand => subcommand
+    .setName('subscribe')
+    .setDescription('日次サマリーの配信を登録・変更します')
+    .addStringOption(option => option
+      .setName('time')
+      .setDescription(`配信時刻（HH:MM、既定: ${DEFAULT_SUMMARY_TIME}）`)
+      .setMaxLength(5))
+    .addStringOption(option => option
+      .setName('timezone')
+      .setDescription(`タイムゾーン（例: Asia/Tokyo、既定: ${DEFAULT_TIMEZONE}）`)
+      .setAutocomplete(true))
+    .addStringOption(option => option
+      .setName('target')
+      .setDescription('配信先（既定: DM）')
+      .addChoices(
+        ...Object.entries(targetLabels).map(([value, name]) => ({ name, value }))
+      ))
+    .addChannelOption(option => option
+      .setName('channel')
+      .setDescription('配信先がチャンネルの場合の投稿先（省略時はこのチャンネル）')
+      .addChannelTypes(ChannelType.GuildText, ChannelType.PublicThread, ChannelType.PrivateThread)))
+  .addSubcommand(subcommand => subcommand
+    .setName('unsubscribe')
+    .setDescription('日次サマリーの配信を停止します'))
+  .addSubcommand(subcommand => subcommand
+    .setName('status')
+    .setDescription('日次サマリーの配信設定を表示します'))
+  .addSubcommand(subcommand => addRegenerateOption(subcommand
+    .setName('today')
+    .setDescription('今日の日次サマリーを表示します')))
+  .addSubcommand(subcommand => subcommand
+    .setName('yesterday')
+    .setDescription('昨日の日次サマリーを表示します'))
+  .addSubcommand(subcommand => subcommand
+    .setName('date')
+    .setDescription('指定した日の日次サマリーを表示します')
+    .addStringOption(option => option
+      .setName('date')
+      .setDescription('対象日（YYYY-MM-DD）')
+      .setRequired(true)
+      .setMaxLength(10)));
+
+/**
+ * 今日のサマリーのサブコマンドに「作り直す」オプションを追加する
+ * @param {SlashCommandSubcommandBuilder} subcommand - サブコマンド
+ * @returns {SlashCommandSubcommandBuilder} - オプションを追加したサブコマンド
+ */
+function addRegenerateOption(subcommand) {
+  return subcommand.addBooleanOption(option => option
+    .setName('regenerate')
+    .setDescription('保存済みのサマリーがあっても作り直す（既定: いいえ）'));
+}
+
+/**
+ * HH:MM 形式の時刻を正規化する
+ * @param {string} input - 入力文字列（例: 9:00, 09:30）
+ * @returns {string|null} - HH:MM 形式の時刻、解釈できない場合はnull
+ */
+function normalizeTime(input) {
+  const match = input.trim().match(/^(\d{1,2})[:：](\d{2})$/);
+  if (!match) return null;
+
+  const hour = parseInt(match[1], 10);
+  const minute = parseInt(match[2], 10);
+  if (hour > 23 || minute > 59) return null;
+
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * YYYY-MM-DD 形式の日付を検証する
+ * @param {string} input - 入力文字列
+ * @returns {string|null} - YYYY-MM-DD 形式の日付、存在しない日付の場合はnull
+ */
+function normalizeDate(input) {
+  const match = input.trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (!match) return null;
+
+  const date = `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+  // 2月30日のような存在しない日付を弾く
+  return addDays(date, 0) === date ? date : null;
+}
+
+/**
+ * 指定日の日次サマリーを表示する
+ * 今日の分は保存済みのものがなければ生成し、過去の日付は保存済みのもののみ表示する
+ * （生成に使うタスクの状態は現在のものしか分からないため）
+ * @param {ChatInputCommandInteraction} interaction - インタラクション
+ * @param {string} date - 対象日（YYYY-MM-DD）
+ */
+async function showSummary(interaction, date) {
+  // 生成には時間がかかるため、先に応答を保留する
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  const user = await database.users.get(interaction.user.id);
+  const timezone = user ? user.timezone : DEFAULT_TIMEZONE;
+  const today = getLocalDateTime(new Date(), timezone).date;
+  if (date > today) {
+    return interaction.editReply(`${date} はまだ来ていない日付です。`);
+  }
+
+  // 今日の利用上限に達している場合は、保存済みのサマリーのみ表示する
+  const isToday = date === today;
+  const refusal = isToday ? await checkQuota(interaction.user.id, interaction.guildId) : null;
+  const summary = await getDailySummary(interaction.user.id, {
+    date,
+    timezone,
+    regenerate: isToday && !refusal && (interaction.options.getBoolean('regenerate') || false),
+    generate: isToday && !refusal
+  });
+  if (!summary) {
+    return interaction.editReply(refusal || `${date} の日次サマリーは保存されていません（過去の日付のサマリーは作成できません）。`);
+  }
+
+  const { content, createdAt } = summary;
+
+  const note = createdAt ? `\n-# ${createdAt}（UTC）に作成したサマリーです` : '';
+  const [first, ...rest] = splitMessage(`${content}${note}`);
+  await interaction.editReply(first);
+  for (const chunk of rest) {
+    await interaction.followUp({ content: chunk, flags: MessageFlags.Ephemeral });
+  }
+}
+
+/**
+ * ユーザーのタイムゾーンでの今日の日付を取得する
+ * @param {string} userId - ユーザーID
+ * @returns {Promise<string>} - YYYY-MM-DD 形式の日付
+ */
+async function getUserToday(userId) {
+  const user = await database.users.get(userId);
+  return getLocalDateTime(new Date(), user ? user.timezone : DEFAULT_TIMEZONE).date;
+}
+
+/**
+ * 配信設定を表示用の文字列にする
+ * @param {Object} user - users テーブルの行
+ * @returns {string} - 表示用の文字列
+ */
+function formatSettings(user) {
+  const target = user.summary_target === 'channel' && user.summary_channel_id
+    ? `<#${user.summary_channel_id}>`
+    : targetLabels.dm;
+  return `配信時刻: ${user.summary_time}（${user.timezone}）\n配信先: ${target}`;
+}
+
+const subcommands = {
+  async subscribe(interaction) {
+    const timeInput = interaction.options.getString('time');
+    const timezone = interaction.options.getString('timezone');
+    const target = interaction.options.getString('target') || 'dm';
+    const channel = interaction.options.getChannel('channel');
+
+    const time = timeInput ? normalizeTime(timeInput) : null;
+    if (timeInput && !time) {
+      return interaction.reply({
+        content: `時刻「${timeInput}」は HH:MM 形式で指定してください（例: 08:30）。`,
+        flags: MessageFlags.Ephemeral
+      });
+    }
+    if (timezone && !isValidTimeZone(timezone)) {
+      return interaction.reply({
+        content: `タイムゾーン「${timezone}」は無効です（例: Asia/Tokyo）。`,
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    const channelId = target === 'channel' ? (channel ? channel.id : interaction.channelId) : null;
+    if (target === 'channel' && !interaction.inGuild() && !channel) {
+      return interaction.reply({
+        content: 'チャンネルへの配信はサーバー内のチャンネルでのみ設定できます。',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    const existing = await database.users.get(interaction.user.id);
+    await database.users.updateSummarySettings(interaction.user.id, {
+      enabled: true,
+      // 新規登録の場合は既定値を使う
+      time: time || (existing && existing.summary_enabled ? null : DEFAULT_SUMMARY_TIME),
+      timezone: timezone || (existing && existing.summary_enabled ? null : DEFAULT_TIMEZONE),
+      target,
+      channelId
+    });
+
+    // 今日の配信時刻を既に過ぎている場合は、登録直後に配信されないよう明日から開始する
+    const user = await database.users.get(interaction.user.id);
+    const local = getLocalDateTime(new Date(), user.timezone);
+    if (local.time >= user.summary_time && user.last_summary_date !== local.date) {
+      await database.users.markSummarySent(user.id, local.date);
+    }
+
+    return interaction.reply({
+      content: `📅 日次サマリーの配信を登録しました。\n${formatSettings(user)}`,
+      flags: MessageFlags.Ephemeral
+    });
+  },
+
+  async unsubscribe(interaction) {
+    await database.users.updateSummarySettings(interaction.user.id, { enabled: false });
+    return interaction.reply({
+      content: '日次サマリーの配信を停止しました。',
+      flags: MessageFlags.Ephemeral
+    });
+  },
+
+  async status(interaction) {
+    const user = await database.users.get(interaction.user.id);
+    if (!user || !user.summary_enabled) {
+      return interaction.reply({
+        content: '日次サマリーは配信されていません。`/summary subscribe` で登録できます。',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    return interaction.reply({
+      content: `📅 日次サマリーの配信設定\n${formatSettings(user)}`,
+      flags: MessageFlags.Ephemeral
+    });
+  },
+
+  async today(interaction) {
+    return showSummary(interaction, await getUserToday(interaction.user.id));
+  },
+
+  async yesterday(interaction) {
+    return showSummary(interaction, addDays(await getUserToday(interaction.user.id), -1));
+  },
+
+  async date(interaction) {
+    const input = interaction.options.getString('date');
+    const date = normalizeDate(input);
+    if (!date) {
+      return interaction.reply({
+        content: `日付「${input}」は YYYY-MM-DD 形式で指定してください（例: 2024-04-30）。`,
+        flags: MessageFlags.Ephemeral
+      });
+    }
+    return showSummary(interaction, date);
+  }
+};
+
+/**
+ * /summary コマンドを実行する
+ * @param {ChatInputCommandInteraction} interaction - インタラクション
+ */
+async function execute(interaction) {
+  const handler = subcommands[interaction.options.getSubcommand()];
+  return handler(interaction);
+}
+
+/**
+ * タイムゾーンのオートコンプリート候補を返す
+ * @param {AutocompleteInteraction} interaction - インタラクション
+ */
+async function autocomplete(interaction) {
+  const focused = interaction.options.getFocused(true);
+  if (focused.name !== 'timezone') {
+    return interaction.respond([]);
+  }
+
+  const query = String(focused.value).toLowerCase();
+  const timeZones = Intl.supportedValuesOf('timeZone')
+    .filter(timeZone => timeZone.toLowerCase().includes(query))
+    .slice(0, 25);
+  return interaction.respond(timeZones.map(timeZone => ({ name: timeZone, value: timeZone })));
+}
+
+module.exports = {
+  data,
+  execute,
+  autocomplete
+};
@@ -0,0 +1,401 @@
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const database = require('../database');
+const { snoozeOptions } = require('../services/taskReminderScheduler');
+const { TASK_STATUS_LABELS, createTask, updateTask, completeTask, describeTaskRecurrence } = require('../services/taskService');
+const { parseRecurrenceInput, toRRule } = require('../utils/recurrence');
+const { extractDueDate, truncateText, addDays, getLocalDateTime, toSqliteTimestamp } = require('../utils/helpers');
+
+// 期限フィルターの表示名
+const dueLabels = {
+  overdue: '期限切れ',
+  today: '今日まで',
+  week: '7日以内',
+  none: '期限なし'
+};
+
+/**
+ * 対象タスクを選ぶオプション（オートコンプリート付き）を追加する
+ * @param {SlashCommandIntegerOption} option - オプション
+ * @returns {SlashCommandIntegerOption} - 設定済みのオプション
+ */
+function taskOption(option) {
+  return option
+    .setName('task')
+    .setDescription('対象のタスク')
+    .setRequired(true)
+    .setAutocomplete(true);
+}
+
+const data = new SlashCommandBuilder()
+  .setName('task')
+  .setDescription('タスクを管理します')
+  .addSubcommand(subcommand => subcommand
+    .setName('add')
+    .setDescription('タスクを追加します')
+    .addStringOption(option => option.setName('title').setDescription('タイトル').setRequired(true).setMaxLength(200))
+    .addStringOption(option => option.setName('description').setDescription('詳細説明'))
+    .addStringOption(option => option.setName('due').setDescription('期限（例: 2025-05-01、明日、金曜15時）'))
+    .addStringOption(option => option.setName('repeat').setDescription('繰り返し（例: 毎週金曜、毎月25日、3日ごと、RRULE）')))
+  .addSubcommand(subcommand => subcommand
+    .setName('list')
+    .setDescription('タスクの一覧を表示します')
+    .addStringOption(option => option
+      .setName('status')
+      .setDescription('状態で絞り込み（既定: 未完了）')
+      .addChoices(
+        { name: '未完了', value: 'open' },
+        { name: '未着手', value: 'pending' },
+        { name: '進行中', value: 'in_progress' },
+        { name: '完了', value: 'done' },
+        { name: '取り消し', value: 'cancelled' },
+        { name: 'すべて', value: 'all' }
+      ))
+    .addStringOption(option => option
+      .setName('due')
+      .setDescription('期限で絞り込み')
+      .addChoices(
+        ...Object.entries(dueLabels).map(([value, name]) => ({ name, value }))
+      )))
+  .addSubcommand(subcommand => subcommand
+    .setName('done')
+    .setDescription('タスクを完了にします')
+    .addIntegerOption(taskOption))
+  .addSubcommand(subcommand => subcommand
+    .setName('edit')
+    .setDescription('タスクを編集します')
+    .addIntegerOption(taskOption)
+    .addStringOption(option => option.setName('title').setDescription('新しいタイトル').setMaxLength(200))
+    .addStringOption(option => option.setName('description').setDescription('新しい詳細説明'))
+    .addStringOption(option => option.setName('due').setDescription('新しい期限（例: 2025-05-01、来週月曜、none で期限なし）'))
+    .addStringOption(option => option.setName('repeat').setDescription('新しい繰り返し（例: 毎週金曜、none で繰り返しなし）'))
+    .addStringOption(option => option
+      .setName('status')
+      .setDescription('新しい状態')
+      .addChoices(
+        ...Object.entries(TASK_STATUS_LABELS).map(([value, name]) => ({ name, value }))
+      )))
+  .addSubcommand(subcommand => subcommand
+    .setName('delete')
+    .setDescription('タスクを削除します')
+    .addIntegerOption(taskOption))
+  .addSubcommand(subcommand => subcommand
+    .setName('snooze')
+    .setDescription('タスクの期限を延期します')
+    .addIntegerOption(taskOption)
+    .addIntegerOption(option => option
+      .setName('days')
+      .setDescription('延期する日数（既定: 1日）')
+      .setMinValue(1)
+      .setMaxValue(365)));
+
+/**
+ * タスクを1行で表示する
+ * @param {Object} task - タスク
+ * @returns {string} - 表示用の文字列
+ */
+function formatTask(task) {
+  const due = task.due_date ? `（期限: ${task.due_date}）` : '';
+  const recurrence = describeTaskRecurrence(task);
+  const repeat = recurrence ? ` 🔁${recurrence}` : '';
+  const status = TASK_STATUS_LABELS[task.status] || task.status;
+  return `\`#${task.id}\` ${task.title}${due}${repeat} [${status}]`;
+}
+
+/**
+ * タスクの一覧を、Discordの文字数制限に収まるように表示する
+ * @param {string} header - 見出し
+ * @param {Array<Object>} tasks - タスクの配列
+ * @returns {string} - 表示用の文字列
+ */
+function formatTaskList(header, tasks) {
+  const lines = [];
+  let length = header.length;
+  for (const task of tasks) {
+    const line = truncateText(formatTask(task), 200);
+    // Discordの文字数制限を超えないように途中で打ち切る
+    if (length + line.length + 1 > 1900) {
+      lines.push(`…ほか${tasks.length - lines.length}件`);
+      break;
+    }
+    lines.push(line);
+    length += line.length + 1;
+  }
+  return `${header}\n${lines.join('\n')}`;
+}
+
+/**
+ * 繰り返しの入力をRRULEに変換する
+ * @param {string} input - 入力文字列（日本語の表現、またはRRULE）
+ * @returns {string|null|undefined} - RRULE、繰り返しなしの場合はnull、解釈できない場合はundefined
+ */
+function parseRepeat(input) {
+  if (input.trim().toLowerCase() === 'none' || input.trim() === 'なし') {
+    return null;
+  }
+  const rule = parseRecurrenceInput(input);
+  return rule ? toRRule(rule) : undefined;
+}
+
+/**
+ * 完了したタスクの応答メッセージを作成する（繰り返しのタスクは次の回を添える）
+ * @param {Object} result - completeTask() / updateTask() の戻り値
+ * @returns {string} - 応答メッセージ
+ */
+function formatCompletion(result) {
+  const next = result.nextTask ? `\n🔁 次の回を登録しました：${formatTask(result.nextTask)}` : '';
+  return `✅ タスク「${result.task.title}」を完了にしました。${next}`;
+}
+
+/**
+ * 期限の入力を YYYY-MM-DD（時刻の指定があれば YYYY-MM-DD HH:MM）に変換する
+ * 「明日」「金曜まで」などの相対的な指定はユーザーのタイムゾーンで解釈する
+ * @param {string} input - 入力文字列
+ * @param {string} userId - ユーザーID
+ * @returns {Promise<string|null|undefined>} - 期限、期限なしの場合はnull、解釈できない場合はundefined
+ */
+async function parseDue(input, userId) {
+  if (input.trim().toLowerCase() === 'none' || input.trim() === 'なし') {
+    return null;
+  }
+  const user = await database.users.get(userId);
+  return extractDueDate(input, { timezone: user ? user.timezone : undefined }) || undefined;
+}
+
+/**
+ * ユーザー自身のタスクを取得する（存在しない場合はエラー応答を返してnull）
+ * @param {ChatInputCommandInteraction} interaction - インタラクション
+ * @returns {Promise<Object|null>} - タスク
+ */
+async function fetchOwnTask(interaction) {
+  const taskId = interaction.options.getInteger('task', true);
+  const task = await database.tasks.getById(interaction.user.id, taskId);
+  if (!task) {
+    await interaction.reply({
+      content: `タスク #${taskId} が見つかりませんでした。`,
+      flags: MessageFlags.Ephemeral
+    });
+  }
+  return task;
+}
+
+const subcommands = {
+  async add(interaction) {
+    const title = interaction.options.getString('title', true);
+    const description = interaction.options.getString('description') || '';
+    const dueInput = interaction.options.getString('due');
+    const repeatInput = interaction.options.getString('repeat');
+
+    let dueDate = null;
+    if (dueInput) {
+      dueDate = await parseDue(dueInput, interaction.user.id);
+      if (dueDate === undefined) {
+        return interaction.reply({
+          content: `期限「${dueInput}」を日付として解釈できませんでした。`,
+          flags: MessageFlags.Ephemeral
+        });
+      }
+    }
+
+    const recurrence = repeatInput ? parseRepeat(repeatInput) : null;
+    if (recurrence === undefined) {
+      return interaction.reply({
+        content: `繰り返し「${repeatInput}」を解釈できませんでした（例: 毎週金曜、毎月25日、3日ごと）。`,
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    const task = await createTask(interaction.user.id, { title, description, dueDate, recurrence });
+    return interaction.reply({
+      content: `タスクを登録しました：\n${formatTask(task)}`,
+      flags: MessageFlags.Ephemeral
+    });
+  },
+
+  async list(interaction) {
+    const status = interaction.options.getString('status') || 'open';
+    const due = interaction.options.getString('due');
+    // 期限の絞り込みはユーザーのタイムゾーンでの今日を基準にする
+    const user = await database.users.get(interaction.user.id);
+    const today = getLocalDateTime(new Date(), user ? user.timezone : undefined).date;
+    const tasks = await database.tasks.list(interaction.user.id, { status, due, today });
+
+    if (tasks.length === 0) {
+      return interaction.reply({
+        content: '該当するタスクはありません。',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    return interaction.reply({
+      content: formatTaskList(`📋 **タスク一覧**（${tasks.length}件）`, tasks),
+      flags: MessageFlags.Ephemeral
+    });
+  },
+
+  async done(interaction) {
+    const task = await fetchOwnTask(interaction);
+    if (!task) return;
+
+    const result = await completeTask(interaction.user.id, task.id);
+    return interaction.reply({
+      content: formatCompletion(result),
+      flags: MessageFlags.Ephemeral
+    });
+  },
+
+  async edit(interaction) {
+    const task = await fetchOwnTask(interaction);
+    if (!task) return;
+
+    const updateData = {};
+    const title = interaction.options.getString('title');
+    const description = interaction.options.getString('description');
+    const dueInput = interaction.options.getString('due');
+    const status = interaction.options.getString('status');
+    const repeatInput = interaction.options.getString('repeat');
+
+    if (title) updateData.title = title;
+    if (description !== null) updateData.description = description;
+    if (status) updateData.status = status;
+    if (dueInput) {
+      const dueDate = await parseDue(dueInput, interaction.user.id);
+      if (dueDate === undefined) {
+        return interaction.reply({
+          content: `期限「${dueInput}」を日付として解釈できませんでした。`,
+          flags: MessageFlags.Ephemeral
+        });
+      }
+      updateData.due_date = dueDate;
+    }
+    if (repeatInput) {
+      const recurrence = parseRepeat(repeatInput);
+      if (recurrence === undefined) {
+        return interaction.reply({
+          content: `繰り返し「${repeatInput}」を解釈できませんでした（例: 毎週金曜、毎月25日、3日ごと）。`,
+          flags: MessageFlags.Ephemeral
+        });
+      }
+      updateData.recurrence = recurrence;
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return interaction.reply({
+        content: '変更する項目を指定してください。',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    const result = await updateTask(interaction.user.id, task.id, updateData);
+    const next = result.nextTask ? `\n🔁 次の回を登録しました：${formatTask(result.nextTask)}` : '';
+    return interaction.reply({
+      content: `タスクを更新しました：\n${formatTask(result.task)}${next}`,
+      flags: MessageFlags.Ephemeral
+    });
+  },
+
+  async delete(interaction) {
+    const task = await fetchOwnTask(interaction);
+    if (!task) return;
+
+    await database.tasks.delete(interaction.user.id, task.id);
+    return interaction.reply({
+      content: `🗑️ タスク「${task.title}」を削除しました。`,
+      flags: MessageFlags.Ephemeral
+    });
+  },
+
+  async snooze(interaction) {
+    const task = await fetchOwnTask(interaction);
+    if (!task) return;
+
+    const days = interaction.options.getInteger('days') || 1;
+    const user = await database.users.get(interaction.user.id);
+    const today = getLocalDateTime(new Date(), user ? user.timezone : undefined).date;
+    // 期限切れ・期限なしのタスクは今日から延期する（時刻付きの期限は時刻を保つ）
+    const base = task.due_date && task.due_date.slice(0, 10) > today ? task.due_date.slice(0, 10) : today;
+    const time = task.due_date ? task.due_date.slice(10) : '';
+    const dueDate = `${addDays(base, days)}${time}`;
+
+    await updateTask(interaction.user.id, task.id, { due_date: dueDate });
+    return interaction.reply({
+      content: `⏰ タスク「${task.title}」の期限を ${dueDate} に延期しました。`,
+      flags: MessageFlags.Ephemeral
+    });
+  }
+};
+
+/**
+ * /task コマンドを実行する
+ * @param {ChatInputCommandInteraction} interaction - インタラクション
+ */
+async function execute(interaction) {
+  const handler = subcommands[interaction.options.getSubcommand()];
+  return handler(interaction);
+}
+
+/**
+ * 期限リマインダーのボタン（task:done:<ID> / task:snooze:<ID>:<分>）を処理する
+ * @param {ButtonInteraction} interaction - インタラクション
+ */
+async function button(interaction) {
+  const [, action, taskId, minutes] = interaction.customId.split(':');
+  const task = await database.tasks.getById(interaction.user.id, parseInt(taskId, 10));
+  if (!task) {
+    return interaction.reply({
+      content: `タスク #${taskId} が見つかりませんでした。`,
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  let result;
+  if (action === 'done') {
+    const completion = await completeTask(interaction.user.id, task.id);
+    result = completion.nextTask
+      ? `✅ 完了にしました。🔁 次の回（期限: ${completion.nextTask.due_date}）を登録しました。`
+      : '✅ 完了にしました。';
+  } else if (action === 'snooze' && snoozeOptions[minutes]) {
+    const remindAfter = new Date(Date.now() + parseInt(minutes, 10) * 60000);
+    await database.tasks.snoozeReminder(interaction.user.id, task.id, toSqliteTimestamp(remindAfter));
+    const user = await database.users.get(interaction.user.id);
+    const local = getLocalDateTime(remindAfter, user ? user.timezone : undefined);
+    result = `💤 ${local.date} ${local.time} に再通知します。`;
+  } else {
+    return interaction.reply({
+      content: 'この操作には対応していません。',
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  // 同じリマインダーから二度操作されないよう、ボタンを外して結果を追記する
+  return interaction.update({
+    content: `${interaction.message.content}\n${result}`,
+    components: []
+  });
+}
+
+/**
+ * 対象タスクのオートコンプリート候補を返す（ユーザー自身の未完了タスクのみ）
+ * @param {AutocompleteInteraction} interaction - インタラクション
+ */
+async function autocomplete(interaction) {
+  const focused = interaction.options.getFocused(true);
+  if (focused.name !== 'task') {
+    return interaction.respond([]);
+  }
+
+  const tasks = await database.tasks.getOpen(interaction.user.id, String(focused.value), 25);
+  return interaction.respond(tasks.map(task => ({
+    name: truncateText(`#${task.id} ${task.title}${task.due_date ? `（期限: ${task.due_date}）` : ''}`, 100),
+    value: task.id
+  })));
+}
+
+module.exports = {
+  data,
+  execute,
+  autocomplete,
+  button,
+  formatTask,
+  formatTaskList,
+  formatCompletion
+};
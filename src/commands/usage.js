@@ -0,0 +1,65 @@
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+const { getUsageReport } = require('../services/usageService');
+
+const data = new SlashCommandBuilder()
+  .setName('usage')
+  .setDescription('今日のAIの利用状況と上限を表示します');
+
+/**
+ * 利用量を上限とともに表示用の文字列にする
+ * @param {number} value - 利用量
+ * @param {number} limit - 上限（0 の場合は無制限）
+ * @param {string} unit - 単位
+ * @returns {string} - 表示用の文字列（例: 12 / 200回）
+ */
+function formatAmount(value, limit, unit) {
+  return limit ? `${value.toLocaleString()} / ${limit.toLocaleString()}${unit}` : `${value.toLocaleString()}${unit}（上限なし）`;
+}
+
+/**
+ * 合計の行を作る
+ * @param {string} label - 対象の表示名
+ * @param {Object} totals - { requests, tokens }
+ * @param {Object} limits - { requests, tokens }
+ * @returns {string} - 表示用の行
+ */
+function formatTotals(label, totals, limits) {
+  return `${label}: ${formatAmount(totals.requests, limits.requests, '回')}・${formatAmount(totals.tokens, limits.tokens, 'トークン')}`;
+}
+
+/**
+ * /usage コマンドを実行する
+ * @param {ChatInputCommandInteraction} interaction - インタラクション
+ */
+async function execute(interaction) {
+  const report = await getUsageReport(interaction.user.id, interaction.guildId);
+
+  const lines = [
+    `📊 **今日のAIの利用状況**（${report.date}、${report.timezone} の0時にリセット）`,
+    formatTotals('あなた', report.user, report.limits.user)
+  ];
+  if (report.guild) {
+    lines.push(formatTotals('このサーバー', report.guild, report.limits.guild));
+  }
+
+  if (report.features.length > 0) {
+    lines.push('', '**機能別**');
+    for (const row of report.features) {
+      const label = report.featureLabels[row.feature] || row.feature;
+      const failures = row.failures > 0 ? `、失敗 ${row.failures}回` : '';
+      lines.push(`- ${label}: ${row.requests}回・${row.tokens.toLocaleString()}トークン（平均 ${(row.avg_latency_ms / 1000).toFixed(1)}秒${failures}）`);
+    }
+  }
+
+  lines.push('', `直近7日間: ${report.week.requests.toLocaleString()}回・${report.week.tokens.toLocaleString()}トークン`);
+
+  return interaction.reply({
+    content: lines.join('\n'),
+    flags: MessageFlags.Ephemeral
+  });
+}
+
+module.exports = {
+  data,
+  execute
+};
@@ -1,10 +1,11 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { resolveDatabasePath, migrate } = require('./migrator');
 require('dotenv').config();
 
 // データベースファイルのパス
-const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '../../database/assistant.db');
+const dbPath = resolveDatabasePath();
 
 // データベースディレクトリが存在しない場合は作成
 const dbDir = path.dirname(dbPath);
@@ -20,66 +21,42 @@ if (dbExists) {
   console.log(`新しいデータベースファイルを作成します: ${dbPath}`);
 }
 
-// データベース接続
-const db = new sqlite3.Database(dbPath, (err) => {
-  if (err) {
-    console.error('データベース接続エラー:', err.message);
-  } else {
+let db;
+
+// データベース接続と未適用マイグレーションの適用が完了したら解決される
+const ready = new Promise((resolve, reject) => {
+  db = new sqlite3.Database(dbPath, (err) => {
+    if (err) {
+      console.error('データベース接続エラー:', err.message);
+      reject(err);
+      return;
+    }
+
     console.log('データベースに接続しました');
-    initializeDatabase();
-  }
+    migrate(db)
+      .then(applied => {
+        console.log(`データベーススキーマは最新です（適用したマイグレーション: ${applied.length}件）`);
+        resolve();
+      })
+      .catch(error => {
+        console.error('データベースのマイグレーション中にエラーが発生しました:', error.message);
+        reject(error);
+      });
+  });
 });
 
-// データベース初期化
-function initializeDatabase() {
-  // メッセージ履歴テーブル
-  db.run(`CREATE TABLE IF NOT EXISTS message_history (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id TEXT NOT NULL,
-    channel_id TEXT NOT NULL,
-    message_content TEXT NOT NULL,
-    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
-  )`);
-
-  // タスクテーブル
-  db.run(`CREATE TABLE IF NOT EXISTS tasks (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id TEXT NOT NULL,
-    title TEXT NOT NULL,
-    description TEXT,
-    status TEXT DEFAULT 'pending',
-    due_date DATETIME,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  )`);
-
-  // プロジェクトアイデアテーブル
-  db.run(`CREATE TABLE IF NOT EXISTS project_ideas (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id TEXT NOT NULL,
-    title TEXT NOT NULL,
-    description TEXT,
-    category TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  )`);
-
-  // ジャーナルテーブル
-  db.run(`CREATE TABLE IF NOT EXISTS journal_entries (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id TEXT NOT NULL,
-    content TEXT NOT NULL,
-    mood TEXT,
-    tags TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  )`);
-
-  console.log('データベーステーブルが初期化されました');
-}
-
 // メッセージをデータベースに保存
-function saveMessage(userId, channelId, content) {
+// options.role: user | assistant、options.discordMessageId: DiscordのメッセージID、
+// options.replyToId: Botの応答の場合、応答元のメッセージ（message_history.id）、
+// options.guildId: サーバーID（DMの場合はnull、検索結果のジャンプリンクに使用）
+function saveMessage(userId, channelId, content, options = {}) {
+  const { role = 'user', discordMessageId = null, replyToId = null, guildId = null } = options;
+
   return new Promise((resolve, reject) => {
-    const stmt = db.prepare('INSERT INTO message_history (user_id, channel_id, message_content) VALUES (?, ?, ?)');
-    stmt.run(userId, channelId, content, function(err) {
+    const stmt = db.prepare(
+      'INSERT INTO message_history (user_id, channel_id, message_content, role, discord_message_id, reply_to_id, guild_id) VALUES (?, ?, ?, ?, ?, ?, ?)'
+    );
+    stmt.run(userId, channelId, content, role, discordMessageId, replyToId, guildId, function(err) {
       if (err) {
         reject(err);
       } else {
@@ -90,11 +67,11 @@ function saveMessage(userId, channelId, content) {
   });
 }
 
-// ユーザーの最近のメッセージを取得
+// ユーザーの最近のメッセージを取得（ユーザー自身の発言のみ）
 function getRecentMessages(userId, limit = 50) {
   return new Promise((resolve, reject) => {
     db.all(
-      'SELECT * FROM message_history WHERE user_id = ? ORDER BY timestamp DESC LIMIT ?',
+      "SELECT * FROM message_history WHERE user_id = ? AND role = 'user' ORDER BY timestamp DESC, id DESC LIMIT ?",
       [userId, limit],
       (err, rows) => {
         if (err) {
@@ -107,29 +84,227 @@ function getRecentMessages(userId, limit = 50) {
   });
 }
 
-// タスク関連の操作
-const tasks = {
-  create: (userId, title, description, dueDate = null) => {
-    return new Promise((resolve, reject) => {
-      const stmt = db.prepare(
-        'INSERT INTO tasks (user_id, title, description, due_date) VALUES (?, ?, ?, ?)'
-      );
-      stmt.run(userId, title, description, dueDate, function(err) {
+// 期間内（from 以上 to 未満、UTCの 'YYYY-MM-DD HH:MM:SS'）のユーザーの発言を古い順に取得
+function getMessagesBetween(userId, from, to) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      "SELECT * FROM message_history WHERE user_id = ? AND role = 'user' AND timestamp >= ? AND timestamp < ? ORDER BY timestamp ASC, id ASC",
+      [userId, from, to],
+      (err, rows) => {
         if (err) {
           reject(err);
         } else {
-          resolve(this.lastID);
+          resolve(rows);
         }
-      });
-      stmt.finalize();
+      }
+    );
+  });
+}
+
+// チャンネル（スレッド）内のユーザーとBotの会話を古い順に取得
+// beforeId を指定すると、それより前のメッセージのみを対象にする（応答中のメッセージ自身を除くため）
+// afterId を指定すると、それより後のメッセージのみを対象にする（要約に含めたメッセージを除くため）
+function getConversation(userId, channelId, limit = 10, beforeId = null, afterId = 0) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM message_history
+       WHERE user_id = ? AND channel_id = ? AND (? IS NULL OR id < ?) AND id > ?
+       ORDER BY id DESC LIMIT ?`,
+      [userId, channelId, beforeId, beforeId, afterId, limit],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.reverse());
+        }
+      }
+    );
+  });
+}
+
+// 要約にまだ含めていない会話を古い順に取得（afterId より後、beforeId より前のメッセージを最大 limit 件）
+function getConversationRange(userId, channelId, afterId, beforeId, limit) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM message_history
+       WHERE user_id = ? AND channel_id = ? AND id > ? AND id < ?
+       ORDER BY id ASC LIMIT ?`,
+      [userId, channelId, afterId, beforeId, limit],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+}
+
+// DiscordのメッセージIDから保存済みのメッセージ（message_history の行）を取得
+function getMessageByDiscordId(discordMessageId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT * FROM message_history WHERE discord_message_id = ? ORDER BY id DESC LIMIT 1',
+      [discordMessageId],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      }
+    );
+  });
+}
+
+// 所有者のみが更新できる列（値の検証はサービス層で行う）
+const updatableColumns = {
+  tasks: ['title', 'description', 'status', 'due_date', 'recurrence'],
+  project_ideas: ['title', 'description', 'category'],
+  journal_entries: ['content', 'mood', 'tags']
+};
+
+// ユーザー自身の行の、更新を許可された列のみを更新する
+// conditions: 追加の条件（例: { status: 'pending' } で状態が変わっていない場合のみ更新）
+// extraSet: 値を伴わない追加のSET句（例: 完了日時の記録）
+function updateOwned(table, userId, id, changes, conditions = {}, extraSet = '') {
+  const fields = Object.keys(changes);
+  const invalid = fields.filter(field => !updatableColumns[table].includes(field));
+  if (invalid.length > 0) {
+    return Promise.reject(new Error(`${table} の更新できない列です: ${invalid.join(', ')}`));
+  }
+  if (fields.length === 0 && !extraSet) {
+    return Promise.resolve(0);
+  }
+
+  const assignments = [...fields.map(field => `${field} = ?`), ...(extraSet ? [extraSet] : [])];
+  const where = ['id = ?', 'user_id = ?', ...Object.keys(conditions).map(column => `${column} = ?`)];
+
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE ${table} SET ${assignments.join(', ')} WHERE ${where.join(' AND ')}`,
+      [...Object.values(changes), id, userId, ...Object.values(conditions)],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      }
+    );
+  });
+}
+
+// ユーザー自身の行を取得する
+function getOwned(table, userId, id) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM ${table} WHERE id = ? AND user_id = ?`,
+      [id, userId],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      }
+    );
+  });
+}
+
+// ユーザー自身の行を削除する
+function deleteOwned(table, userId, id) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `DELETE FROM ${table} WHERE id = ? AND user_id = ?`,
+      [id, userId],
+      function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      }
+    );
+  });
+}
+
+// ユーザー関連の操作
+const users = {
+  // メッセージやコマンドを受け取るたびにユーザーを登録・更新
+  touch: (userId, username = null) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO users (id, username) VALUES (?, ?)
+         ON CONFLICT(id) DO UPDATE SET
+           username = COALESCE(excluded.username, users.username),
+           last_seen_at = CURRENT_TIMESTAMP`,
+        [userId, username],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
     });
   },
 
-  getAll: (userId) => {
+  get: (userId) => {
     return new Promise((resolve, reject) => {
-      db.all(
-        'SELECT * FROM tasks WHERE user_id = ? ORDER BY created_at DESC',
+      db.get(
+        'SELECT * FROM users WHERE id = ?',
         [userId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row || null);
+          }
+        }
+      );
+    });
+  },
+
+  // 日次サマリーの配信設定を更新（settings: enabled, time, timezone, target, channelId）
+  updateSummarySettings: (userId, settings) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE users SET
+           summary_enabled = COALESCE(?, summary_enabled),
+           summary_time = COALESCE(?, summary_time),
+           timezone = COALESCE(?, timezone),
+           summary_target = COALESCE(?, summary_target),
+           summary_channel_id = CASE WHEN ? = 'channel' THEN ? ELSE summary_channel_id END
+         WHERE id = ?`,
+        [
+          settings.enabled === undefined ? null : (settings.enabled ? 1 : 0),
+          settings.time || null,
+          settings.timezone || null,
+          settings.target || null,
+          settings.target || null,
+          settings.channelId || null,
+          userId
+        ],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  },
+
+  // 日次サマリーを購読しているユーザーを取得
+  getSummarySubscribers: () => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM users WHERE summary_enabled = 1',
+        [],
         (err, rows) => {
           if (err) {
             reject(err);
@@ -141,14 +316,28 @@ const tasks = {
     });
   },
 
-  update: (taskId, updateData) => {
+  // 長期記憶を消した日時を記録（これより前のメッセージ・ジャーナル・タスクは記憶し直さない）
+  resetMemory: (userId) => {
     return new Promise((resolve, reject) => {
-      const fields = Object.keys(updateData).map(key => `${key} = ?`).join(', ');
-      const values = Object.values(updateData);
+      db.run(
+        'UPDATE users SET memory_reset_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  },
 
+  markSummarySent: (userId, localDate) => {
+    return new Promise((resolve, reject) => {
       db.run(
-        `UPDATE tasks SET ${fields} WHERE id = ?`,
-        [...values, taskId],
+        'UPDATE users SET last_summary_date = ? WHERE id = ?',
+        [localDate, userId],
         function(err) {
           if (err) {
             reject(err);
@@ -161,14 +350,17 @@ const tasks = {
   }
 };
 
-// プロジェクトアイデア関連の操作
-const projectIdeas = {
-  create: (userId, title, description, category = null) => {
+// タスク関連の操作
+const tasks = {
+  // options.recurrence: RRULE形式の繰り返し、options.previousTaskId: 次の回として作成する場合の元のタスク、
+  // options.sourceMessageId: 作成元のメッセージ（message_history.id）
+  create: (userId, title, description, dueDate = null, options = {}) => {
     return new Promise((resolve, reject) => {
+      const { recurrence = null, previousTaskId = null, sourceMessageId = null } = options;
       const stmt = db.prepare(
-        'INSERT INTO project_ideas (user_id, title, description, category) VALUES (?, ?, ?, ?)'
+        'INSERT INTO tasks (user_id, title, description, due_date, recurrence, previous_task_id, source_message_id) VALUES (?, ?, ?, ?, ?, ?, ?)'
       );
-      stmt.run(userId, title, description, category, function(err) {
+      stmt.run(userId, title, description, dueDate, recurrence, previousTaskId, sourceMessageId, function(err) {
         if (err) {
           reject(err);
         } else {
@@ -182,7 +374,7 @@ const projectIdeas = {
   getAll: (userId) => {
     return new Promise((resolve, reject) => {
       db.all(
-        'SELECT * FROM project_ideas WHERE user_id = ? ORDER BY created_at DESC',
+        'SELECT * FROM tasks WHERE user_id = ? ORDER BY created_at DESC',
         [userId],
         (err, rows) => {
           if (err) {
@@ -193,32 +385,99 @@ const projectIdeas = {
         }
       );
     });
-  }
-};
+  },
 
-// ジャーナル関連の操作
-const journal = {
-  create: (userId, content, mood = null, tags = null) => {
+  getById: (userId, taskId) => getOwned('tasks', userId, taskId),
+
+  // 状態と期限で絞り込んだタスク一覧を取得
+  // filters.status: pending | in_progress | done | cancelled | open（未完了） | all
+  // filters.due: overdue（期限切れ） | today | week（7日以内） | none（期限なし）
+  // filters.today: 期限の絞り込みの基準日（ユーザーのタイムゾーンでの今日、YYYY-MM-DD）
+  list: (userId, filters = {}) => {
     return new Promise((resolve, reject) => {
-      const stmt = db.prepare(
-        'INSERT INTO journal_entries (user_id, content, mood, tags) VALUES (?, ?, ?, ?)'
+      const { status = 'open', due = null, today = null } = filters;
+      const conditions = ['user_id = ?'];
+      const params = [userId];
+
+      if (status === 'open') {
+        conditions.push("status NOT IN ('done', 'cancelled')");
+      } else if (status && status !== 'all') {
+        conditions.push('status = ?');
+        params.push(status);
+      }
+
+      if (due === 'overdue') {
+        conditions.push('due_date IS NOT NULL AND date(due_date) < ?');
+        params.push(today);
+      } else if (due === 'today') {
+        conditions.push('date(due_date) = ?');
+        params.push(today);
+      } else if (due === 'week') {
+        conditions.push("date(due_date) BETWEEN ? AND date(?, '+7 days')");
+        params.push(today, today);
+      } else if (due === 'none') {
+        conditions.push('due_date IS NULL');
+      }
+
+      db.all(
+        `SELECT * FROM tasks WHERE ${conditions.join(' AND ')} ORDER BY due_date IS NULL, due_date ASC, created_at DESC`,
+        params,
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
       );
-      stmt.run(userId, content, mood, tags, function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(this.lastID);
+    });
+  },
+
+  // 未完了のタスクをタイトルで検索（オートコンプリート用）
+  getOpen: (userId, query = '', limit = 25) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM tasks
+         WHERE user_id = ? AND status NOT IN ('done', 'cancelled') AND title LIKE ?
+         ORDER BY due_date IS NULL, due_date ASC, created_at DESC
+         LIMIT ?`,
+        [userId, `%${query}%`, limit],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
         }
-      });
-      stmt.finalize();
+      );
     });
   },
 
-  getRecent: (userId, limit = 10) => {
+  delete: (userId, taskId) => deleteOwned('tasks', userId, taskId),
+
+  // 期間内（from 以上 to 未満、UTCの 'YYYY-MM-DD HH:MM:SS'）に完了したタスクを取得
+  getCompletedBetween: (userId, from, to) => {
     return new Promise((resolve, reject) => {
       db.all(
-        'SELECT * FROM journal_entries WHERE user_id = ? ORDER BY created_at DESC LIMIT ?',
-        [userId, limit],
+        "SELECT * FROM tasks WHERE user_id = ? AND status = 'done' AND completed_at >= ? AND completed_at < ? ORDER BY completed_at ASC",
+        [userId, from, to],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  },
+
+  // 期間内（from 以上 to 未満）に作成されたタスクを取得
+  getCreatedBetween: (userId, from, to) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM tasks WHERE user_id = ? AND created_at >= ? AND created_at < ? ORDER BY created_at ASC',
+        [userId, from, to],
         (err, rows) => {
           if (err) {
             reject(err);
@@ -228,16 +487,999 @@ const journal = {
         }
       );
     });
+  },
+
+  // 期限が設定された未完了のタスクを、所有者のタイムゾーンとあわせて取得（期限リマインダー用）
+  getWithDueDate: () => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT tasks.*, users.timezone AS timezone FROM tasks
+         LEFT JOIN users ON users.id = tasks.user_id
+         WHERE tasks.status NOT IN ('done', 'cancelled') AND tasks.due_date IS NOT NULL`,
+        [],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  },
+
+  // リマインダーを指定時刻（UTCの 'YYYY-MM-DD HH:MM:SS'）までスヌーズする
+  snoozeReminder: (userId, taskId, remindAfter) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE tasks SET remind_after = ? WHERE id = ? AND user_id = ?',
+        [remindAfter, taskId, userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  },
+
+  // ユーザー自身のタスクを更新（値の検証と状態遷移の確認は taskService.updateTask() で行う）
+  // expectedStatus を指定すると、状態が取得時から変わっていない場合のみ更新する
+  update: (userId, taskId, changes, expectedStatus = null) => {
+    // 状態の変更に合わせて完了日時を記録・解除する
+    let completedAt = '';
+    if (changes.status === 'done') {
+      completedAt = 'completed_at = COALESCE(completed_at, CURRENT_TIMESTAMP)';
+    } else if (changes.status) {
+      completedAt = 'completed_at = NULL';
+    }
+
+    return updateOwned('tasks', userId, taskId, changes, expectedStatus ? { status: expectedStatus } : {}, completedAt);
+  }
+};
+
+// タスクの期限リマインダーの送信履歴
+const taskReminders = {
+  // 送信権を確保する（同じタスク・同じ期限・同じリマインダーが記録済みならfalse）
+  // 送信前に記録することで、再起動や処理の重複があっても二度送らない
+  claim: (task, reminderKey) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'INSERT OR IGNORE INTO task_reminders (task_id, user_id, reminder_key, due_date) VALUES (?, ?, ?, ?)',
+        [task.id, task.user_id, reminderKey, task.due_date],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes === 1);
+          }
+        }
+      );
+    });
+  }
+};
+
+// リマインダー関連の操作
+// remind_at はUTCの 'YYYY-MM-DD HH:MM:SS'、recurrence はパース済みのオブジェクトで受け渡す
+const parseReminderRow = row => ({
+  ...row,
+  recurrence: row.recurrence ? JSON.parse(row.recurrence) : null
+});
+
+const reminders = {
+  create: (userId, { channelId = null, message, remindAt, recurrence = null, timezone }) => {
+    return new Promise((resolve, reject) => {
+      const stmt = db.prepare(
+        'INSERT INTO reminders (user_id, channel_id, message, remind_at, recurrence, timezone) VALUES (?, ?, ?, ?, ?, ?)'
+      );
+      stmt.run(userId, channelId, message, remindAt, recurrence ? JSON.stringify(recurrence) : null, timezone, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+      stmt.finalize();
+    });
+  },
+
+  getById: (userId, reminderId) => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM reminders WHERE id = ? AND user_id = ?',
+        [reminderId, userId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row ? parseReminderRow(row) : null);
+          }
+        }
+      );
+    });
+  },
+
+  // 通知待ちのリマインダーを取得（query で内容を絞り込み）
+  getPending: (userId, query = '', limit = 25) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM reminders
+         WHERE user_id = ? AND status = 'pending' AND message LIKE ?
+         ORDER BY remind_at ASC
+         LIMIT ?`,
+        [userId, `%${query}%`, limit],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows.map(parseReminderRow));
+          }
+        }
+      );
+    });
+  },
+
+  cancel: (userId, reminderId) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        "UPDATE reminders SET status = 'cancelled' WHERE id = ? AND user_id = ? AND status = 'pending'",
+        [reminderId, userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  },
+
+  // 通知時刻を迎えたリマインダーを取得（停止中に時刻を過ぎたものも含む）
+  getDue: (now) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        "SELECT * FROM reminders WHERE status = 'pending' AND remind_at <= ? ORDER BY remind_at ASC",
+        [now],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows.map(parseReminderRow));
+          }
+        }
+      );
+    });
+  },
+
+  // 送信権を確保する: 1回のみのリマインダーは通知済みに、繰り返しのリマインダーは次の通知時刻に進める
+  // 通知時刻が取得時から変わっていない場合のみ更新するため、同じ通知を二度送らない
+  claim: (reminder, nextRemindAt = null) => {
+    return new Promise((resolve, reject) => {
+      const sql = nextRemindAt
+        ? "UPDATE reminders SET remind_at = ?, last_sent_at = CURRENT_TIMESTAMP WHERE id = ? AND remind_at = ? AND status = 'pending'"
+        : "UPDATE reminders SET status = 'sent', last_sent_at = CURRENT_TIMESTAMP WHERE id = ? AND remind_at = ? AND status = 'pending'";
+      const params = nextRemindAt
+        ? [nextRemindAt, reminder.id, reminder.remind_at]
+        : [reminder.id, reminder.remind_at];
+
+      db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes === 1);
+        }
+      });
+    });
+  }
+};
+
+// プロジェクトアイデア関連の操作
+const projectIdeas = {
+  // options.sourceMessageId: 作成元のメッセージ（message_history.id）
+  create: (userId, title, description, category = null, options = {}) => {
+    return new Promise((resolve, reject) => {
+      const stmt = db.prepare(
+        'INSERT INTO project_ideas (user_id, title, description, category, source_message_id) VALUES (?, ?, ?, ?, ?)'
+      );
+      stmt.run(userId, title, description, category, options.sourceMessageId || null, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+      stmt.finalize();
+    });
+  },
+
+  getAll: (userId) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM project_ideas WHERE user_id = ? ORDER BY created_at DESC',
+        [userId],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  },
+
+  getById: (userId, ideaId) => getOwned('project_ideas', userId, ideaId),
+
+  update: (userId, ideaId, changes) => updateOwned('project_ideas', userId, ideaId, changes),
+
+  delete: (userId, ideaId) => deleteOwned('project_ideas', userId, ideaId)
+};
+
+// ジャーナル関連の操作
+const journal = {
+  // tags はカンマ区切りの文字列、またはキーワードの配列
+  // options.sourceMessageId: 作成元のメッセージ（message_history.id）
+  create: (userId, content, mood = null, tags = null, options = {}) => {
+    return new Promise((resolve, reject) => {
+      const stmt = db.prepare(
+        'INSERT INTO journal_entries (user_id, content, mood, tags, source_message_id) VALUES (?, ?, ?, ?, ?)'
+      );
+      const tagText = Array.isArray(tags) ? (tags.join(',') || null) : tags;
+      stmt.run(userId, content, mood, tagText, options.sourceMessageId || null, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+      stmt.finalize();
+    });
+  },
+
+  getRecent: (userId, limit = 10) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM journal_entries WHERE user_id = ? ORDER BY created_at DESC LIMIT ?',
+        [userId, limit],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  },
+
+  // 期間内（from 以上 to 未満）に書かれたジャーナルを古い順に取得
+  getBetween: (userId, from, to) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM journal_entries WHERE user_id = ? AND created_at >= ? AND created_at < ? ORDER BY created_at ASC',
+        [userId, from, to],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  },
+
+  getById: (userId, entryId) => getOwned('journal_entries', userId, entryId),
+
+  // ユーザーのジャーナルで使われている気分を、多い順に取得（検索のオートコンプリート用）
+  getMoods: (userId, query = '', limit = 25) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT mood, COUNT(*) AS count FROM journal_entries
+         WHERE user_id = ? AND mood IS NOT NULL AND mood LIKE ?
+         GROUP BY mood ORDER BY count DESC, mood ASC LIMIT ?`,
+        [userId, `%${query}%`, limit],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows.map(row => row.mood));
+          }
+        }
+      );
+    });
+  },
+
+  // ユーザーのジャーナルで使われているタグを、多い順に取得（検索のオートコンプリート用）
+  getTags: (userId, query = '', limit = 25) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT tags FROM journal_entries WHERE user_id = ? AND tags LIKE ?',
+        [userId, `%${query}%`],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          const counts = new Map();
+          for (const row of rows) {
+            for (const tag of row.tags.split(',').filter(tag => tag && tag.includes(query))) {
+              counts.set(tag, (counts.get(tag) || 0) + 1);
+            }
+          }
+          resolve([...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, limit).map(([tag]) => tag));
+        }
+      );
+    });
+  },
+
+  update: (userId, entryId, changes) => updateOwned('journal_entries', userId, entryId, changes),
+
+  delete: (userId, entryId) => deleteOwned('journal_entries', userId, entryId)
+};
+
+// 全文検索の対象（種類 → テーブル・索引した列・日時の列・結果に含める列）
+// タスク・ジャーナル・アイデアは作成元のメッセージ（m）からジャンプリンクを作る
+const searchSources = {
+  message: {
+    table: 'message_history',
+    columns: ['message_content'],
+    dateColumn: 'timestamp',
+    select: 't.role, t.channel_id, t.guild_id, t.discord_message_id',
+    join: ''
+  },
+  task: {
+    table: 'tasks',
+    columns: ['title', 'description'],
+    dateColumn: 'created_at',
+    select: 't.title, t.status, t.due_date, m.channel_id, m.guild_id, m.discord_message_id',
+    join: 'LEFT JOIN message_history AS m ON m.id = t.source_message_id'
+  },
+  journal: {
+    table: 'journal_entries',
+    columns: ['content', 'tags'],
+    dateColumn: 'created_at',
+    select: 't.mood, t.tags, m.channel_id, m.guild_id, m.discord_message_id',
+    join: 'LEFT JOIN message_history AS m ON m.id = t.source_message_id'
+  },
+  idea: {
+    table: 'project_ideas',
+    columns: ['title', 'description', 'category'],
+    dateColumn: 'created_at',
+    select: 't.title, t.category, m.channel_id, m.guild_id, m.discord_message_id',
+    join: 'LEFT JOIN message_history AS m ON m.id = t.source_message_id'
+  }
+};
+
+// LIKE の特殊文字をエスケープする
+const escapeLike = value => value.replace(/[\\%_]/g, char => `\\${char}`);
+
+// 全文検索
+const search = {
+  // 1種類（message | task | journal | idea）のユーザー自身の行を検索する
+  // options.match: FTS5のクエリ（3文字以上の語）、options.likes: 部分一致で探す語（3文字未満の語）、
+  // options.from / options.to: 作成日時の範囲（UTCの 'YYYY-MM-DD HH:MM:SS'、from 以上 to 未満）、
+  // options.tag / options.mood: ジャーナルのタグ・気分（journal のみ）
+  // MATCH で検索した場合は関連度順で、一致箇所を ** で囲んだ snippet を返す。それ以外は新しい順で、snippet の代わりに text を返す
+  find: (type, userId, options = {}) => {
+    const { match = null, likes = [], from = null, to = null, tag = null, mood = null, limit = 10 } = options;
+    const source = searchSources[type];
+    if (!source) {
+      return Promise.reject(new Error(`検索できない種類です: ${type}`));
+    }
+
+    const fts = `${source.table}_fts`;
+    const conditions = ['t.user_id = ?'];
+    const params = [userId];
+
+    if (match) {
+      conditions.push(`${fts} MATCH ?`);
+      params.push(match);
+    }
+    for (const like of likes) {
+      conditions.push(`(${source.columns.map(column => `t.${column} LIKE ? ESCAPE '\\'`).join(' OR ')})`);
+      params.push(...source.columns.map(() => `%${escapeLike(like)}%`));
+    }
+    if (from) {
+      conditions.push(`t.${source.dateColumn} >= ?`);
+      params.push(from);
+    }
+    if (to) {
+      conditions.push(`t.${source.dateColumn} < ?`);
+      params.push(to);
+    }
+    if (type === 'journal' && tag) {
+      conditions.push("(',' || t.tags || ',') LIKE ? ESCAPE '\\'");
+      params.push(`%,${escapeLike(tag)},%`);
+    }
+    if (type === 'journal' && mood) {
+      conditions.push('t.mood = ?');
+      params.push(mood);
+    }
+
+    const text = source.columns.map(column => `COALESCE(t.${column}, '')`).join(" || ' ' || ");
+    const ranking = match
+      ? `snippet(${fts}, -1, '**', '**', '…', 32) AS snippet, bm25(${fts}) AS rank`
+      : `${text} AS text, 0 AS rank`;
+
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT '${type}' AS type, t.id, t.${source.dateColumn} AS created_at, ${ranking}, ${source.select}
+         FROM ${match ? `${fts} JOIN ${source.table} AS t ON t.id = ${fts}.rowid` : `${source.table} AS t`}
+         ${source.join}
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY ${match ? 'rank ASC' : `t.${source.dateColumn} DESC`}, t.id DESC
+         LIMIT ?`,
+        [...params, limit],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+};
+
+// 長期記憶の元になる行（source_type ごとの、埋め込む文章と作成日時）
+// メッセージはユーザー自身の発言のみ、ジャーナルはタグを、タスクは詳細説明を添える
+const memorySourcesSql = `
+  SELECT 'message' AS source_type, h.id AS source_id, h.user_id, h.message_content AS content, h.timestamp AS created_at
+  FROM message_history AS h WHERE h.role = 'user' AND length(h.message_content) >= ?
+  UNION ALL
+  SELECT 'journal', j.id, j.user_id,
+    j.content || CASE WHEN j.tags IS NOT NULL AND j.tags != '' THEN char(10) || 'タグ: ' || j.tags ELSE '' END,
+    j.created_at
+  FROM journal_entries AS j
+  UNION ALL
+  SELECT 'task', t.id, t.user_id,
+    t.title || CASE WHEN t.description IS NOT NULL AND t.description != '' THEN char(10) || t.description ELSE '' END,
+    t.created_at
+  FROM tasks AS t`;
+
+// 長期記憶（埋め込みベクトル）関連の操作
+const memory = {
+  // 指定したモデルでまだ埋め込んでいない（または内容が変わった）行を新しい順に取得
+  // options.userId: ユーザーを限定する場合、options.minLength: これより短いメッセージは記憶しない
+  // ユーザーが長期記憶を消した日時（users.memory_reset_at）以前に作成された行は対象にしない
+  getPending: (model, options = {}) => {
+    const { userId = null, limit = 50, minLength = 8 } = options;
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT s.* FROM (${memorySourcesSql}) AS s
+         LEFT JOIN memory_items AS mi ON mi.source_type = s.source_type AND mi.source_id = s.source_id AND mi.model = ?
+         LEFT JOIN users AS u ON u.id = s.user_id
+         WHERE (mi.id IS NULL OR mi.content != s.content) AND (? IS NULL OR s.user_id = ?)
+           AND (u.memory_reset_at IS NULL OR s.created_at > u.memory_reset_at)
+         ORDER BY s.created_at DESC LIMIT ?`,
+        [minLength, model, userId, userId, limit],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  },
+
+  // 埋め込みベクトルを保存（同じ行・同じモデルのものがあれば置き換える）
+  // item: { user_id, source_type, source_id, content, created_at }、embedding: float32 のBLOB
+  save: (item, embedding, model) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO memory_items (user_id, source_type, source_id, content, embedding, model, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(source_type, source_id, model) DO UPDATE SET
+           content = excluded.content,
+           embedding = excluded.embedding,
+           indexed_at = CURRENT_TIMESTAMP`,
+        [item.user_id, item.source_type, item.source_id, item.content, embedding, model, item.created_at],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  },
+
+  // ユーザーの記憶を新しい順に取得（タスクは現在の状態と期限を添える）
+  getByUser: (userId, model, limit = 2000) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT mi.id, mi.source_type, mi.source_id, mi.content, mi.embedding, mi.created_at,
+                t.status AS task_status, t.due_date AS task_due_date
+         FROM memory_items AS mi
+         LEFT JOIN tasks AS t ON mi.source_type = 'task' AND t.id = mi.source_id
+         WHERE mi.user_id = ? AND mi.model = ?
+         ORDER BY mi.created_at DESC LIMIT ?`,
+        [userId, model, limit],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  },
+
+  // ユーザーの記憶の件数を種類ごとに取得（{ message: 件数, ... }）
+  countByUser: (userId, model) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT source_type, COUNT(*) AS count FROM memory_items WHERE user_id = ? AND model = ? GROUP BY source_type',
+        [userId, model],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(Object.fromEntries(rows.map(row => [row.source_type, row.count])));
+          }
+        }
+      );
+    });
+  },
+
+  // ユーザーの記憶をすべて削除（すべてのモデルのもの）
+  deleteByUser: (userId) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'DELETE FROM memory_items WHERE user_id = ?',
+        [userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  }
+};
+
+// 会話の要約関連の操作
+const conversationSummaries = {
+  // チャンネルの会話の要約を取得（なければnull）
+  get: (userId, channelId) => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM conversation_summaries WHERE user_id = ? AND channel_id = ?',
+        [userId, channelId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row || null);
+          }
+        }
+      );
+    });
+  },
+
+  // 要約を保存（要約に含めた最後のメッセージが expectedCoveredUntilId のままの場合のみ）
+  // 同時に更新された場合に、同じメッセージを二重に要約しないため。保存できたかを返す
+  save: (userId, channelId, summary, coveredUntilId, expectedCoveredUntilId) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO conversation_summaries (user_id, channel_id, summary, covered_until_id)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT(user_id, channel_id) DO UPDATE SET
+           summary = excluded.summary,
+           covered_until_id = excluded.covered_until_id,
+           updated_at = CURRENT_TIMESTAMP
+         WHERE conversation_summaries.covered_until_id = ?`,
+        [userId, channelId, summary, coveredUntilId, expectedCoveredUntilId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  },
+
+  // 要約を消し、それまでの会話も会話履歴として渡さないようにする
+  // channelId を省略すると、ユーザーが会話したすべてのチャンネルが対象。対象にしたチャンネル数を返す
+  reset: (userId, channelId = null) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO conversation_summaries (user_id, channel_id, summary, covered_until_id)
+         SELECT user_id, channel_id, '', MAX(id) FROM message_history
+         WHERE user_id = ? AND (? IS NULL OR channel_id = ?)
+         GROUP BY channel_id
+         ON CONFLICT(user_id, channel_id) DO UPDATE SET
+           summary = '',
+           covered_until_id = excluded.covered_until_id,
+           updated_at = CURRENT_TIMESTAMP`,
+        [userId, channelId, channelId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  }
+};
+
+// 日次サマリー関連の操作
+const dailySummaries = {
+  create: (userId, summaryDate, content, suggestions = [], inputs = {}) => {
+    return new Promise((resolve, reject) => {
+      const stmt = db.prepare(
+        'INSERT INTO daily_summaries (user_id, summary_date, content, suggestions, inputs) VALUES (?, ?, ?, ?, ?)'
+      );
+      stmt.run(userId, summaryDate, content, JSON.stringify(suggestions), JSON.stringify(inputs), function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+      stmt.finalize();
+    });
+  },
+
+  // 対象日の最新のサマリーを取得（suggestions・inputs はパース済み）
+  getByDate: (userId, summaryDate) => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM daily_summaries WHERE user_id = ? AND summary_date = ? ORDER BY id DESC LIMIT 1',
+        [userId, summaryDate],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else if (!row) {
+            resolve(null);
+          } else {
+            resolve({
+              ...row,
+              suggestions: row.suggestions ? JSON.parse(row.suggestions) : [],
+              inputs: row.inputs ? JSON.parse(row.inputs) : {}
+            });
+          }
+        }
+      );
+    });
+  }
+};
+
+// LLMの利用状況の集計の対象（ユーザーまたはサーバー）→ 列名
+const usageScopes = {
+  user: 'user_id',
+  guild: 'guild_id'
+};
+
+// LLMの呼び出しの記録関連の操作
+const llmUsage = {
+  // 呼び出しを1件記録
+  // entry: { userId, guildId, feature, provider, model, promptTokens, completionTokens, latencyMs, success }
+  record: (entry) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO llm_usage (user_id, guild_id, feature, provider, model, prompt_tokens, completion_tokens, latency_ms, success)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          entry.userId || null,
+          entry.guildId || null,
+          entry.feature,
+          entry.provider,
+          entry.model || null,
+          entry.promptTokens || 0,
+          entry.completionTokens || 0,
+          entry.latencyMs || 0,
+          entry.success === false ? 0 : 1
+        ],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
+  },
+
+  // ユーザー（scope: user）またはサーバー（scope: guild）の期間内の成功した呼び出しの回数とトークン数の合計
+  // from 以上 to 未満（UTCの 'YYYY-MM-DD HH:MM:SS'、to を省略すると現在まで）
+  getTotals: (scope, id, from, to = null) => {
+    const column = usageScopes[scope];
+    if (!column) {
+      return Promise.reject(new Error(`不明な集計の対象です: ${scope}`));
+    }
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT COUNT(*) AS requests, COALESCE(SUM(prompt_tokens + completion_tokens), 0) AS tokens
+         FROM llm_usage
+         WHERE ${column} = ? AND success = 1 AND created_at >= ? AND (? IS NULL OR created_at < ?)`,
+        [id, from, to, to],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row);
+          }
+        }
+      );
+    });
+  },
+
+  // ユーザーの期間内の呼び出しを機能ごとに集計（回数の多い順）
+  // 戻り値: [{ feature, requests, tokens, failures, avg_latency_ms }]
+  getFeatureTotals: (userId, from, to = null) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT feature,
+                SUM(success) AS requests,
+                COALESCE(SUM(CASE WHEN success = 1 THEN prompt_tokens + completion_tokens ELSE 0 END), 0) AS tokens,
+                SUM(1 - success) AS failures,
+                CAST(AVG(latency_ms) AS INTEGER) AS avg_latency_ms
+         FROM llm_usage
+         WHERE user_id = ? AND created_at >= ? AND (? IS NULL OR created_at < ?)
+         GROUP BY feature
+         ORDER BY requests DESC, feature`,
+        [userId, from, to, to],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+};
+
+// LLMの応答のキャッシュ関連の操作
+const llmCache = {
+  // 期限内のキャッシュを取得し、使った日時と回数を更新（なければnull）
+  get: (cacheKey) => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `UPDATE llm_cache SET hits = hits + 1, last_used_at = CURRENT_TIMESTAMP
+         WHERE cache_key = ? AND expires_at > CURRENT_TIMESTAMP
+         RETURNING *`,
+        [cacheKey],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row || null);
+          }
+        }
+      );
+    });
+  },
+
+  // キャッシュを保存（同じキーのものがあれば置き換える）
+  // entry: { feature, provider, model, response, expiresAt }（response はJSON文字列、expiresAt はUTCの 'YYYY-MM-DD HH:MM:SS'）
+  set: (cacheKey, entry) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO llm_cache (cache_key, feature, provider, model, response, size, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(cache_key) DO UPDATE SET
+           response = excluded.response,
+           size = excluded.size,
+           hits = 0,
+           created_at = CURRENT_TIMESTAMP,
+           last_used_at = CURRENT_TIMESTAMP,
+           expires_at = excluded.expires_at`,
+        [cacheKey, entry.feature, entry.provider, entry.model || null, entry.response, Buffer.byteLength(entry.response), entry.expiresAt],
+        (err) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  },
+
+  // キャッシュを削除
+  delete: (cacheKey) => {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM llm_cache WHERE cache_key = ?', [cacheKey], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  },
+
+  // 期限切れのものと、件数・合計サイズ（バイト）の上限を超えた分を、最後に使った日時の古いものから削除。削除した件数を返す
+  prune: (maxEntries, maxBytes) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `DELETE FROM llm_cache WHERE expires_at <= CURRENT_TIMESTAMP OR cache_key IN (
+           SELECT cache_key FROM (
+             SELECT cache_key,
+                    ROW_NUMBER() OVER (ORDER BY last_used_at DESC, created_at DESC) AS position,
+                    SUM(size) OVER (ORDER BY last_used_at DESC, created_at DESC ROWS UNBOUNDED PRECEDING) AS total_size
+             FROM llm_cache WHERE expires_at > CURRENT_TIMESTAMP
+           ) WHERE position > ? OR total_size > ?
+         )`,
+        [maxEntries, maxBytes],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  },
+
+  // 件数と合計サイズ
+  getStats: () => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT COUNT(*) AS entries, COALESCE(SUM(size), 0) AS bytes, COALESCE(SUM(hits), 0) AS hits
+         FROM llm_cache WHERE expires_at > CURRENT_TIMESTAMP`,
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row);
+          }
+        }
+      );
+    });
+  }
+};
+
+// /config で変更できるサーバーの設定の列（値の検証はサービス層で行う）
+const guildSettingColumns = ['mention_only', 'prefix', 'language', 'models'];
+
+// サーバーの設定関連の操作
+const guildSettings = {
+  // サーバーの設定を取得（まだ変更していなければnull）
+  get: (guildId) => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM guild_settings WHERE guild_id = ?',
+        [guildId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row || null);
+          }
+        }
+      );
+    });
+  },
+
+  // 指定した列のみを更新（設定の行がなければ作成）
+  update: (guildId, changes, updatedBy = null) => {
+    const fields = Object.keys(changes);
+    const invalid = fields.filter(field => !guildSettingColumns.includes(field));
+    if (invalid.length > 0) {
+      return Promise.reject(new Error(`guild_settings の更新できない列です: ${invalid.join(', ')}`));
+    }
+
+    const columns = ['guild_id', ...fields, 'updated_by'];
+    const assignments = [...fields, 'updated_by'].map(field => `${field} = excluded.${field}`);
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO guild_settings (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+         ON CONFLICT(guild_id) DO UPDATE SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP`,
+        [guildId, ...Object.values(changes), updatedBy],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  }
+};
+
+// チャンネルの設定関連の操作
+const channelSettings = {
+  // サーバーのチャンネルの設定を取得
+  getByGuild: (guildId) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM channel_settings WHERE guild_id = ? ORDER BY updated_at',
+        [guildId],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  },
+
+  // チャンネルの動作（reply | log）を設定
+  set: (guildId, channelId, mode, updatedBy = null) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO channel_settings (channel_id, guild_id, mode, updated_by) VALUES (?, ?, ?, ?)
+         ON CONFLICT(channel_id) DO UPDATE SET
+           mode = excluded.mode,
+           updated_by = excluded.updated_by,
+           updated_at = CURRENT_TIMESTAMP`,
+        [channelId, guildId, mode, updatedBy],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  },
+
+  // チャンネルの設定を削除（サーバーの既定の動作に戻す）。削除したかを返す
+  remove: (guildId, channelId) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'DELETE FROM channel_settings WHERE guild_id = ? AND channel_id = ?',
+        [guildId, channelId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
   }
 };
 
 module.exports = {
   db,
+  ready,
   saveMessage,
   getRecentMessages,
+  getMessagesBetween,
+  getConversation,
+  getConversationRange,
+  getMessageByDiscordId,
+  users,
   tasks,
+  taskReminders,
+  reminders,
   projectIdeas,
   journal,
+  dailySummaries,
+  search,
+  memory,
+  conversationSummaries,
+  llmUsage,
+  llmCache,
+  guildSettings,
+  channelSettings,
   close: () => {
     return new Promise((resolve, reject) => {
       db.close((err) => {
@@ -0,0 +1,14 @@
+// Botの応答を会話履歴に保存するための列
+// role: user（ユーザーの発言）| assistant（Botの応答）
+// user_id はBotの応答の場合も会話相手のユーザーIDを保存する
+module.exports = {
+  description: 'メッセージ履歴にロール・DiscordメッセージID・応答元を追加',
+
+  async up({ run, addColumn }) {
+    await addColumn('message_history', 'role', "TEXT NOT NULL DEFAULT 'user'");
+    await addColumn('message_history', 'discord_message_id', 'TEXT');
+    await addColumn('message_history', 'reply_to_id', 'INTEGER');
+
+    await run('CREATE INDEX IF NOT EXISTS idx_message_history_conversation ON message_history (user_id, channel_id, id)');
+  }
+};
@@ -0,0 +1,25 @@
+// ユーザー登録と日次サマリーの配信設定
+// summary_target: dm（DMで配信）| channel（summary_channel_id のチャンネルに配信）
+// last_summary_date: 最後にサマリーを配信したユーザーのローカル日付（二重送信の防止）
+module.exports = {
+  description: 'ユーザーテーブルと日次サマリーの配信設定を追加',
+
+  async up({ run }) {
+    await run(`CREATE TABLE IF NOT EXISTS users (
+      id TEXT PRIMARY KEY,
+      username TEXT,
+      timezone TEXT NOT NULL DEFAULT 'Asia/Tokyo',
+      summary_enabled INTEGER NOT NULL DEFAULT 0,
+      summary_time TEXT NOT NULL DEFAULT '09:00',
+      summary_target TEXT NOT NULL DEFAULT 'dm',
+      summary_channel_id TEXT,
+      last_summary_date TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // 既存のメッセージ履歴からユーザーを登録
+    await run(`INSERT OR IGNORE INTO users (id)
+      SELECT DISTINCT user_id FROM message_history`);
+  }
+};
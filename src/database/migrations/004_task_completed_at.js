@@ -0,0 +1,13 @@
+// タスクの完了日時（日次サマリーで「昨日完了したタスク」を求めるため）
+module.exports = {
+  description: 'タスクに完了日時を追加',
+
+  async up({ run, addColumn }) {
+    await addColumn('tasks', 'completed_at', 'DATETIME');
+
+    await run('CREATE INDEX IF NOT EXISTS idx_tasks_user_completed ON tasks (user_id, completed_at)');
+    await run('CREATE INDEX IF NOT EXISTS idx_tasks_user_created ON tasks (user_id, created_at)');
+    await run('CREATE INDEX IF NOT EXISTS idx_journal_entries_user_created ON journal_entries (user_id, created_at)');
+    await run('CREATE INDEX IF NOT EXISTS idx_message_history_user_timestamp ON message_history (user_id, timestamp)');
+  }
+};
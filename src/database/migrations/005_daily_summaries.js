@@ -0,0 +1,21 @@
+// 生成した日次サマリーの履歴
+// summary_date: サマリーの対象日（ユーザーのローカル日付）
+// suggestions: 今日への提案（JSON配列）、翌日のサマリーで実行できたかを振り返るために使う
+// inputs: 生成に使ったタスク・メッセージ・ジャーナルのID（JSON）
+module.exports = {
+  description: '日次サマリーの履歴テーブルを追加',
+
+  async up({ run }) {
+    await run(`CREATE TABLE IF NOT EXISTS daily_summaries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      summary_date TEXT NOT NULL,
+      content TEXT NOT NULL,
+      suggestions TEXT,
+      inputs TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await run('CREATE INDEX IF NOT EXISTS idx_daily_summaries_user_date ON daily_summaries (user_id, summary_date)');
+  }
+};
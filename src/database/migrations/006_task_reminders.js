@@ -0,0 +1,24 @@
+// タスクの期限リマインダー
+// task_reminders: 送信済みのリマインダー（同じ期限に対して同じリマインダーを二度送らないため）
+//   reminder_key: lead:<分>（期限前）| overdue:<回数>（期限切れの催促）| snooze:<再通知日時>
+//   due_date: 送信時点の期限（期限を変更すると、新しい期限に対して改めて通知する）
+// tasks.remind_after: リマインダーのスヌーズ期限（UTC）。この時刻までは通知せず、過ぎたら再通知する
+module.exports = {
+  description: 'タスクの期限リマインダーの送信履歴とスヌーズを追加',
+
+  async up({ run, addColumn }) {
+    await addColumn('tasks', 'remind_after', 'DATETIME');
+
+    await run(`CREATE TABLE IF NOT EXISTS task_reminders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      task_id INTEGER NOT NULL,
+      user_id TEXT NOT NULL,
+      reminder_key TEXT NOT NULL,
+      due_date TEXT NOT NULL,
+      sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (task_id, reminder_key, due_date)
+    )`);
+
+    await run("CREATE INDEX IF NOT EXISTS idx_tasks_status_due ON tasks (status, due_date)");
+  }
+};
@@ -0,0 +1,26 @@
+// 任意のリマインダー（「30分後に通知して」「毎週月曜9時にゴミ出し」など）
+// channel_id: 通知先のチャンネル（NULLの場合はDM）
+// remind_at: 次の通知時刻（UTC）
+// recurrence: 繰り返しの指定（JSON: { rrule: RRULE形式, time: HH:MM }、NULLの場合は1回のみ）
+// status: pending（通知待ち）| sent（通知済み）| cancelled（取り消し）
+module.exports = {
+  description: 'リマインダーテーブルを追加',
+
+  async up({ run }) {
+    await run(`CREATE TABLE IF NOT EXISTS reminders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      channel_id TEXT,
+      message TEXT NOT NULL,
+      remind_at DATETIME NOT NULL,
+      recurrence TEXT,
+      timezone TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_sent_at DATETIME
+    )`);
+
+    await run('CREATE INDEX IF NOT EXISTS idx_reminders_status_remind_at ON reminders (status, remind_at)');
+    await run('CREATE INDEX IF NOT EXISTS idx_reminders_user_status ON reminders (user_id, status)');
+  }
+};
@@ -0,0 +1,13 @@
+// 繰り返しのタスク
+// recurrence: RRULE形式の繰り返し（例: FREQ=WEEKLY;BYDAY=FR）、NULLの場合は1回のみ
+// previous_task_id: 完了時に自動作成した次の回のタスクの、元になったタスク（同じタスクから二重に作成しないよう一意）
+module.exports = {
+  description: 'タスクに繰り返しの設定を追加',
+
+  async up({ run, addColumn }) {
+    await addColumn('tasks', 'recurrence', 'TEXT');
+    await addColumn('tasks', 'previous_task_id', 'INTEGER');
+
+    await run('CREATE UNIQUE INDEX IF NOT EXISTS idx_tasks_previous_task ON tasks (previous_task_id) WHERE previous_task_id IS NOT NULL');
+  }
+};
@@ -0,0 +1,48 @@
+// 全文検索（/search）のためのFTS5インデックス
+// 日本語は単語の区切りがないため trigram トークナイザーで3文字ずつ索引する（3文字未満の語は LIKE で検索する）
+// 元のテーブルを外部コンテンツとして参照し、トリガーで追加・更新・削除を同期する
+// message_history.guild_id: ジャンプリンク用のサーバーID（DMの場合はNULL）
+// source_message_id: タスク・ジャーナル・アイデアの作成元のメッセージ（message_history.id）
+
+// 索引するテーブル → 検索対象の列
+const indexes = {
+  message_history: ['message_content'],
+  tasks: ['title', 'description'],
+  journal_entries: ['content', 'tags'],
+  project_ideas: ['title', 'description', 'category']
+};
+
+module.exports = {
+  description: 'メッセージ・タスク・ジャーナル・アイデアの全文検索インデックスを追加',
+
+  async up({ run, addColumn }) {
+    await addColumn('message_history', 'guild_id', 'TEXT');
+    await addColumn('tasks', 'source_message_id', 'INTEGER');
+    await addColumn('journal_entries', 'source_message_id', 'INTEGER');
+    await addColumn('project_ideas', 'source_message_id', 'INTEGER');
+
+    for (const [table, columns] of Object.entries(indexes)) {
+      const fts = `${table}_fts`;
+      const list = columns.join(', ');
+      const values = prefix => columns.map(column => `${prefix}.${column}`).join(', ');
+
+      await run(`CREATE VIRTUAL TABLE IF NOT EXISTS ${fts} USING fts5(
+        ${list}, content='${table}', content_rowid='id', tokenize='trigram'
+      )`);
+
+      await run(`CREATE TRIGGER IF NOT EXISTS ${fts}_insert AFTER INSERT ON ${table} BEGIN
+        INSERT INTO ${fts} (rowid, ${list}) VALUES (new.id, ${values('new')});
+      END`);
+      await run(`CREATE TRIGGER IF NOT EXISTS ${fts}_delete AFTER DELETE ON ${table} BEGIN
+        INSERT INTO ${fts} (${fts}, rowid, ${list}) VALUES ('delete', old.id, ${values('old')});
+      END`);
+      await run(`CREATE TRIGGER IF NOT EXISTS ${fts}_update AFTER UPDATE OF ${list} ON ${table} BEGIN
+        INSERT INTO ${fts} (${fts}, rowid, ${list}) VALUES ('delete', old.id, ${values('old')});
+        INSERT INTO ${fts} (rowid, ${list}) VALUES (new.id, ${values('new')});
+      END`);
+
+      // 既存の行を索引する
+      await run(`INSERT INTO ${fts} (${fts}) VALUES ('rebuild')`);
+    }
+  }
+};
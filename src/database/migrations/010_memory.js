@@ -0,0 +1,40 @@
+// 会話の応答で使う長期記憶（メッセージ・ジャーナル・タスクの埋め込みベクトル）
+// source_type: message | journal | task、source_id: 元の行のID
+// content: 埋め込んだ時点の文章（元の行と異なる場合は埋め込み直す）
+// embedding: float32 のベクトル、model: 埋め込みに使ったバックエンドとモデル（異なるモデルのベクトルは比較しない）
+// created_at: 元の行の作成日時
+// 元の行が削除された場合は、トリガーで記憶も削除する
+
+// 記憶の元になるテーブル → source_type
+const sources = {
+  message_history: 'message',
+  journal_entries: 'journal',
+  tasks: 'task'
+};
+
+module.exports = {
+  description: '長期記憶の埋め込みベクトルを保存するテーブルを追加',
+
+  async up({ run }) {
+    await run(`CREATE TABLE IF NOT EXISTS memory_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      source_type TEXT NOT NULL,
+      source_id INTEGER NOT NULL,
+      content TEXT NOT NULL,
+      embedding BLOB NOT NULL,
+      model TEXT NOT NULL,
+      created_at DATETIME NOT NULL,
+      indexed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (source_type, source_id, model)
+    )`);
+
+    await run('CREATE INDEX IF NOT EXISTS idx_memory_items_user ON memory_items (user_id, model, created_at)');
+
+    for (const [table, sourceType] of Object.entries(sources)) {
+      await run(`CREATE TRIGGER IF NOT EXISTS ${table}_memory_delete AFTER DELETE ON ${table} BEGIN
+        DELETE FROM memory_items WHERE source_type = '${sourceType}' AND source_id = old.id;
+      END`);
+    }
+  }
+};
@@ -0,0 +1,20 @@
+// 会話の要約（ユーザー・チャンネルごと）
+// 会話履歴として渡す直近のやり取りより古いものを要約にまとめ、応答のプロンプトの先頭に添える
+// covered_until_id: 要約に含めた（または /memory reset で忘れた）最後のメッセージ（message_history.id）
+// users.memory_reset_at: /memory reset で長期記憶を消した日時（これより前のメッセージ・ジャーナル・タスクは記憶しない）
+module.exports = {
+  description: '会話の要約と長期記憶のリセット日時を追加',
+
+  async up({ run, addColumn }) {
+    await run(`CREATE TABLE IF NOT EXISTS conversation_summaries (
+      user_id TEXT NOT NULL,
+      channel_id TEXT NOT NULL,
+      summary TEXT NOT NULL DEFAULT '',
+      covered_until_id INTEGER NOT NULL DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, channel_id)
+    )`);
+
+    await addColumn('users', 'memory_reset_at', 'DATETIME');
+  }
+};
@@ -0,0 +1,27 @@
+// LLMの呼び出しの記録（利用状況の集計と、ユーザー・サーバーごとの1日の上限に使う）
+// user_id / guild_id: 呼び出しのきっかけになったユーザー・サーバー（定期実行などで不明な場合はNULL）
+// feature: プロバイダーチェーンの機能名、provider / model: 実際に呼び出したプロバイダーとモデル
+// prompt_tokens / completion_tokens: APIが返したトークン数（返さないプロバイダーは見積もり）
+// success: 0 の場合は失敗した呼び出し（フォールバックの前の失敗も1件として記録する）
+module.exports = {
+  description: 'LLMの呼び出しを記録するテーブルを追加',
+
+  async up({ run }) {
+    await run(`CREATE TABLE IF NOT EXISTS llm_usage (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT,
+      guild_id TEXT,
+      feature TEXT NOT NULL,
+      provider TEXT NOT NULL,
+      model TEXT,
+      prompt_tokens INTEGER NOT NULL DEFAULT 0,
+      completion_tokens INTEGER NOT NULL DEFAULT 0,
+      latency_ms INTEGER NOT NULL DEFAULT 0,
+      success INTEGER NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await run('CREATE INDEX IF NOT EXISTS idx_llm_usage_user_created ON llm_usage (user_id, created_at)');
+    await run('CREATE INDEX IF NOT EXISTS idx_llm_usage_guild_created ON llm_usage (guild_id, created_at)');
+  }
+};
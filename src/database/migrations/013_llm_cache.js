@@ -0,0 +1,25 @@
+// LLMの応答のキャッシュ（同じ入力での再生成にAPIを呼ばない）
+// cache_key: プロバイダー・モデル・メッセージ・生成パラメータのSHA-256
+// response: 応答（{ content, toolCalls, model, usage } のJSON）、size: response のバイト数
+// expires_at を過ぎたもの、件数・合計サイズの上限を超えた分（最後に使った日時の古いものから）は削除する
+module.exports = {
+  description: 'LLMの応答のキャッシュのテーブルを追加',
+
+  async up({ run }) {
+    await run(`CREATE TABLE IF NOT EXISTS llm_cache (
+      cache_key TEXT PRIMARY KEY,
+      feature TEXT NOT NULL,
+      provider TEXT NOT NULL,
+      model TEXT,
+      response TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      hits INTEGER NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL
+    )`);
+
+    await run('CREATE INDEX IF NOT EXISTS idx_llm_cache_expires ON llm_cache (expires_at)');
+    await run('CREATE INDEX IF NOT EXISTS idx_llm_cache_last_used ON llm_cache (last_used_at)');
+  }
+};
@@ -0,0 +1,30 @@
+// サーバー・チャンネルごとの設定（/config で管理者が変更する）
+// guild_settings: mention_only（自動返信のチャンネルでもメンション・プレフィックスのみに応答するか）、
+//   prefix（呼びかけに使う接頭辞）、language（AIの応答の言語）、models（機能 → プロバイダーチェーンのJSON）
+// channel_settings.mode: reply（すべてのメッセージに自動返信）| log（記録のみで応答しない）| mention（呼びかけられたメッセージのみ）
+//   設定のないチャンネルは DEFAULT_CHANNEL_MODE（既定: mention）に従う
+module.exports = {
+  description: 'サーバー・チャンネルごとの設定のテーブルを追加',
+
+  async up({ run }) {
+    await run(`CREATE TABLE IF NOT EXISTS guild_settings (
+      guild_id TEXT PRIMARY KEY,
+      mention_only INTEGER NOT NULL DEFAULT 0,
+      prefix TEXT,
+      language TEXT,
+      models TEXT NOT NULL DEFAULT '{}',
+      updated_by TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS channel_settings (
+      channel_id TEXT PRIMARY KEY,
+      guild_id TEXT NOT NULL,
+      mode TEXT NOT NULL,
+      updated_by TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await run('CREATE INDEX IF NOT EXISTS idx_channel_settings_guild ON channel_settings (guild_id)');
+  }
+};
@@ -0,0 +1,145 @@
+const path = require('path');
+const fs = require('fs');
+require('dotenv').config();
+
+// マイグレーションファイルの置き場所（NNN_説明.js の形式で番号順に適用する）
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * データベースファイルのパスを取得する
+ * @returns {string} - データベースファイルのパス
+ */
+function resolveDatabasePath() {
+  return process.env.DATABASE_PATH || path.join(__dirname, '../../database/assistant.db');
+}
+
+/**
+ * sqlite3 のコールバックAPIをPromiseでラップしたヘルパーを作成する
+ * @param {sqlite3.Database} db - データベース接続
+ * @returns {Object} - { run, get, all, addColumn }
+ */
+function createHelpers(db) {
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({ lastID: this.lastID, changes: this.changes });
+      }
+    });
+  });
+
+  const get = (sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+
+  const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+
+  // 列が存在しない場合のみ追加する（マイグレーション導入前に列が追加済みのデータベース向け）
+  const addColumn = async (table, column, definition) => {
+    const columns = await all(`PRAGMA table_info(${table})`);
+    if (!columns.some(col => col.name === column)) {
+      await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  };
+
+  return { run, get, all, addColumn };
+}
+
+/**
+ * マイグレーションファイルを番号順に読み込む
+ * @returns {Array<Object>} - [{ version, name, description, up }]
+ */
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .map(file => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      return {
+        version: parseInt(file.split('_')[0], 10),
+        name: path.basename(file, '.js'),
+        description: migration.description || '',
+        up: migration.up
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * schema_version テーブルを作成する
+ * @param {Object} helpers - createHelpers() の戻り値
+ */
+async function ensureVersionTable({ run }) {
+  await run(`CREATE TABLE IF NOT EXISTS schema_version (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+/**
+ * マイグレーションの適用状況を取得する
+ * @param {sqlite3.Database} db - データベース接続
+ * @returns {Promise<Object>} - { currentVersion, applied: [...], pending: [...] }
+ */
+async function getStatus(db) {
+  const helpers = createHelpers(db);
+  await ensureVersionTable(helpers);
+
+  const rows = await helpers.all('SELECT version, name, applied_at FROM schema_version ORDER BY version');
+  const appliedVersions = new Set(rows.map(row => row.version));
+  const migrations = loadMigrations();
+
+  return {
+    currentVersion: rows.length > 0 ? rows[rows.length - 1].version : 0,
+    applied: rows,
+    pending: migrations.filter(migration => !appliedVersions.has(migration.version))
+  };
+}
+
+/**
+ * 未適用のマイグレーションを番号順に適用する
+ * 各マイグレーションは1つのトランザクション内で実行し、失敗した場合はロールバックして中断する
+ * @param {sqlite3.Database} db - データベース接続
+ * @returns {Promise<Array<Object>>} - 適用したマイグレーションの配列
+ */
+async function migrate(db) {
+  const helpers = createHelpers(db);
+  const { pending } = await getStatus(db);
+
+  for (const migration of pending) {
+    await helpers.run('BEGIN TRANSACTION');
+    try {
+      await migration.up(helpers);
+      await helpers.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      await helpers.run('COMMIT');
+      console.log(`マイグレーションを適用しました: ${migration.name}`);
+    } catch (error) {
+      await helpers.run('ROLLBACK');
+      throw new Error(`マイグレーション ${migration.name} の適用に失敗しました: ${error.message}`);
+    }
+  }
+
+  return pending;
+}
+
+module.exports = {
+  resolveDatabasePath,
+  loadMigrations,
+  getStatus,
+  migrate
+};
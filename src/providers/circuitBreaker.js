@@ -0,0 +1,71 @@
+/**
+ * モデルごとのサーキットブレーカーを作成する
+ * 連続して失敗したモデルは一定時間（クールダウン）呼び出さずにフォールバックチェーンの次へ回し、
+ * クールダウン後は1件だけ試して（半開）、成功すれば元に戻し、失敗すれば再びクールダウンする
+ * @param {Object} [config] - 設定
+ * @param {number} [config.failureThreshold] - クールダウンに入る連続失敗回数
+ * @param {number} [config.cooldownMs] - クールダウンの長さ（ミリ秒）
+ * @returns {Object} - サーキットブレーカー
+ */
+function createCircuitBreaker(config = {}) {
+  const { failureThreshold = 3, cooldownMs = 60000 } = config;
+
+  // キー（provider:model）→ { failures: 連続失敗回数, openUntil: クールダウンの終了時刻, probing: 半開で試行中か }
+  const circuits = new Map();
+
+  /**
+   * 呼び出しを控えるべきかを判定する（クールダウンが終わっていれば、1件だけ試行を許す）
+   * @param {string} key - provider:model
+   * @param {number} [now] - 現在時刻（ミリ秒）
+   * @returns {boolean} - 呼び出しを控える場合true
+   */
+  function isOpen(key, now = Date.now()) {
+    const circuit = circuits.get(key);
+    if (!circuit || !circuit.openUntil) return false;
+    if (circuit.openUntil > now || circuit.probing) return true;
+
+    circuit.probing = true;
+    return false;
+  }
+
+  /**
+   * 呼び出しの成功を記録する
+   * @param {string} key - provider:model
+   */
+  function recordSuccess(key) {
+    circuits.delete(key);
+  }
+
+  /**
+   * 呼び出しの失敗を記録する
+   * @param {string} key - provider:model
+   * @param {Object} [options] - オプション
+   * @param {number|null} [options.retryAfterMs] - APIが指定した待ち時間（クールダウンより長い場合はそちらを使う）
+   * @param {number} [options.now] - 現在時刻（ミリ秒）
+   * @returns {boolean} - クールダウンに入った場合true
+   */
+  function recordFailure(key, options = {}) {
+    const { retryAfterMs = null, now = Date.now() } = options;
+    const circuit = circuits.get(key) || { failures: 0, openUntil: null, probing: false };
+    circuit.failures += 1;
+    circuits.set(key, circuit);
+
+    if (!circuit.probing && circuit.failures < failureThreshold) return false;
+
+    const duration = Math.max(cooldownMs, retryAfterMs || 0);
+    circuit.openUntil = now + duration;
+    circuit.probing = false;
+    console.warn(`${key} が連続${circuit.failures}回失敗したため、${Math.ceil(duration / 1000)}秒間使用しません`);
+    return true;
+  }
+
+  return {
+    isOpen,
+    recordSuccess,
+    recordFailure
+  };
+}
+
+module.exports = {
+  createCircuitBreaker
+};
@@ -0,0 +1,264 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { ProviderError, isRetryableStatus } = require('./providerError');
+
+/**
+ * プロバイダー層のメッセージ配列をGeminiのリクエスト形式に変換する
+ * systemロールはsystemInstructionへ、assistantロールはmodelロールへ、
+ * ツールの実行結果（toolロール）はfunctionResponseへ変換する
+ * @param {Array} messages - メッセージの配列 [{role, content, toolCalls?, toolCallId?}]
+ * @returns {Object} - { systemInstruction, contents }
+ */
+function toGeminiRequest(messages) {
+  const systemParts = messages
+    .filter(msg => msg.role === 'system')
+    .map(msg => msg.content);
+
+  // ツール呼び出しIDから関数名を引けるようにしておく
+  const toolNames = {};
+  messages
+    .filter(msg => msg.toolCalls)
+    .forEach(msg => msg.toolCalls.forEach(call => {
+      toolNames[call.id] = call.name;
+    }));
+
+  const contents = [];
+  messages
+    .filter(msg => msg.role !== 'system')
+    .forEach(msg => {
+      if (msg.role === 'tool') {
+        const part = {
+          functionResponse: {
+            name: toolNames[msg.toolCallId] || msg.name,
+            response: { content: msg.content }
+          }
+        };
+        // 連続する関数の実行結果は1つのターンにまとめる
+        const last = contents[contents.length - 1];
+        if (last && last.role === 'function') {
+          last.parts.push(part);
+        } else {
+          contents.push({ role: 'function', parts: [part] });
+        }
+        return;
+      }
+
+      const parts = [];
+      if (msg.content) {
+        parts.push({ text: msg.content });
+      }
+      if (msg.toolCalls) {
+        msg.toolCalls.forEach(call => parts.push({ functionCall: { name: call.name, args: call.args || {} } }));
+      }
+      contents.push({
+        role: msg.role === 'assistant' ? 'model' : 'user',
+        parts
+      });
+    });
+
+  return {
+    systemInstruction: systemParts.length > 0 ? systemParts.join('\n\n') : undefined,
+    contents
+  };
+}
+
+/**
+ * JSON SchemaからGeminiが受け付けないキーワードを取り除く
+ * null を許す型（type: ['string', 'null']）は nullable に置き換える
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} - Gemini用のスキーマ
+ */
+function toGeminiSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(toGeminiSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  const unsupported = ['$schema', 'additionalProperties', 'default', 'title', 'format', 'pattern', 'minLength', 'maxLength'];
+  const result = {};
+  Object.entries(schema).forEach(([key, value]) => {
+    if (unsupported.includes(key)) {
+      return;
+    }
+    if (key === 'type' && Array.isArray(value)) {
+      result.type = value.find(type => type !== 'null');
+      if (value.includes('null')) {
+        result.nullable = true;
+      }
+      return;
+    }
+    result[key] = key === 'properties'
+      ? Object.fromEntries(Object.entries(value).map(([name, prop]) => [name, toGeminiSchema(prop)]))
+      : toGeminiSchema(value);
+  });
+  return result;
+}
+
+/**
+ * Gemini APIを呼び出すプロバイダーを作成する
+ * @param {Object} config - プロバイダー設定
+ * @param {string} [config.name] - プロバイダー名
+ * @param {string} config.apiKey - Gemini APIキー
+ * @param {string} config.defaultModel - モデル未指定時に使用するモデル名
+ * @param {number} [config.timeoutMs] - 1回のリクエストのタイムアウト（ミリ秒）
+ * @returns {Object} - プロバイダー
+ */
+function createGeminiProvider(config) {
+  const { name = 'gemini', apiKey, defaultModel, timeoutMs = 60000 } = config;
+  const genAI = apiKey ? new GoogleGenerativeAI(apiKey) : null;
+
+  function isConfigured() {
+    return Boolean(genAI);
+  }
+
+  /**
+   * メッセージと生成オプションから、Geminiのモデルとリクエストを作成する
+   * @param {Array} messages - メッセージの配列
+   * @param {Object} options - chat() の生成オプション
+   * @returns {Object} - { model, modelName, request }
+   */
+  function prepare(messages, options) {
+    if (!isConfigured()) {
+      throw new ProviderError('Gemini API キーが設定されていません。', {
+        provider: name,
+        retryable: true
+      });
+    }
+
+    const modelName = options.model || defaultModel;
+    const { systemInstruction, contents } = toGeminiRequest(messages);
+
+    const modelParams = {
+      model: modelName,
+      systemInstruction
+    };
+    if (Array.isArray(options.tools) && options.tools.length > 0) {
+      modelParams.tools = [{
+        functionDeclarations: options.tools.map(tool => {
+          const hasParameters = tool.parameters && tool.parameters.properties
+            && Object.keys(tool.parameters.properties).length > 0;
+          // 引数のない関数はparametersを省略する（空のOBJECTスキーマはGeminiが受け付けない）
+          return {
+            name: tool.name,
+            description: tool.description,
+            parameters: hasParameters ? toGeminiSchema(tool.parameters) : undefined
+          };
+        })
+      }];
+    }
+
+    return {
+      model: genAI.getGenerativeModel(modelParams, { timeout: timeoutMs }),
+      modelName,
+      request: {
+        contents,
+        generationConfig: {
+          temperature: options.temperature,
+          maxOutputTokens: options.maxTokens,
+          ...(options.responseFormat ? {
+            responseMimeType: 'application/json',
+            responseSchema: toGeminiSchema(options.responseFormat.schema)
+          } : {})
+        }
+      }
+    };
+  }
+
+  /**
+   * Gemini APIのエラーをプロバイダー層のエラーに変換する
+   * @param {Error} error - SDKが投げたエラー
+   * @returns {ProviderError} - 変換したエラー
+   */
+  function toProviderError(error) {
+    if (error instanceof ProviderError) return error;
+    const status = error.status || null;
+    return new ProviderError(`Gemini API エラー: ${error.message}`, {
+      provider: name,
+      status,
+      // ステータスのないエラーはネットワーク障害とみなす
+      retryable: status ? isRetryableStatus(status) : true
+    });
+  }
+
+  /**
+   * Geminiの応答をプロバイダー層の形式に変換する
+   * @param {Object} response - GenerateContentResponse
+   * @param {string} modelName - モデル名
+   * @returns {Object} - { content, toolCalls, provider, model, usage }
+   */
+  function toResult(response, modelName) {
+    const usage = response.usageMetadata || {};
+    const functionCalls = response.functionCalls() || [];
+    return {
+      content: response.text().trim(),
+      toolCalls: functionCalls.map((call, index) => ({
+        id: `gemini-call-${Date.now()}-${index}`,
+        name: call.name,
+        args: call.args || {}
+      })),
+      provider: name,
+      model: modelName,
+      usage: {
+        promptTokens: usage.promptTokenCount || null,
+        completionTokens: usage.candidatesTokenCount || null
+      }
+    };
+  }
+
+  /**
+   * チャット補完を実行する
+   * @param {Array} messages - メッセージの配列 [{role: 'system|user|assistant', content: 'メッセージ内容'}]
+   * @param {Object} options - 生成オプション
+   * @param {string} [options.model] - 使用するモデル名
+   * @param {number} [options.temperature] - 温度パラメータ
+   * @param {number} [options.maxTokens] - 最大生成トークン数
+   * @param {Array} [options.tools] - 利用可能なツール [{name, description, parameters}]
+   * @param {Object} [options.responseFormat] - JSONで出力させる場合のスキーマ { name, schema }
+   * @returns {Promise<Object>} - { content, toolCalls, provider, model, usage }
+   */
+  async function chat(messages, options = {}) {
+    const { model, modelName, request } = prepare(messages, options);
+    try {
+      const result = await model.generateContent(request);
+      return toResult(result.response, modelName);
+    } catch (error) {
+      throw toProviderError(error);
+    }
+  }
+
+  /**
+   * チャット補完をストリーミング（generateContentStream）で実行する
+   * 生成された文章を受け取るたびに onDelta を呼び、完了したら chat() と同じ形式で返す
+   * @param {Array} messages - メッセージの配列
+   * @param {Object} options - chat() の生成オプション
+   * @param {Function} options.onDelta - 生成された文章の断片を受け取る関数
+   * @returns {Promise<Object>} - { content, toolCalls, provider, model, usage }
+   */
+  async function chatStream(messages, options = {}) {
+    const { model, modelName, request } = prepare(messages, options);
+    try {
+      const result = await model.generateContentStream(request);
+      for await (const chunk of result.stream) {
+        const text = chunk.text();
+        if (text) options.onDelta(text);
+      }
+      return toResult(await result.response, modelName);
+    } catch (error) {
+      throw toProviderError(error);
+    }
+  }
+
+  return {
+    name,
+    defaultModel,
+    isConfigured,
+    chat,
+    chatStream
+  };
+}
+
+module.exports = {
+  createGeminiProvider,
+  toGeminiRequest
+};
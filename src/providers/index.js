@@ -0,0 +1,512 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const { createOpenAICompatibleProvider } = require('./openAICompatibleProvider');
+const { createGeminiProvider } = require('./geminiProvider');
+const { createCircuitBreaker } = require('./circuitBreaker');
+const { ProviderError, StructuredOutputError, isRetryableStatus } = require('./providerError');
+const { validate, parseJsonText } = require('../utils/jsonSchema');
+const { estimateTokens, estimateMessagesTokens } = require('../utils/promptBuilder');
+
+// モデル設定
+const OPENROUTER_DAILY_MODEL = process.env.OPENROUTER_DAILY_MODEL || 'deepseek/deepseek-chat-v3-0324:free';
+const OPENROUTER_CHAT_MODEL = process.env.OPENROUTER_CHAT_MODEL || 'google/gemma-3-4b-it:free';
+const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-1.5-pro';
+
+// API呼び出しのタイムアウトと、同じモデルでの再試行（429・5xx・接続エラー・タイムアウトの場合）
+const requestOptions = {
+  timeoutMs: parseInt(process.env.LLM_REQUEST_TIMEOUT_MS || '60000', 10),
+  maxRetries: parseInt(process.env.LLM_MAX_RETRIES || '2', 10),
+  retryBaseDelayMs: parseInt(process.env.LLM_RETRY_BASE_DELAY_MS || '1000', 10),
+  maxRetryDelayMs: parseInt(process.env.LLM_MAX_RETRY_DELAY_MS || '20000', 10)
+};
+
+// 連続して失敗したモデルを一定時間使わないサーキットブレーカー（キー: provider:model）
+const circuitBreaker = createCircuitBreaker({
+  failureThreshold: parseInt(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD || '3', 10),
+  cooldownMs: parseInt(process.env.LLM_CIRCUIT_COOLDOWN_MS || '60000', 10)
+});
+
+// 構造化出力がスキーマに合わない場合に、検証エラーを伝えて生成し直す回数の上限（初回を含む）
+const STRUCTURED_MAX_ATTEMPTS = parseInt(process.env.LLM_STRUCTURED_MAX_ATTEMPTS || '3', 10);
+
+// すべての機能をローカルLLMで動かす場合（LLM_CHAIN_DEFAULT=local）はOpenRouterのキーは不要
+if (!process.env.OPENROUTER_API_KEY && process.env.LLM_CHAIN_DEFAULT !== 'local') {
+  console.warn('警告: OPENROUTER_API_KEYが設定されていません。');
+}
+
+// 利用可能なプロバイダー
+const providers = {
+  openrouter: createOpenAICompatibleProvider({
+    name: 'openrouter',
+    apiUrl: process.env.OPENROUTER_API_URL || 'https://openrouter.ai/api/v1',
+    apiKey: process.env.OPENROUTER_API_KEY,
+    defaultModel: OPENROUTER_DAILY_MODEL,
+    ...requestOptions,
+    headers: {
+      'HTTP-Referer': 'https://assistant-discord-bot',
+      'X-Title': 'Discord Assistant Bot',
+    }
+  }),
+
+  gemini: createGeminiProvider({
+    name: 'gemini',
+    apiKey: process.env.GEMINI_API_KEY,
+    defaultModel: GEMINI_MODEL,
+    timeoutMs: requestOptions.timeoutMs
+  }),
+
+  // llama.cpp server・Ollama・vLLMなどのセルフホストされたOpenAI互換サーバー
+  local: createOpenAICompatibleProvider({
+    name: 'local',
+    apiUrl: process.env.LOCAL_LLM_API_URL || 'http://localhost:1234/v1',
+    apiKey: process.env.LOCAL_LLM_API_KEY,
+    requireApiKey: false,
+    defaultModel: process.env.LOCAL_LLM_MODEL || 'local-model',
+    defaultOptions: {
+      temperature: process.env.LOCAL_LLM_TEMPERATURE ? parseFloat(process.env.LOCAL_LLM_TEMPERATURE) : undefined
+    },
+    maxTokensLimit: process.env.LOCAL_LLM_MAX_TOKENS ? parseInt(process.env.LOCAL_LLM_MAX_TOKENS, 10) : null,
+    ...requestOptions,
+    // ローカルのモデルは生成が遅いことが多いため、タイムアウトを別に設定できる
+    timeoutMs: parseInt(process.env.LOCAL_LLM_TIMEOUT_MS || '180000', 10)
+  })
+};
+
+// 長期記憶の埋め込みに使うOpenAI互換の /embeddings エンドポイント（MEMORY_EMBEDDING_BACKEND=openai の場合）
+// OpenAIのほか、Ollama・llama.cpp server などのローカルサーバーも指定できる
+const embeddingProvider = createOpenAICompatibleProvider({
+  name: 'embedding',
+  apiUrl: process.env.EMBEDDING_API_URL || 'https://api.openai.com/v1',
+  apiKey: process.env.EMBEDDING_API_KEY,
+  requireApiKey: false,
+  defaultModel: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+  timeoutMs: requestOptions.timeoutMs
+});
+
+// 機能ごとのデフォルトのフォールバックチェーン
+// 環境変数 LLM_CHAIN_<FEATURE>（例: LLM_CHAIN_CHAT="openrouter:google/gemma-3-4b-it:free,gemini"）で上書きできる
+const defaultChains = {
+  chat: `openrouter:${OPENROUTER_CHAT_MODEL},gemini`,
+  advanced: `openrouter:${OPENROUTER_DAILY_MODEL},gemini`,
+  extraction: `openrouter:${OPENROUTER_DAILY_MODEL},gemini`,
+  journal: `openrouter:${OPENROUTER_DAILY_MODEL},gemini`,
+  ideas: `gemini,openrouter:${OPENROUTER_DAILY_MODEL}`,
+  summary: `openrouter:${OPENROUTER_DAILY_MODEL},gemini`,
+  agent: `openrouter:${OPENROUTER_DAILY_MODEL},gemini`,
+  intent: `openrouter:${OPENROUTER_CHAT_MODEL},gemini`,
+  memory: `openrouter:${OPENROUTER_CHAT_MODEL},gemini`
+};
+
+// モデルのコンテキスト長（入力と生成の合計のトークン数）。モデル名の前方一致で、最も長く一致したものを使う
+// 環境変数 LLM_CONTEXT_WINDOWS（例: "google/gemma-3-4b-it:free=8192,my-model=32768"）で追加・上書きできる
+const modelContextWindows = {
+  'google/gemma-3': 32768,
+  'deepseek/deepseek-chat': 65536,
+  'gemini-1.5-pro': 2097152,
+  'gemini-1.5-flash': 1048576,
+  'gemini-2': 1048576,
+  ...parseContextWindows(process.env.LLM_CONTEXT_WINDOWS || '')
+};
+
+// 一覧にないモデルのコンテキスト長（プロバイダーごと、なければ DEFAULT_CONTEXT_WINDOW）
+const providerContextWindows = {
+  local: parseInt(process.env.LOCAL_LLM_CONTEXT_WINDOW || '4096', 10)
+};
+const DEFAULT_CONTEXT_WINDOW = parseInt(process.env.LLM_DEFAULT_CONTEXT_WINDOW || '8192', 10);
+
+/**
+ * コンテキスト長の設定文字列を解析する
+ * @param {string} spec - "model=tokens" のカンマ区切り
+ * @returns {Object} - { model: tokens }
+ */
+function parseContextWindows(spec) {
+  const windows = {};
+  for (const entry of spec.split(',')) {
+    const separator = entry.lastIndexOf('=');
+    const tokens = parseInt(entry.slice(separator + 1), 10);
+    if (separator > 0 && tokens > 0) {
+      windows[entry.slice(0, separator).trim()] = tokens;
+    }
+  }
+  return windows;
+}
+
+/**
+ * チェーン定義文字列を解析する
+ * 各要素は "provider" または "provider:model" 形式（モデル名自体に ":" を含んでもよい）
+ * @param {string} spec - カンマ区切りのチェーン定義
+ * @returns {Array<Object>} - [{ provider, model }]
+ */
+function parseChain(spec) {
+  return spec
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      if (separator === -1) {
+        return { provider: entry, model: null };
+      }
+      return {
+        provider: entry.slice(0, separator),
+        model: entry.slice(separator + 1) || null
+      };
+    });
+}
+
+/**
+ * 機能に対応するフォールバックチェーンを取得する
+ * @param {string} feature - 機能名（chat, advanced, extraction, journal, ideas, summary, agent, intent, memory）
+ * @returns {Array<Object>} - [{ provider, model }]
+ */
+function getChain(feature) {
+  const envKey = `LLM_CHAIN_${feature.toUpperCase()}`;
+  const spec = process.env[envKey] || process.env.LLM_CHAIN_DEFAULT || defaultChains[feature] || defaultChains.chat;
+  return parseChain(spec);
+}
+
+/**
+ * すべての機能のチェーン（環境変数・既定）に含まれるモデルを取得する
+ * @returns {Array<string>} - 'provider:model' の配列（モデル未指定の要素はプロバイダーの既定のモデル）
+ */
+function getConfiguredModels() {
+  const models = new Set();
+  for (const feature of Object.keys(defaultChains)) {
+    for (const entry of getChain(feature)) {
+      const provider = providers[entry.provider];
+      if (provider) {
+        models.add(`${entry.provider}:${entry.model || provider.defaultModel}`);
+      }
+    }
+  }
+  return [...models];
+}
+
+/**
+ * モデルのコンテキスト長を取得する
+ * @param {string} providerName - プロバイダー名
+ * @param {string|null} model - モデル名（省略時はプロバイダーの既定のモデル）
+ * @returns {number} - コンテキスト長（トークン数）
+ */
+function getModelContextWindow(providerName, model = null) {
+  const provider = providers[providerName];
+  const name = model || (provider ? provider.defaultModel : '');
+  const match = Object.keys(modelContextWindows)
+    .filter(prefix => name.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  if (match) return modelContextWindows[match];
+  return providerContextWindows[providerName] || DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * 機能のチェーンのモデルのうち、最も小さいコンテキスト長を取得する（どのモデルにフォールバックしても収まるように）
+ * @param {string} feature - 機能名
+ * @param {string|null} [chain] - 機能の既定のチェーンの代わりに使うチェーン（'provider:model,...'）
+ * @returns {number} - コンテキスト長（トークン数）
+ */
+function getContextWindow(feature, chain = null) {
+  const windows = (chain ? parseChain(chain) : getChain(feature))
+    .filter(entry => providers[entry.provider])
+    .map(entry => getModelContextWindow(entry.provider, entry.model));
+  return windows.length > 0 ? Math.min(...windows) : DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * いずれかの機能のチェーンでプロバイダーが使われているかを判定する
+ * @param {string} providerName - プロバイダー名
+ * @returns {boolean} - 使われている場合true
+ */
+function isProviderInUse(providerName) {
+  return Object.keys(defaultChains)
+    .some(feature => getChain(feature).some(entry => entry.provider === providerName));
+}
+
+// 応答のキャッシュ（setResponseCache() で設定）
+let responseCache = null;
+
+// キャッシュを自動で使う構造化出力の温度の上限（これより高い温度、または温度の指定がない呼び出しは options.cache: true の場合のみ）
+const CACHE_MAX_TEMPERATURE = parseFloat(process.env.LLM_CACHE_MAX_TEMPERATURE || '0.3');
+
+/**
+ * 応答のキャッシュを設定する
+ * @param {Object|null} cache - { get(key): Promise<結果|null>, set(key, 結果, { feature }): Promise, delete(key): Promise }
+ */
+function setResponseCache(cache) {
+  responseCache = cache;
+}
+
+/**
+ * 呼び出しでキャッシュを使うかを判定する
+ * options.cache を指定しない場合は、温度の低い構造化出力（JSONモード）のみ使う
+ * @param {Object} options - complete() の生成オプション
+ * @returns {boolean} - 使う場合true
+ */
+function shouldUseCache(options) {
+  if (!responseCache) return false;
+  if (options.cache !== undefined) return Boolean(options.cache);
+  return Boolean(options.responseFormat) && typeof options.temperature === 'number' && options.temperature <= CACHE_MAX_TEMPERATURE;
+}
+
+/**
+ * 応答のキャッシュのキーを求める（プロバイダー・モデル・メッセージ・生成パラメータのSHA-256）
+ * @param {string} provider - プロバイダー名
+ * @param {string} model - モデル名
+ * @param {Array} messages - メッセージの配列
+ * @param {Object} options - complete() の生成オプション
+ * @returns {string} - キー
+ */
+function getCacheKey(provider, model, messages, options) {
+  const { temperature = null, maxTokens = null, tools = null, responseFormat = null } = options;
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([provider, model, messages, { temperature, maxTokens, tools, responseFormat }]))
+    .digest('hex');
+}
+
+// LLMの呼び出しごとに利用状況を受け取る関数（setUsageListener() で設定）
+let usageListener = null;
+
+/**
+ * LLMの呼び出しごとに利用状況を受け取る関数を設定する
+ * @param {Function|null} listener - ({ feature, provider, model, promptTokens, completionTokens, latencyMs, success }) => void
+ */
+function setUsageListener(listener) {
+  usageListener = listener;
+}
+
+/**
+ * 1回の呼び出しの利用状況を通知する
+ * トークン数を返さないプロバイダーは見積もり、失敗した呼び出しは0とする。通知先のエラーは呼び出しに影響させない
+ * @param {string} feature - 機能名
+ * @param {Array} messages - 送信したメッセージの配列
+ * @param {Object} call - { provider, model, startedAt }
+ * @param {Object|null} result - 成功した場合の complete() の結果
+ */
+function reportUsage(feature, messages, call, result) {
+  if (!usageListener) return;
+
+  const usage = (result && result.usage) || {};
+  const entry = {
+    feature,
+    provider: call.provider,
+    model: (result && result.model) || call.model,
+    promptTokens: result ? usage.promptTokens || estimateMessagesTokens(messages) : 0,
+    completionTokens: result ? usage.completionTokens || estimateTokens(result.content) : 0,
+    latencyMs: Date.now() - call.startedAt,
+    success: Boolean(result)
+  };
+  try {
+    Promise.resolve(usageListener(entry))
+      .catch(error => console.error('LLMの利用状況の記録中にエラーが発生しました:', error));
+  } catch (error) {
+    console.error('LLMの利用状況の記録中にエラーが発生しました:', error);
+  }
+}
+
+/**
+ * 機能に設定されたプロバイダーを順に試してチャット補完を実行する
+ * 429/5xx・接続エラー・タイムアウトは同じモデルで再試行したうえで、次のプロバイダーへフォールバックする
+ * 未設定のプロバイダーと、連続して失敗してクールダウン中のモデルは飛ばす
+ * @param {string} feature - 機能名
+ * @param {Array} messages - メッセージの配列 [{role: 'system|user|assistant', content: 'メッセージ内容'}]
+ * @param {Object} options - 生成オプション
+ * @param {number} [options.temperature] - 温度パラメータ
+ * @param {number} [options.maxTokens] - 最大生成トークン数
+ * @param {Function} [options.onRetry] - 再試行・フォールバックの前に呼ぶ関数（{ provider, model, attempt, delayMs, reason }）
+ * @param {Function} [options.onDelta] - 指定するとストリーミングで生成し、文章の断片を受け取るたびに呼ぶ
+ *   （ツール・JSONモードの場合と、ストリーミングに対応していないプロバイダー・キャッシュの応答は、完了後に全文で1回呼ぶ）
+ *   生成の途中で失敗した場合は、出力が重複しないよう次のプロバイダーへフォールバックせずにエラーにする
+ * @param {string} [options.chain] - 機能の既定のチェーンの代わりに使うチェーン（'provider:model,...'、サーバーごとの設定など）
+ * @param {boolean} [options.cache] - 応答のキャッシュを使うか（省略時は温度の低い構造化出力のみ。false で読み書きともにしない）
+ * @returns {Promise<Object>} - { content, provider, model, usage, cached, cacheKey }
+ *   （cached: キャッシュの応答か、cacheKey: キャッシュを使った場合のキー、使わない場合はnull）
+ */
+async function complete(feature, messages, options = {}) {
+  const chain = options.chain ? parseChain(options.chain) : getChain(feature);
+  const errors = [];
+  let failed = false;
+
+  const useCache = shouldUseCache(options);
+  const streaming = typeof options.onDelta === 'function' && !options.tools && !options.responseFormat;
+  let streamed = false;
+  const onDelta = delta => {
+    streamed = true;
+    options.onDelta(delta);
+  };
+
+  for (const entry of chain) {
+    const provider = providers[entry.provider];
+    if (!provider) {
+      console.warn(`警告: 未知のプロバイダー「${entry.provider}」をスキップします（機能: ${feature}）`);
+      continue;
+    }
+
+    const model = entry.model || provider.defaultModel;
+    const circuitKey = `${entry.provider}:${model}`;
+
+    // 同じ入力の応答がキャッシュにあれば、APIを呼ばずに返す（キャッシュの読み込みに失敗した場合は呼び出す）
+    const cacheKey = useCache && provider.isConfigured() ? getCacheKey(entry.provider, model, messages, options) : null;
+    if (cacheKey) {
+      const cached = await responseCache.get(cacheKey)
+        .catch(error => console.error('応答のキャッシュの読み込み中にエラーが発生しました:', error));
+      if (cached) {
+        const result = { ...cached, provider: entry.provider, cached: true, cacheKey };
+        if (options.onDelta) onDelta(result.content);
+        return result;
+      }
+    }
+    if (provider.isConfigured() && circuitBreaker.isOpen(circuitKey)) {
+      errors.push(new ProviderError(`${circuitKey} はクールダウン中です`, { provider: entry.provider, retryable: true }));
+      continue;
+    }
+
+    // 前のプロバイダーが失敗した場合は、次のプロバイダーで再試行していることを知らせる
+    if (failed && options.onRetry && provider.isConfigured()) {
+      options.onRetry({ provider: entry.provider, model, attempt: 0, delayMs: 0, reason: errors[errors.length - 1].message });
+    }
+
+    const call = { provider: entry.provider, model, startedAt: Date.now() };
+    try {
+      const result = streaming && provider.chatStream
+        ? await provider.chatStream(messages, { ...options, model, onDelta })
+        : await provider.chat(messages, { ...options, model });
+      circuitBreaker.recordSuccess(circuitKey);
+      reportUsage(feature, messages, call, result);
+      if (options.onDelta && !streamed) {
+        onDelta(result.content);
+      }
+      if (cacheKey) {
+        await responseCache.set(cacheKey, result, { feature })
+          .catch(error => console.error('応答のキャッシュの保存中にエラーが発生しました:', error));
+      }
+      return { ...result, cached: false, cacheKey };
+    } catch (error) {
+      // 混雑・障害による失敗のみを数える（ツール非対応などのエラーはモデルが応答しているため成功とみなす）
+      const unavailable = error instanceof ProviderError && error.retryable
+        && (error.status === null || isRetryableStatus(error.status));
+      if (provider.isConfigured()) {
+        reportUsage(feature, messages, call, null);
+      }
+      if (unavailable && provider.isConfigured()) {
+        circuitBreaker.recordFailure(circuitKey, { retryAfterMs: error.retryAfterMs });
+        failed = true;
+      } else {
+        circuitBreaker.recordSuccess(circuitKey);
+      }
+
+      if (!(error instanceof ProviderError) || !error.retryable || streamed) {
+        throw error;
+      }
+      console.warn(`${entry.provider} での生成に失敗したため次のプロバイダーを試します: ${error.message}`);
+      errors.push(error);
+    }
+  }
+
+  const detail = errors.map(error => error.message).join(' / ');
+  throw new ProviderError(`利用可能なプロバイダーがありません（機能: ${feature}）${detail ? `: ${detail}` : ''}`, {
+    provider: null,
+    retryable: false
+  });
+}
+
+/**
+ * complete() の生成テキストのみを返す
+ * @param {string} feature - 機能名
+ * @param {Array} messages - メッセージの配列
+ * @param {Object} options - 生成オプション
+ * @returns {Promise<string>} - 生成されたテキスト
+ */
+async function chat(feature, messages, options = {}) {
+  const result = await complete(feature, messages, options);
+  return result.content;
+}
+
+/**
+ * JSON Schemaに従った構造化出力を生成する
+ * 対応するプロバイダーではJSONモードを使い、応答をスキーマで補正・検証する
+ * スキーマに合わない場合は検証エラーを伝えて生成し直し、上限に達したら StructuredOutputError を投げる
+ * @param {string} feature - 機能名
+ * @param {Array} messages - メッセージの配列
+ * @param {Object} schema - 出力のJSON Schema
+ * @param {Object} options - 生成オプション（complete() と同じ）
+ * @param {string} [options.name] - スキーマの名前（JSONモードで使用）
+ * @param {number} [options.maxAttempts] - 生成を試みる回数の上限
+ * @returns {Promise<Object>} - { data: 検証済みの値, content, provider, model, usage, attempts }
+ */
+async function completeStructured(feature, messages, schema, options = {}) {
+  const { name = 'result', maxAttempts = STRUCTURED_MAX_ATTEMPTS, ...generation } = options;
+
+  // JSONモードのないプロバイダーでも従えるよう、スキーマをシステムプロンプトに添える
+  const schemaPrompt = `出力は次のJSON Schemaに従ったJSONのみとし、説明文やコードブロックを付けないでください。\n${JSON.stringify(schema)}`;
+  const conversation = messages[0] && messages[0].role === 'system'
+    ? [{ ...messages[0], content: `${messages[0].content}\n\n${schemaPrompt}` }, ...messages.slice(1)]
+    : [{ role: 'system', content: schemaPrompt }, ...messages];
+
+  let result;
+  let errors = [];
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    result = await complete(feature, conversation, {
+      ...generation,
+      responseFormat: { name, schema }
+    });
+
+    try {
+      const checked = validate(schema, parseJsonText(result.content));
+      if (checked.errors.length === 0) {
+        return { ...result, data: checked.value, attempts: attempt };
+      }
+      errors = checked.errors;
+    } catch (error) {
+      errors = [error.message];
+    }
+
+    // スキーマに合わない応答は、次回同じ入力で使わないようキャッシュから消す
+    if (result.cacheKey) {
+      await responseCache.delete(result.cacheKey)
+        .catch(error => console.error('応答のキャッシュの削除中にエラーが発生しました:', error));
+    }
+
+    console.warn(`構造化出力がスキーマに合いませんでした（機能: ${feature}、${attempt}/${maxAttempts}回目）: ${errors.join(' / ')}`);
+    conversation.push(
+      { role: 'assistant', content: result.content },
+      { role: 'user', content: `前回の出力には次の問題がありました。\n${errors.map(error => `- ${error}`).join('\n')}\nスキーマに従ったJSONのみを出力し直してください。` }
+    );
+  }
+
+  throw new StructuredOutputError(`AIの応答を読み取れませんでした（${maxAttempts}回試行）: ${errors.slice(0, 3).join(' / ')}`, {
+    errors,
+    output: result ? result.content : '',
+    attempts: maxAttempts
+  });
+}
+
+/**
+ * completeStructured() の検証済みの値のみを返す
+ * @param {string} feature - 機能名
+ * @param {Array} messages - メッセージの配列
+ * @param {Object} schema - 出力のJSON Schema
+ * @param {Object} options - 生成オプション
+ * @returns {Promise<*>} - 検証済みの値
+ */
+async function structured(feature, messages, schema, options = {}) {
+  const result = await completeStructured(feature, messages, schema, options);
+  return result.data;
+}
+
+module.exports = {
+  providers,
+  embeddingProvider,
+  getChain,
+  parseChain,
+  getConfiguredModels,
+  isProviderInUse,
+  setUsageListener,
+  setResponseCache,
+  getModelContextWindow,
+  getContextWindow,
+  complete,
+  chat,
+  completeStructured,
+  structured,
+  ProviderError,
+  StructuredOutputError
+};
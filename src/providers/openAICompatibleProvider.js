@@ -0,0 +1,495 @@
+const { StringDecoder } = require('string_decoder');
+const fetch = require('node-fetch');
+const { Response } = fetch;
+const { ProviderError, isRetryableStatus } = require('./providerError');
+const { parseRetryAfter, backoffDelay, sleep } = require('./retry');
+
+/**
+ * プロバイダー層のメッセージをOpenAI形式に変換する
+ * ツール呼び出しを含むassistantメッセージと、ツールの実行結果（toolロール）を変換する
+ * @param {Array} messages - [{role, content, toolCalls?, toolCallId?}]
+ * @returns {Array} - OpenAI形式のメッセージ配列
+ */
+function toOpenAIMessages(messages) {
+  return messages.map(msg => {
+    if (msg.role === 'assistant' && msg.toolCalls && msg.toolCalls.length > 0) {
+      return {
+        role: 'assistant',
+        content: msg.content || null,
+        tool_calls: msg.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.args || {}) }
+        }))
+      };
+    }
+    if (msg.role === 'tool') {
+      return { role: 'tool', tool_call_id: msg.toolCallId, content: msg.content };
+    }
+    return { role: msg.role, content: msg.content };
+  });
+}
+
+/**
+ * OpenAI形式のツール呼び出しをプロバイダー層の形式に変換する
+ * @param {Array} toolCalls - OpenAI形式の tool_calls
+ * @returns {Array} - [{id, name, args}]
+ */
+function fromOpenAIToolCalls(toolCalls = []) {
+  return toolCalls.map(call => {
+    let args = {};
+    try {
+      args = call.function.arguments ? JSON.parse(call.function.arguments) : {};
+    } catch (error) {
+      console.warn(`ツール引数のJSON解析に失敗しました（${call.function.name}）: ${call.function.arguments}`);
+    }
+    return { id: call.id, name: call.function.name, args };
+  });
+}
+
+/**
+ * OpenAI互換のChat Completions APIを呼び出すプロバイダーを作成する
+ * OpenRouter・ローカルLLMサーバーなど、/chat/completions を持つエンドポイントで共通に使用する
+ * @param {Object} config - プロバイダー設定
+ * @param {string} config.name - プロバイダー名
+ * @param {string} config.apiUrl - ベースURL（例: https://openrouter.ai/api/v1）
+ * @param {string} [config.apiKey] - APIキー
+ * @param {boolean} [config.requireApiKey] - APIキーを必須とするか
+ * @param {string} config.defaultModel - モデル未指定時に使用するモデル名
+ * @param {Object} [config.headers] - 追加のHTTPヘッダー
+ * @param {Object} [config.defaultOptions] - 呼び出し側で未指定の場合に使う生成オプション（temperature, maxTokens）
+ * @param {number} [config.maxTokensLimit] - 最大生成トークン数の上限（コンテキストの小さいモデル向け）
+ * @param {number} [config.timeoutMs] - 1回のリクエストのタイムアウト（ミリ秒）
+ * @param {number} [config.maxRetries] - 429・5xx・接続エラー・タイムアウトの場合に同じモデルで再試行する回数
+ * @param {number} [config.retryBaseDelayMs] - 1回目の再試行までの基準の間隔（以降は倍々に伸ばし、揺らぎを加える）
+ * @param {number} [config.maxRetryDelayMs] - 再試行までの間隔の上限（Retry-After がこれより長い場合は再試行しない）
+ * @returns {Object} - プロバイダー
+ */
+function createOpenAICompatibleProvider(config) {
+  const {
+    name,
+    apiUrl,
+    apiKey = null,
+    requireApiKey = true,
+    defaultModel,
+    headers = {},
+    defaultOptions = {},
+    maxTokensLimit = null,
+    timeoutMs = 60000,
+    maxRetries = 2,
+    retryBaseDelayMs = 1000,
+    maxRetryDelayMs = 20000
+  } = config;
+
+  const baseUrl = apiUrl.replace(/\/+$/, '');
+  const endpoint = `${baseUrl}/chat/completions`;
+
+  // JSONモード（response_format）を拒否したモデル。以降は指定せずに送る
+  const jsonModeUnsupported = new Set();
+
+  function buildHeaders() {
+    const requestHeaders = {
+      'Content-Type': 'application/json',
+      ...headers
+    };
+    if (apiKey) {
+      requestHeaders['Authorization'] = `Bearer ${apiKey}`;
+    }
+    return requestHeaders;
+  }
+
+  function resolveMaxTokens(maxTokens) {
+    const value = maxTokens ?? defaultOptions.maxTokens;
+    if (maxTokensLimit && (value === undefined || value > maxTokensLimit)) {
+      return maxTokensLimit;
+    }
+    return value;
+  }
+
+  function isConfigured() {
+    return Boolean(apiUrl) && (!requireApiKey || Boolean(apiKey));
+  }
+
+  /**
+   * タイムアウト付きでリクエストを送る
+   * ヘッダーだけ先に返して本文が届かない場合があるため、本文を読み終えるまでをタイムアウトの対象にする
+   * （ストリーミングの場合はヘッダーまで。本文は chatStream() が無通信の時間で打ち切る）
+   * 接続エラー・タイムアウトは次のプロバイダーで再試行できるエラーにする
+   * @param {string} url - URL
+   * @param {Object} init - fetch のオプション
+   * @param {Object} [options] - オプション
+   * @param {boolean} [options.stream] - 本文を読まずに返すか
+   * @returns {Promise<Response>} - レスポンス
+   */
+  async function fetchWithTimeout(url, init, { stream = false } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetch(url, { ...init, signal: controller.signal });
+      if (stream) return response;
+
+      const body = await response.buffer();
+      return new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+        url: response.url
+      });
+    } catch (error) {
+      const message = error.name === 'AbortError'
+        ? `${name} の応答が${Math.round(timeoutMs / 1000)}秒以内に返りませんでした`
+        : `${name} との通信に失敗しました: ${error.message}`;
+      throw new ProviderError(message, { provider: name, retryable: true });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * レスポンスの本文をJSONとして読む（壊れた本文は次のプロバイダーで再試行できるエラーにする）
+   * @param {Response} response - レスポンス
+   * @returns {Promise<Object>} - 本文
+   */
+  async function readJson(response) {
+    try {
+      return await response.json();
+    } catch (error) {
+      throw new ProviderError(`${name} API の応答をJSONとして解析できませんでした: ${error.message}`, {
+        provider: name,
+        retryable: true
+      });
+    }
+  }
+
+  /**
+   * Chat Completions APIにリクエストを送る
+   * 429・5xx・接続エラー・タイムアウトの場合は、間隔を空けて同じモデルで再試行する（Retry-After があればそれに従う）
+   * @param {Object} body - リクエストボディ
+   * @param {Function} [onRetry] - 再試行の前に呼ぶ関数（{ provider, model, attempt, delayMs, reason }）
+   * @returns {Promise<Response>} - 成功または再試行しないエラーのレスポンス
+   */
+  async function send(body, onRetry = null) {
+    for (let attempt = 0; ; attempt++) {
+      let error;
+      try {
+        const response = await fetchWithTimeout(endpoint, {
+          method: 'POST',
+          headers: buildHeaders(),
+          body: JSON.stringify(body)
+        }, { stream: Boolean(body.stream) });
+        if (response.ok || !isRetryableStatus(response.status)) {
+          return response;
+        }
+        error = new ProviderError(`${name} API エラー: ${response.status} ${response.statusText}`, {
+          provider: name,
+          status: response.status,
+          retryable: true,
+          retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+        });
+      } catch (fetchError) {
+        error = fetchError;
+      }
+
+      const delayMs = error.retryAfterMs ?? backoffDelay(attempt, { baseDelayMs: retryBaseDelayMs, maxDelayMs: maxRetryDelayMs });
+      if (attempt >= maxRetries || delayMs > maxRetryDelayMs) {
+        throw error;
+      }
+
+      console.warn(`${name}（${body.model}）の呼び出しに失敗したため、${(delayMs / 1000).toFixed(1)}秒後に再試行します（${attempt + 1}/${maxRetries}）: ${error.message}`);
+      if (onRetry) {
+        onRetry({ provider: name, model: body.model, attempt: attempt + 1, delayMs, reason: error.message });
+      }
+      await sleep(delayMs);
+    }
+  }
+
+  /**
+   * Chat Completions APIにリクエストを送り、成功したレスポンスを返す
+   * @param {Array} messages - メッセージの配列
+   * @param {Object} options - chat() の生成オプション
+   * @param {Object} [extraBody] - リクエストボディに追加する項目（ストリーミングの stream など）
+   * @returns {Promise<Object>} - { response, model }
+   */
+  async function requestCompletion(messages, options, extraBody = {}) {
+    if (!isConfigured()) {
+      throw new ProviderError(`${name} のAPIキーまたはURLが設定されていません。`, {
+        provider: name,
+        retryable: true
+      });
+    }
+
+    const model = options.model || defaultModel;
+    const hasTools = Array.isArray(options.tools) && options.tools.length > 0;
+
+    const body = {
+      model,
+      messages: toOpenAIMessages(messages),
+      temperature: options.temperature ?? defaultOptions.temperature,
+      max_tokens: resolveMaxTokens(options.maxTokens),
+      ...extraBody
+    };
+    if (hasTools) {
+      body.tools = options.tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+      }));
+    }
+
+    if (options.responseFormat && !jsonModeUnsupported.has(model)) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: options.responseFormat.name, schema: options.responseFormat.schema }
+      };
+    }
+
+    let response = await send(body, options.onRetry);
+
+    // JSONモード（response_format）に対応していないモデル・サーバーは400を返すため、指定なしで送り直す
+    // コンテキスト長の超過など別の理由の400と区別するため、エラーの本文が response_format に触れている場合に限る
+    let errorDetail = '';
+    if (response.status === 400 && body.response_format) {
+      errorDetail = await response.text().catch(() => '');
+      if (/response_format|json_schema/i.test(errorDetail)) {
+        console.warn(`${name}（${model}）はJSONモードに対応していないため、指定なしで再送します`);
+        jsonModeUnsupported.add(model);
+        delete body.response_format;
+        errorDetail = '';
+        response = await send(body, options.onRetry);
+      }
+    }
+
+    if (!response.ok) {
+      // ツール呼び出しに対応していないモデルは400/404を返すため、次のプロバイダーへ回す
+      const unsupportedTools = hasTools && (response.status === 400 || response.status === 404);
+      const detail = errorDetail ? `（${errorDetail.slice(0, 200)}）` : '';
+      throw new ProviderError(`${name} API エラー: ${response.status} ${response.statusText}${detail}`, {
+        provider: name,
+        status: response.status,
+        retryable: isRetryableStatus(response.status) || unsupportedTools
+      });
+    }
+
+    return { response, model };
+  }
+
+  /**
+   * チャット補完を実行する
+   * @param {Array} messages - メッセージの配列 [{role: 'system|user|assistant', content: 'メッセージ内容'}]
+   * @param {Object} options - 生成オプション
+   * @param {string} [options.model] - 使用するモデル名
+   * @param {number} [options.temperature] - 温度パラメータ
+   * @param {number} [options.maxTokens] - 最大生成トークン数
+   * @param {Array} [options.tools] - 利用可能なツール [{name, description, parameters}]
+   * @param {Object} [options.responseFormat] - JSONで出力させる場合のスキーマ { name, schema }
+   * @param {Function} [options.onRetry] - 同じモデルで再試行する前に呼ぶ関数（利用者への「再試行中」の表示など）
+   * @returns {Promise<Object>} - { content, toolCalls, provider, model, usage }
+   */
+  async function chat(messages, options = {}) {
+    const { response, model } = await requestCompletion(messages, options);
+
+    const data = await readJson(response);
+    const choice = data.choices && data.choices[0];
+    if (!choice || !choice.message) {
+      // OpenRouterは混雑時に200でエラー本文を返すことがある
+      throw new ProviderError(`${name} API から空の応答が返されました`, {
+        provider: name,
+        retryable: true
+      });
+    }
+
+    return {
+      content: (choice.message.content || '').trim(),
+      toolCalls: fromOpenAIToolCalls(choice.message.tool_calls),
+      provider: name,
+      model: data.model || model,
+      usage: {
+        promptTokens: data.usage ? data.usage.prompt_tokens : null,
+        completionTokens: data.usage ? data.usage.completion_tokens : null
+      }
+    };
+  }
+
+  /**
+   * チャット補完をストリーミング（Server-Sent Events）で実行する
+   * 生成された文章を受け取るたびに onDelta を呼び、完了したら chat() と同じ形式で返す（ツール呼び出しには対応しない）
+   * @param {Array} messages - メッセージの配列
+   * @param {Object} options - chat() の生成オプション
+   * @param {Function} options.onDelta - 生成された文章の断片を受け取る関数
+   * @returns {Promise<Object>} - { content, toolCalls, provider, model, usage }
+   */
+  async function chatStream(messages, options = {}) {
+    const { response, model } = await requestCompletion(messages, options, {
+      stream: true,
+      stream_options: { include_usage: true }
+    });
+
+    let content = '';
+    let resolvedModel = model;
+    let usage = null;
+    let buffer = '';
+    // 複数バイトの文字がチャンクの境目で分かれても壊れないよう、ストリーム全体で1つのデコーダーを使う
+    const decoder = new StringDecoder('utf8');
+
+    // 一定時間データが届かない場合は打ち切る
+    let idleTimer = null;
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        response.body.destroy(new Error(`${Math.round(timeoutMs / 1000)}秒間データが届きませんでした`));
+      }, timeoutMs);
+    };
+
+    /**
+     * SSEの1行を処理する（data: 以外の行・コメント行は無視する）
+     * @param {string} line - 行
+     * @returns {boolean} - 終了（data: [DONE]）の場合true
+     */
+    const handleLine = line => {
+      if (!line.startsWith('data:')) return false;
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') return true;
+
+      const data = JSON.parse(payload);
+      if (data.error) {
+        throw new ProviderError(`${name} API エラー: ${data.error.message || JSON.stringify(data.error)}`, {
+          provider: name,
+          retryable: true
+        });
+      }
+      resolvedModel = data.model || resolvedModel;
+      if (data.usage) usage = data.usage;
+
+      const delta = data.choices && data.choices[0] && data.choices[0].delta;
+      if (delta && delta.content) {
+        content += delta.content;
+        options.onDelta(delta.content);
+      }
+      return false;
+    };
+
+    try {
+      resetIdleTimer();
+      let done = false;
+      for await (const chunk of response.body) {
+        resetIdleTimer();
+        buffer += decoder.write(chunk);
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        for (const line of lines) {
+          if (handleLine(line)) {
+            done = true;
+            break;
+          }
+        }
+        if (done) break;
+      }
+      if (!done) {
+        buffer += decoder.end();
+        if (buffer) handleLine(buffer);
+      }
+    } catch (error) {
+      if (error instanceof ProviderError) throw error;
+      throw new ProviderError(`${name} のストリーミング中にエラーが発生しました: ${error.message}`, {
+        provider: name,
+        retryable: true
+      });
+    } finally {
+      clearTimeout(idleTimer);
+    }
+
+    if (!content) {
+      throw new ProviderError(`${name} API から空の応答が返されました`, {
+        provider: name,
+        retryable: true
+      });
+    }
+
+    return {
+      content: content.trim(),
+      toolCalls: [],
+      provider: name,
+      model: resolvedModel,
+      usage: {
+        promptTokens: usage ? usage.prompt_tokens : null,
+        completionTokens: usage ? usage.completion_tokens : null
+      }
+    };
+  }
+
+  /**
+   * 文章の埋め込みベクトルを取得する（/embeddings）
+   * @param {Array<string>} texts - 文章の配列
+   * @param {Object} options - オプション
+   * @param {string} [options.model] - 使用するモデル名
+   * @returns {Promise<Array<Array<number>>>} - 文章と同じ順のベクトル
+   */
+  async function embed(texts, options = {}) {
+    if (!isConfigured()) {
+      throw new ProviderError(`${name} のAPIキーまたはURLが設定されていません。`, {
+        provider: name,
+        retryable: true
+      });
+    }
+
+    const response = await fetchWithTimeout(`${baseUrl}/embeddings`, {
+      method: 'POST',
+      headers: buildHeaders(),
+      body: JSON.stringify({ model: options.model || defaultModel, input: texts })
+    });
+
+    if (!response.ok) {
+      throw new ProviderError(`${name} API エラー: ${response.status} ${response.statusText}`, {
+        provider: name,
+        status: response.status,
+        retryable: isRetryableStatus(response.status)
+      });
+    }
+
+    const data = await readJson(response);
+    const embeddings = (data.data || [])
+      .slice()
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+    if (embeddings.length !== texts.length) {
+      throw new ProviderError(`${name} API から${texts.length}件中${embeddings.length}件の埋め込みしか返されませんでした`, {
+        provider: name,
+        retryable: true
+      });
+    }
+    return embeddings;
+  }
+
+  /**
+   * エンドポイントで利用可能なモデルの一覧を取得する（接続確認にも使用する）
+   * @returns {Promise<Array<string>>} - モデルIDの配列
+   */
+  async function listModels() {
+    const response = await fetchWithTimeout(`${baseUrl}/models`, { headers: buildHeaders() });
+
+    if (!response.ok) {
+      throw new ProviderError(`${name} API エラー: ${response.status} ${response.statusText}`, {
+        provider: name,
+        status: response.status,
+        retryable: isRetryableStatus(response.status)
+      });
+    }
+
+    const data = await readJson(response);
+    return (data.data || []).map(model => model.id);
+  }
+
+  return {
+    name,
+    defaultModel,
+    isConfigured,
+    chat,
+    chatStream,
+    embed,
+    listModels
+  };
+}
+
+module.exports = {
+  createOpenAICompatibleProvider,
+  toOpenAIMessages
+};
@@ -0,0 +1,57 @@
+/**
+ * LLMプロバイダー呼び出しの失敗を表すエラー
+ * retryable が true の場合、フォールバックチェーンは次のプロバイダーへ移る
+ */
+class ProviderError extends Error {
+  /**
+   * @param {string} message - エラーメッセージ
+   * @param {Object} details - 詳細情報
+   * @param {string} details.provider - プロバイダー名
+   * @param {number} [details.status] - HTTPステータスコード
+   * @param {boolean} [details.retryable] - 次のプロバイダーで再試行できるか
+   * @param {number|null} [details.retryAfterMs] - APIが Retry-After で指定した待ち時間（ミリ秒）
+   */
+  constructor(message, { provider, status = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * LLMの構造化出力が、再生成を繰り返してもスキーマに合わなかったことを表すエラー
+ */
+class StructuredOutputError extends Error {
+  /**
+   * @param {string} message - エラーメッセージ
+   * @param {Object} details - 詳細情報
+   * @param {Array<string>} details.errors - 最後の応答の検証エラー
+   * @param {string} details.output - 最後の応答テキスト
+   * @param {number} details.attempts - 生成を試みた回数
+   */
+  constructor(message, { errors = [], output = '', attempts = 0 } = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.errors = errors;
+    this.output = output;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * HTTPステータスコードがフォールバック対象かどうかを判定する
+ * @param {number} status - HTTPステータスコード
+ * @returns {boolean} - 429または5xxの場合true
+ */
+function isRetryableStatus(status) {
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+module.exports = {
+  ProviderError,
+  StructuredOutputError,
+  isRetryableStatus
+};
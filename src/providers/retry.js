@@ -0,0 +1,50 @@
+/**
+ * LLMのAPI呼び出しの再試行の間隔
+ * 指数バックオフ（基準の間隔 × 2^試行回数、上限あり）に揺らぎ（jitter）を加え、
+ * 混雑したAPIに複数のリクエストが同時に再試行しないようにする
+ */
+
+/**
+ * Retry-After ヘッダーを待ち時間に変換する
+ * @param {string|null} value - ヘッダーの値（秒数、またはHTTP日付）
+ * @param {number} [now] - 現在時刻（ミリ秒）
+ * @returns {number|null} - 待ち時間（ミリ秒、ヘッダーがない・解釈できない場合はnull）
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * 再試行までの待ち時間を求める（指数バックオフ + 揺らぎ）
+ * @param {number} attempt - 失敗した回数（0から）
+ * @param {Object} options - オプション
+ * @param {number} options.baseDelayMs - 1回目の再試行までの基準の間隔
+ * @param {number} options.maxDelayMs - 間隔の上限
+ * @returns {number} - 待ち時間（ミリ秒、基準の間隔の半分〜等倍）
+ */
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * 指定した時間だけ待つ
+ * @param {number} ms - 待ち時間（ミリ秒）
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  parseRetryAfter,
+  backoffDelay,
+  sleep
+};
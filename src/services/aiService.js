@@ -1,116 +1,206 @@
-const nodeFetch = require('node-fetch');
+const providers = require('../providers');
+const { toConversationTurns, getLocalDateTime, getWeekday, extractDueDate } = require('../utils/helpers');
+const { MESSAGE_OVERHEAD, estimateTokens, getPromptBudget, fitSections } = require('../utils/promptBuilder');
+const { parseRRule, toRRule, extractRecurrence } = require('../utils/recurrence');
 require('dotenv').config();
 
-// OpenRouterの設定
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
-const OPENROUTER_DAILY_MODEL = process.env.OPENROUTER_DAILY_MODEL || 'deepseek/deepseek-chat-v3-0324:free';
-const OPENROUTER_CHAT_MODEL = process.env.OPENROUTER_CHAT_MODEL || 'google/gemma-3-4b-it:free';
-const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
+// タスクの締切日を解釈するときの既定のタイムゾーン
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Tokyo';
 
-if (!OPENROUTER_API_KEY) {
-  console.warn('警告: OPENROUTER_API_KEYが設定されていません。');
-}
+// 応答の最大生成トークン数
+const RESPONSE_MAX_TOKENS = 1500;
+
+// AIの応答の言語（サーバーごとに /config で選ぶ）→ プロンプトでの表記
+const RESPONSE_LANGUAGES = {
+  ja: '日本語',
+  en: '英語',
+  zh: '中国語',
+  ko: '韓国語'
+};
 
 /**
- * OpenRouter APIを呼び出す共通関数
- * @param {Array} messages - メッセージの配列 [{role: 'system|user|assistant', content: 'メッセージ内容'}]
- * @param {Object} options - 生成オプション
- * @param {string} options.model - 使用するモデル名
- * @returns {Promise<string>} - 生成されたテキスト
+ * 応答の言語のプロンプトでの表記を取得する（未知の言語・未指定の場合は日本語）
+ * @param {string|null} language - 言語コード（RESPONSE_LANGUAGES のキー）
+ * @returns {string} - 表記（例: 日本語）
  */
-async function callOpenRouter(messages, options = {}) {
-  if (!OPENROUTER_API_KEY) {
-    throw new Error('OpenRouter API キーが設定されていません。');
-  }
+function getLanguageName(language) {
+  return RESPONSE_LANGUAGES[language] || RESPONSE_LANGUAGES.ja;
+}
 
-  const defaultOptions = {
-    temperature: 0.7,
-    maxTokens: 2000,
-    model: OPENROUTER_DAILY_MODEL
-  };
+// システムプロンプトに添えるセクションの見出し
+const SUMMARY_HEADING = '\n\nこれまでの会話の要約（以下の会話履歴より前のやり取り）:\n';
+const MEMORY_HEADING = '\n\n以下はユーザーの過去のメッセージ・ジャーナル・タスクのうち、今回の話題に関連しそうなものです（日付はユーザーのタイムゾーン）。応答に役立つ場合のみ参考にしてください。\n';
 
-  const settings = { ...defaultOptions, ...options };
+/**
+ * ユーザーのメッセージに応答する
+ * プロンプトは機能のモデルのコンテキスト長に収まるよう、要約・記憶・会話履歴（古いものから）の順に省く
+ * @param {string} userMessage - ユーザーからのメッセージ
+ * @param {Array} context - 会話履歴（message_history の行、古い順）
+ * @param {Object} options - 応答オプション
+ * @param {string} [options.feature] - 使用する機能のプロバイダーチェーン（chat または advanced）
+ * @param {string} [options.systemPrompt] - システムプロンプトの上書き
+ * @param {string} [options.language] - 応答の言語（RESPONSE_LANGUAGES のキー、既定: ja）
+ * @param {string} [options.chain] - 機能の既定のチェーンの代わりに使うチェーン（サーバーごとの既定のモデル）
+ * @param {string} [options.summary] - 会話履歴より前の会話の要約（conversationSummaryService.getConversationContext() で取得したもの）
+ * @param {string} [options.memory] - 関連する過去の記憶（memoryService.buildMemoryContext() で整形したもの）
+ * @param {Function} [options.onRetry] - 混雑などでLLMの呼び出しを再試行する前に呼ぶ関数
+ * @param {Function} [options.onDelta] - 応答をストリーミングで生成し、文章の断片を受け取るたびに呼ぶ関数
+ *   （失敗した場合に返す文章は onDelta には渡さないため、表示は戻り値で確定すること）
+ * @returns {Promise<string>} - AIの応答
+ */
+async function respondToMessage(userMessage, context = [], options = {}) {
+  const { feature = 'chat' } = options;
+  const baseSystemPrompt = options.systemPrompt
+    || `あなたは秘書AIです。以下の会話履歴を踏まえて、最後のメッセージに${getLanguageName(options.language)}で簡潔に応答してください。`;
 
-  try {
-    const response = await nodeFetch(OPENROUTER_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-        'HTTP-Referer': 'https://assistant-discord-bot',
-        'X-Title': 'Discord Assistant Bot',
-      },
-      body: JSON.stringify({
-        model: settings.model,
-        messages: messages,
-        temperature: settings.temperature,
-        max_tokens: settings.maxTokens
-      })
-    });
+  // 会話履歴（古い順のユーザー/アシスタントのターン）と最新のメッセージ
+  const turns = toConversationTurns([
+    ...context,
+    { role: 'user', message_content: userMessage }
+  ]);
+  const latest = turns.pop();
 
-    if (!response.ok) {
-      throw new Error(`OpenRouter API エラー: ${response.status} ${response.statusText}`);
+  // システムプロンプトと最新のメッセージは必ず残し、残りをコンテキスト長に収まるだけ入れる
+  const budget = getPromptBudget(providers.getContextWindow(feature, options.chain), RESPONSE_MAX_TOKENS);
+  const { sections } = fitSections([
+    { name: 'system', required: true, items: [baseSystemPrompt], itemOverhead: MESSAGE_OVERHEAD },
+    { name: 'latest', required: true, items: [latest], itemOverhead: MESSAGE_OVERHEAD },
+    { name: 'summary', priority: 1, items: options.summary ? [options.summary] : [], overhead: estimateTokens(SUMMARY_HEADING), truncate: true },
+    { name: 'memory', priority: 2, items: options.memory ? options.memory.split('\n') : [], overhead: estimateTokens(MEMORY_HEADING), itemOverhead: 1 },
+    {
+      name: 'history',
+      priority: 3,
+      items: turns,
+      keep: 'last',
+      itemOverhead: MESSAGE_OVERHEAD,
+      maxItemTokens: Math.floor(budget / 4)
     }
+  ], budget);
 
-    const data = await response.json();
-    return data.choices[0].message.content.trim();
-  } catch (error) {
-    console.error('OpenRouter API 呼び出しエラー:', error);
-    throw error;
+  const omitted = ['summary', 'memory', 'history'].filter(name => sections[name].omitted > 0);
+  if (omitted.length > 0) {
+    console.log(`プロンプトを${budget}トークンに収めるため省きました: ${omitted.map(name => `${name} ${sections[name].omitted}件`).join('、')}`);
+  }
+
+  let systemPrompt = sections.system.items[0];
+  if (sections.summary.items.length > 0) {
+    systemPrompt += SUMMARY_HEADING + sections.summary.items[0];
+  }
+  if (sections.memory.items.length > 0) {
+    systemPrompt += MEMORY_HEADING + sections.memory.items.join('\n');
+  }
+
+  // 省いた結果、先頭がアシスタントのターンになった場合はそれも除く
+  const history = sections.history.items;
+  while (history.length > 0 && history[0].role === 'assistant') {
+    history.shift();
   }
-}
 
-/**
- * OpenRouterを使用してユーザーのメッセージに応答する
- * @param {string} userMessage - ユーザーからのメッセージ
- * @param {Array} context - コンテキスト情報（過去のメッセージ履歴など）
- * @returns {Promise<string>} - AIの応答
- */
-async function respondToMessage(userMessage, context = []) {
-  // コンテキストを含むプロンプトを構築
-  let systemPrompt = 'あなたは秘書AIです。以下の会話履歴を踏まえて、最後のメッセージに日本語で簡潔に応答してください。';
-  
-  // メッセージ履歴の形成
   const messages = [
     { role: 'system', content: systemPrompt },
+    ...history,
+    sections.latest.items[0]
   ];
-  
-  // コンテキストを追加
-  if (context.length > 0) {
-    context.forEach(msg => {
-      messages.push({
-        role: 'user', 
-        content: msg.message_content
-      });
-      // AIの応答はない場合があるので、そのままスキップ
-    });
-  }
-  
-  // 最新のメッセージを追加
-  messages.push({ role: 'user', content: userMessage });
-  
+
   try {
-    return await callOpenRouter(messages, {
-      model: OPENROUTER_CHAT_MODEL,
+    return await providers.chat(feature, messages, {
       temperature: 0.7,
-      maxTokens: 1500
+      maxTokens: RESPONSE_MAX_TOKENS,
+      chain: options.chain,
+      onRetry: options.onRetry,
+      onDelta: options.onDelta
     });
   } catch (error) {
     console.error('メッセージ応答生成中にエラーが発生しました:', error);
+    // フォールバックチェーンのすべてのプロバイダーが混雑・障害で使えなかった場合
+    if (error instanceof providers.ProviderError && error.provider === null) {
+      return 'すみません、AIが混雑しているため応答できませんでした。しばらくしてからもう一度お試しください。';
+    }
     return 'すみません、応答の生成中にエラーが発生しました。後でもう一度お試しください。';
   }
 }
 
+// 構造化出力のスキーマ（providers.structured() で検証・補正する）
+const taskExtractionSchema = {
+  type: 'object',
+  properties: {
+    tasks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', minLength: 1, maxLength: 200 },
+          description: { type: ['string', 'null'] },
+          dueDate: { type: ['string', 'null'], format: 'date' },
+          recurrence: { type: ['string', 'null'] }
+        },
+        required: ['title', 'dueDate'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['tasks'],
+  additionalProperties: false
+};
+
+const journalSchema = {
+  type: 'object',
+  properties: {
+    journalEntry: {
+      type: 'object',
+      properties: {
+        content: { type: 'string', minLength: 1 },
+        mood: { type: ['string', 'null'] },
+        tags: { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 10 }
+      },
+      required: ['content', 'mood', 'tags'],
+      additionalProperties: false
+    }
+  },
+  required: ['journalEntry'],
+  additionalProperties: false
+};
+
+const projectIdeasSchema = {
+  type: 'object',
+  properties: {
+    projectIdeas: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', minLength: 1, maxLength: 200 },
+          description: { type: 'string' },
+          category: { type: ['string', 'null'] }
+        },
+        required: ['title', 'description', 'category'],
+        additionalProperties: false
+      },
+      minItems: 1,
+      maxItems: 5
+    }
+  },
+  required: ['projectIdeas'],
+  additionalProperties: false
+};
+
 /**
  * タスク解析関数: メッセージからタスクを抽出する
  * @param {string} message - 解析するメッセージ
- * @returns {Promise<Array>} - 抽出されたタスクの配列
+ * @param {Object} [options] - オプション
+ * @param {string} [options.timezone] - 「明日まで」などの締切日を解釈するタイムゾーン（既定: DEFAULT_TIMEZONE）
+ * @returns {Promise<Object>} - { tasks: 抽出されたタスクの配列 }
+ * @throws {StructuredOutputError} - 再生成してもAIの応答がスキーマに合わなかった場合
  */
-async function extractTasks(message) {
+async function extractTasks(message, options = {}) {
+  const timezone = options.timezone || DEFAULT_TIMEZONE;
+  const today = getLocalDateTime(new Date(), timezone).date;
   const systemPrompt = `あなたはメッセージからタスクを抽出する秘書AIです。JSONフォーマットで結果を返してください。`;
   
   const userPrompt = `
-以下のメッセージからタスクを抽出してください。各タスクについて、タイトル、説明（存在する場合）、締切日（存在する場合）を特定してください。
+以下のメッセージからタスクを抽出してください。各タスクについて、タイトル、説明（存在する場合）、締切日（存在する場合）、繰り返し（「毎週金曜に」などの指定がある場合）を特定してください。
+タスクがない場合は "tasks" を空の配列にしてください。
+「明日」「金曜まで」のような相対的な締切日は、今日（${today}（${'日月火水木金土'[getWeekday(today)]}）、${timezone}）を基準に解釈してください。
 
 メッセージ:
 ${message}
@@ -120,39 +210,49 @@ ${message}
   "tasks": [
     {
       "title": "タスクのタイトル",
-      "description": "タスクの詳細説明（ある場合）",
-      "dueDate": "YYYY-MM-DD形式の締切日（ある場合、なければnull）"
+      "description": "タスクの詳細説明（ある場合、なければnull）",
+      "dueDate": "YYYY-MM-DD形式の締切日（ある場合、なければnull）",
+      "recurrence": "RRULE形式の繰り返し（例: 毎週金曜なら FREQ=WEEKLY;BYDAY=FR、毎月25日なら FREQ=MONTHLY;BYMONTHDAY=25、なければnull）"
     }
   ]
 }
 `;
 
-  try {
-    const response = await callOpenRouter([
-      { role: 'system', content: systemPrompt },
-      { role: 'user', content: userPrompt }
-    ], {
-      model: OPENROUTER_DAILY_MODEL,
-      temperature: 0.3
-    });
-    
-    // JSON文字列を抽出
-    const jsonMatch = response.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      return { tasks: [] };
+  const result = await providers.structured('extraction', [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: userPrompt }
+  ], taskExtractionSchema, {
+    name: 'extracted_tasks',
+    temperature: 0.3
+  });
+
+  // 繰り返しは対応しているRRULEに正規化し、LLMが読み落とした場合はメッセージから補う
+  const extracted = extractRecurrence(message);
+  const tasks = result.tasks.map(task => {
+    const rule = parseRRule(task.recurrence);
+    return { ...task, description: task.description || '', recurrence: rule ? toRRule(rule) : null };
+  });
+  if (extracted && tasks.length === 1 && !tasks[0].recurrence) {
+    tasks[0].recurrence = extracted.rrule;
+  }
+
+  // 締切日はメッセージから読み取れる場合はそれを優先し、読み取れない場合にLLMの日付を使う
+  // タスクが複数の場合はどのタスクの期限か区別できないため、LLMの日付がないタスクにのみ補う
+  const dueDate = extractDueDate(message, { timezone });
+  for (const task of tasks) {
+    if (dueDate && (tasks.length === 1 || !task.dueDate)) {
+      task.dueDate = dueDate;
     }
-    
-    return JSON.parse(jsonMatch[0]);
-  } catch (error) {
-    console.error('タスク抽出中にエラーが発生しました:', error);
-    return { tasks: [] };
   }
+
+  return { tasks };
 }
 
 /**
  * ジャーナリング支援関数: ユーザーのジャーナリングを手伝う
  * @param {string} message - ユーザーのメッセージ
- * @returns {Promise<Object>} - 生成されたジャーナル内容
+ * @returns {Promise<Object>} - { journalEntry: { content, mood, tags: キーワードの配列 } }
+ * @throws {StructuredOutputError} - 再生成してもAIの応答がスキーマに合わなかった場合
  */
 async function assistWithJournaling(message) {
   const systemPrompt = `あなたはジャーナリングを支援する秘書AIです。JSONフォーマットで結果を返してください。`;
@@ -161,7 +261,7 @@ async function assistWithJournaling(message) {
 ユーザーのメッセージを分析し、以下を含むジャーナルエントリを作成または拡張してください。
 - 内容: ユーザーのアイデアや思考を整理した文章
 - 感情/気分: ユーザーの感情状態の推測
-- タグ: 関連するキーワード（カンマ区切り）
+- タグ: 関連するキーワードの配列
 
 ユーザーのメッセージ:
 ${message}
@@ -171,94 +271,67 @@ ${message}
   "journalEntry": {
     "content": "整理されたジャーナル内容",
     "mood": "感情/気分",
-    "tags": "キーワード1,キーワード2,キーワード3"
+    "tags": ["キーワード1", "キーワード2", "キーワード3"]
   }
 }
 `;
 
-  try {
-    const response = await callOpenRouter([
-      { role: 'system', content: systemPrompt },
-      { role: 'user', content: userPrompt }
-    ], {
-      model: OPENROUTER_DAILY_MODEL,
-      temperature: 0.7
-    });
-    
-    // JSON文字列を抽出
-    const jsonMatch = response.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      return { journalEntry: { content: message, mood: "不明", tags: "" } };
-    }
-    
-    return JSON.parse(jsonMatch[0]);
-  } catch (error) {
-    console.error('ジャーナリング支援中にエラーが発生しました:', error);
-    return { journalEntry: { content: message, mood: "不明", tags: "" } };
-  }
+  return providers.structured('journal', [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: userPrompt }
+  ], journalSchema, {
+    name: 'journal_entry',
+    temperature: 0.7
+  });
 }
 
 /**
- * 日次サマリー生成関数: ユーザーの最近のメッセージからサマリーを生成する
+ * プロジェクトアイデア生成関数: ユーザーの会話履歴からプロジェクトアイデアを生成する
  * @param {Array} messageHistory - ユーザーのメッセージ履歴
- * @param {Array} tasks - ユーザーのタスク一覧
- * @returns {Promise<string>} - 生成されたサマリー
+ * @returns {Promise<Object>} - { projectIdeas: 生成されたアイデアの配列 }
+ * @throws {StructuredOutputError} - 再生成してもAIの応答がスキーマに合わなかった場合
  */
-async function generateDailySummary(messageHistory, tasks) {
+async function generateProjectIdeas(messageHistory) {
   // 最近のメッセージからコンテキストを構築
   let context = messageHistory
     .map(msg => msg.message_content)
     .join('\n\n');
-  
-  // タスクの情報を文字列化
-  let taskContext = '';
-  if (tasks && tasks.length > 0) {
-    taskContext = '現在のタスク:\n' + tasks
-      .map(task => `- ${task.title}${task.due_date ? `（期限: ${task.due_date}）` : ''}${task.status ? `（状態: ${task.status}）` : ''}`)
-      .join('\n');
-  }
-  
-  const systemPrompt = `
-あなたは高度な秘書AIです。ユーザーの最近のメッセージや現在のタスクに基づいて、以下を含む日次サマリーを作成してください：
-1. 主なトピックやテーマの概要
-2. 進捗状況の分析
-3. 今日の優先タスク
-4. 明日に向けての提案
-
-必ず日本語で回答してください。
-`;
+
+  const systemPrompt = `あなたは創造的な秘書AIです。JSONフォーマットで結果を返してください。`;
 
   const userPrompt = `
-以下はユーザーの最近のメッセージと現在のタスクリストです：
+ユーザーの過去のメッセージに基づいて、ユーザーが興味を持ちそうな新しいプロジェクトのアイデアを3つ提案してください。
+各アイデアには、タイトル、詳細な説明、カテゴリを含めてください。
 
 ユーザーのメッセージ履歴:
 ${context}
 
-${taskContext}
-
-日付: ${new Date().toLocaleDateString('ja-JP')}
-
-上記の情報に基づいて、日次サマリーを作成してください。
+出力フォーマット:
+{
+  "projectIdeas": [
+    {
+      "title": "プロジェクトのタイトル",
+      "description": "プロジェクトの詳細説明",
+      "category": "プロジェクトのカテゴリ（技術、ビジネス、趣味など）"
+    }
+  ]
+}
 `;
 
-  try {
-    return await callOpenRouter([
-      { role: 'system', content: systemPrompt },
-      { role: 'user', content: userPrompt }
-    ], {
-      model: OPENROUTER_DAILY_MODEL,
-      temperature: 0.8,
-      maxTokens: 3000
-    });
-  } catch (error) {
-    console.error('日次サマリー生成中にエラーが発生しました:', error);
-    return '日次サマリーの生成中にエラーが発生しました。';
-  }
+  return providers.structured('ideas', [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: userPrompt }
+  ], projectIdeasSchema, {
+    name: 'project_ideas',
+    temperature: 0.7
+  });
 }
 
 module.exports = {
+  RESPONSE_LANGUAGES,
+  getLanguageName,
   respondToMessage,
   extractTasks,
   assistWithJournaling,
-  generateDailySummary
+  generateProjectIdeas
 };
\ No newline at end of file
@@ -0,0 +1,121 @@
+const providers = require('../providers');
+const database = require('../database');
+const { truncateText } = require('../utils/helpers');
+require('dotenv').config();
+
+// 会話履歴としてそのまま渡すメッセージ数（ユーザーの発言とBotの応答の合計）
+const CONVERSATION_WINDOW = parseInt(process.env.CONVERSATION_WINDOW || '10', 10);
+
+// 会話履歴から外れたメッセージがこの数たまったら、まとめて要約に含める（応答のたびに要約し直さないため）
+const SUMMARY_BATCH = parseInt(process.env.SUMMARY_BATCH || '6', 10);
+
+// 要約の最大文字数
+const SUMMARY_MAX_LENGTH = 800;
+
+// 1回の要約の生成に含めるメッセージの最大数（たまっていた分はこの数ずつ順に要約に含める）
+const FOLD_MAX_TURNS = 40;
+
+// 要約に含める1メッセージの最大文字数
+const TURN_MAX_LENGTH = 500;
+
+// 要約を更新中のユーザー・チャンネル（同じメッセージを並行して要約しないため）
+const updating = new Set();
+
+/**
+ * 要約にまだ含めていない古いメッセージを、これまでの要約に加えた新しい要約を生成する
+ * @param {string} previousSummary - これまでの要約（なければ空文字）
+ * @param {Array<Object>} turns - 要約に加えるメッセージ（message_history の行、古い順）
+ * @returns {Promise<string>} - 新しい要約
+ */
+async function summarizeTurns(previousSummary, turns) {
+  const transcript = turns
+    .map(turn => `${turn.role === 'assistant' ? 'アシスタント' : 'ユーザー'}: ${truncateText(turn.message_content, TURN_MAX_LENGTH)}`)
+    .join('\n');
+
+  const summary = await providers.chat('memory', [
+    {
+      role: 'system',
+      content: `あなたはユーザーと秘書AIの会話を要約するアシスタントです。これまでの要約に新しい会話の内容を加えて、${SUMMARY_MAX_LENGTH}文字以内の日本語の要約を1つ作成してください。\n` +
+        'ユーザーについての事実・好み・決まったこと・約束・未解決の話題を優先して残し、あいさつや重複は省いてください。要約の本文のみを出力してください。'
+    },
+    {
+      role: 'user',
+      content: `これまでの要約:\n${previousSummary || '（なし）'}\n\n新しい会話:\n${transcript}`
+    }
+  ], {
+    temperature: 0.2,
+    maxTokens: 800
+  });
+
+  return truncateText(summary.trim(), SUMMARY_MAX_LENGTH);
+}
+
+/**
+ * 会話履歴より前の、要約にまだ含めていないメッセージをすべて要約に含めて保存する
+ * たまっている分は古いものから FOLD_MAX_TURNS 件ずつ順に要約に加える
+ * 要約の生成中に別の更新や /memory reset があった場合は、それ以降は保存しない
+ * @param {string} userId - ユーザーID
+ * @param {string} channelId - チャンネルID
+ * @param {Object|null} stored - 現在の要約（conversation_summaries の行）
+ * @param {Array<Object>} turns - 最初に要約に含めるメッセージ（古い順）
+ * @param {number} windowStartId - 会話履歴として渡す最も古いメッセージのID（これより前のメッセージを要約に含める）
+ * @returns {Promise<boolean>} - すべて保存した場合true
+ */
+async function foldIntoSummary(userId, channelId, stored, turns, windowStartId) {
+  const key = `${userId}:${channelId}`;
+  if (updating.has(key)) return false;
+  updating.add(key);
+
+  let summary = stored ? stored.summary : '';
+  let coveredUntilId = stored ? stored.covered_until_id : 0;
+  try {
+    while (turns.length > 0) {
+      const nextSummary = await summarizeTurns(summary, turns);
+      const nextCoveredUntilId = turns[turns.length - 1].id;
+      const saved = await database.conversationSummaries.save(userId, channelId, nextSummary, nextCoveredUntilId, coveredUntilId);
+      if (!saved) return false;
+
+      summary = nextSummary;
+      coveredUntilId = nextCoveredUntilId;
+      turns = await database.getConversationRange(userId, channelId, coveredUntilId, windowStartId, FOLD_MAX_TURNS);
+    }
+    return true;
+  } catch (error) {
+    console.warn(`会話の要約の更新に失敗しました（次の応答で再試行します）: ${error.message}`);
+    return false;
+  } finally {
+    updating.delete(key);
+  }
+}
+
+/**
+ * 応答に使う会話の要約と直近の会話履歴を取得する
+ * 会話履歴より前に要約に含めていないメッセージがたまっている場合は、応答を待たせないようバックグラウンドで要約に含める
+ * @param {string} userId - ユーザーID
+ * @param {string} channelId - チャンネル（スレッド）ID
+ * @param {number|null} [beforeId] - これより前のメッセージのみを対象にする（応答中のメッセージ自身を除くため）
+ * @returns {Promise<Object>} - { summary: 要約（なければ空文字）, history: 直近の会話（message_history の行、古い順）, pending: 要約の更新（Promise、更新しない場合はnull） }
+ */
+async function getConversationContext(userId, channelId, beforeId = null) {
+  const stored = await database.conversationSummaries.get(userId, channelId);
+  const coveredUntilId = stored ? stored.covered_until_id : 0;
+  const history = await database.getConversation(userId, channelId, CONVERSATION_WINDOW, beforeId, coveredUntilId);
+
+  // 会話履歴より前の、要約に含めていないメッセージを古い順に確認する
+  let pending = null;
+  if (history.length === CONVERSATION_WINDOW) {
+    const windowStartId = history[0].id;
+    const turns = await database.getConversationRange(userId, channelId, coveredUntilId, windowStartId, FOLD_MAX_TURNS);
+    if (turns.length >= SUMMARY_BATCH) {
+      pending = foldIntoSummary(userId, channelId, stored, turns, windowStartId);
+    }
+  }
+
+  return { summary: stored ? stored.summary : '', history, pending };
+}
+
+module.exports = {
+  CONVERSATION_WINDOW,
+  summarizeTurns,
+  getConversationContext
+};
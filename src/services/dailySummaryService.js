@@ -1,94 +1,341 @@
-const fetch = require('node-fetch');
+const providers = require('../providers');
+const database = require('../database');
+const { describeTaskRecurrence } = require('./taskService');
+const { getLocalDateTime, getLocalDayRange, addDays } = require('../utils/helpers');
+const { estimateMessagesTokens, getPromptBudget, fitSections } = require('../utils/promptBuilder');
 require('dotenv').config();
 
-// OpenRouterの設定
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
-const OPENROUTER_DAILY_MODEL = process.env.OPENROUTER_DAILY_MODEL || 'deepseek/deepseek-chat-v3-0324:free';
-const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Tokyo';
 
-if (!OPENROUTER_API_KEY) {
-  console.warn('警告: OPENROUTER_API_KEYが設定されていません。');
+// 振り返りと提案の最大生成トークン数
+const SUMMARY_MAX_TOKENS = 1500;
+
+/**
+ * 日次サマリーの材料となる事実をデータベースから集める
+ * 「今日」「昨日」はユーザーのタイムゾーンのローカル日付で判定する
+ * @param {string} userId - ユーザーID
+ * @param {Object} options - オプション
+ * @param {string} [options.timezone] - ユーザーのタイムゾーン
+ * @param {Date} [options.now] - 基準となる現在時刻
+ * @param {string} [options.date] - サマリーの対象日（YYYY-MM-DD、省略時は now のローカル日付）
+ * @returns {Promise<Object>} - サマリーの材料
+ */
+async function collectSummaryFacts(userId, options = {}) {
+  const { timezone = DEFAULT_TIMEZONE, now = new Date() } = options;
+  const today = options.date || getLocalDateTime(now, timezone).date;
+  const yesterday = addDays(today, -1);
+  const { from, to } = getLocalDayRange(yesterday, timezone);
+
+  const [openTasks, completedYesterday, createdYesterday, journalEntries, messages] = await Promise.all([
+    database.tasks.list(userId, { status: 'open' }),
+    database.tasks.getCompletedBetween(userId, from, to),
+    database.tasks.getCreatedBetween(userId, from, to),
+    database.journal.getBetween(userId, from, to),
+    database.getMessagesBetween(userId, from, to)
+  ]);
+
+  const dueDateOf = task => (task.due_date ? String(task.due_date).slice(0, 10) : null);
+
+  return {
+    today,
+    yesterday,
+    timezone,
+    overdue: openTasks.filter(task => dueDateOf(task) && dueDateOf(task) < today),
+    dueToday: openTasks.filter(task => dueDateOf(task) === today),
+    openTasks,
+    completedYesterday,
+    createdYesterday,
+    journalEntries,
+    messages
+  };
 }
 
 /**
- * 日次サマリー生成関数: ユーザーの最近のメッセージからサマリーを生成する
- * @param {Array} messageHistory - ユーザーのメッセージ履歴
- * @param {Array} tasks - ユーザーのタスク一覧
- * @returns {Promise<string>} - 生成されたサマリー
+ * タスクを一覧の1行にする
+ * @param {Object} task - タスク
+ * @returns {string} - 表示用の文字列
  */
-async function generateDailySummary(messageHistory, tasks) {
-  if (!OPENROUTER_API_KEY) {
-    throw new Error('OpenRouter API キーが設定されていません。');
-  }
+function formatTaskLine(task) {
+  const recurrence = describeTaskRecurrence(task);
+  return `- ${task.title}${task.due_date ? `（期限: ${String(task.due_date).slice(0, 10)}）` : ''}${recurrence ? ` 🔁${recurrence}` : ''}`;
+}
 
-  // 最近のメッセージからコンテキストを構築
-  let context = messageHistory
-    .map(msg => msg.message_content)
+/**
+ * 見出しと件数を付けた一覧のセクションにする
+ * @param {string} title - 見出し
+ * @param {Array<string>} lines - 表示する行
+ * @param {number} total - 全体の件数（表示する行より多い場合は省略した件数を添える）
+ * @returns {string} - Markdown形式のセクション
+ */
+function renderListSection(title, lines, total = lines.length) {
+  const omitted = total - lines.length;
+  const body = [...lines, ...(omitted > 0 ? [`- ほか${omitted}件（省略）`] : [])].join('\n') || '- なし';
+  return `**${title}（${total}件）**\n${body}`;
+}
+
+// 事実のセクション（facts のキー → 見出し）
+const factSections = {
+  overdue: '⚠️ 期限切れのタスク',
+  dueToday: '📌 今日が期限のタスク',
+  completedYesterday: '✅ 昨日完了したタスク',
+  createdYesterday: '🆕 昨日追加したタスク'
+};
+
+/**
+ * 事実に基づくサマリーのセクション（期限切れ・今日が期限・昨日完了など）を組み立てる
+ * LLMを使わずに決定的に生成する
+ * @param {Object} facts - collectSummaryFacts() の戻り値
+ * @param {Object} [fitted] - プロンプトに収めるために省いた結果（セクション名 → { items, omitted }、省略時はすべて表示）
+ * @returns {string} - Markdown形式のセクション
+ */
+function renderFactSections(facts, fitted = null) {
+  return Object.entries(factSections)
+    .map(([key, title]) => renderListSection(title, fitted ? fitted[key].items : facts[key].map(formatTaskLine), facts[key].length))
     .join('\n\n');
+}
 
-  // タスクの情報を文字列化
-  let taskContext = '';
-  if (tasks && tasks.length > 0) {
-    taskContext = '現在のタスク:\n' + tasks
-      .map(task => `- ${task.title}${task.due_date ? `（期限: ${task.due_date}）` : ''}${task.status ? `（状態: ${task.status}）` : ''}`)
-      .join('\n');
-  }
+// 前日の提案の実行状況の表示
+const followUpLabels = {
+  done: '✅',
+  partial: '🔸',
+  not_done: '❌',
+  unknown: '❔'
+};
 
+// 振り返りと提案の出力のJSON Schema
+const narrativeSchema = {
+  type: 'object',
+  properties: {
+    reflection: { type: 'string', minLength: 1 },
+    suggestions: { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 3 },
+    followUp: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          suggestion: { type: 'string', minLength: 1 },
+          status: { type: 'string', enum: Object.keys(followUpLabels) },
+          note: { type: ['string', 'null'] }
+        },
+        required: ['suggestion', 'status'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['reflection', 'suggestions', 'followUp'],
+  additionalProperties: false
+};
+
+/**
+ * 日次サマリー生成関数: 集計済みの事実をもとに、振り返りと今日への提案をLLMで生成する
+ * タスクの一覧はLLMに書かせず、renderFactSections() の結果をそのまま使う
+ * @param {Object} facts - collectSummaryFacts() の戻り値
+ * @param {Array<string>} previousSuggestions - 前日のサマリーで出した提案（実行できたかを振り返る）
+ * @param {Object} [options] - オプション
+ * @param {boolean} [options.regenerate] - 作り直しの場合true（応答のキャッシュを使わない）
+ * @returns {Promise<Object>} - { reflection, suggestions, followUp }
+ */
+async function generateDailySummary(facts, previousSuggestions = [], options = {}) {
   const systemPrompt = `
-あなたは高度な秘書AIです。ユーザーの最近のメッセージや現在のタスクに基づいて、以下を含む日次サマリーを作成してください：
-1. 主なトピックやテーマの概要
-2. 進捗状況の分析
-3. 今日の優先タスク
-4. 明日に向けての提案
+あなたは高度な秘書AIです。ユーザーの昨日の活動と現在のタスク状況に基づいて、以下を書いてください：
+1. 昨日の振り返り（主なトピックや進捗を2〜4文で）
+2. 今日への提案（3つまで、期限切れや今日が期限のタスクを優先）
+3. 昨日の提案が与えられている場合は、それぞれ実行できたかの判定（done / partial / not_done / unknown）と短い根拠
 
-必ず日本語で回答してください。
+タスクの一覧は別途表示されるため、一覧を書き写さないでください。
+与えられた情報にない事実を作らず、判断できない場合は unknown としてください。必ず日本語で回答し、JSONフォーマットで結果を返してください。
 `;
 
-  const userPrompt = `
-以下はユーザーの最近のメッセージと現在のタスクリストです：
+  // 材料の一覧（fitted: fitSections() で残した項目と省いた件数）
+  const list = (fitted, name, emptyText = '（なし）') => {
+    const { items, omitted } = fitted[name];
+    if (items.length === 0 && omitted === 0) return emptyText;
+    return [...items, ...(omitted > 0 ? [`- ほか${omitted}件（省略）`] : [])].join('\n');
+  };
+  const renderUserPrompt = fitted => `
+今日の日付: ${facts.today}（昨日: ${facts.yesterday}）
+
+${renderFactSections(facts, fitted)}
 
-ユーザーのメッセージ履歴:
-${context}
+**未完了のタスク（${facts.openTasks.length}件）**
+${list(fitted, 'openTasks', '- なし')}
 
-${taskContext}
+昨日のユーザーのメッセージ:
+${fitted.messages.omitted > 0 ? `（古い${fitted.messages.omitted}件は省略）\n\n` : ''}${fitted.messages.items.join('\n\n') || '（なし）'}
 
-日付: ${new Date().toLocaleDateString('ja-JP')}
+昨日のジャーナル:
+${list(fitted, 'journalEntries')}
 
-上記の情報に基づいて、日次サマリーを作成してください。
+昨日の提案:
+${list(fitted, 'previousSuggestions')}
+
+出力フォーマット:
+{
+  "reflection": "昨日の振り返り",
+  "suggestions": ["今日への提案1", "今日への提案2"],
+  "followUp": [
+    { "suggestion": "昨日の提案", "status": "done", "note": "判定の根拠" }
+  ]
+}
 `;
 
+  // 材料はモデルのコンテキスト長に収まるよう、優先度の低いもの（未完了のタスク → メッセージ → ジャーナル）から省く
+  const sections = [
+    { name: 'overdue', priority: 1, items: facts.overdue.map(formatTaskLine), itemOverhead: 1 },
+    { name: 'dueToday', priority: 1, items: facts.dueToday.map(formatTaskLine), itemOverhead: 1 },
+    { name: 'previousSuggestions', priority: 1, items: previousSuggestions.map(suggestion => `- ${suggestion}`), itemOverhead: 1 },
+    { name: 'completedYesterday', priority: 2, items: facts.completedYesterday.map(formatTaskLine), itemOverhead: 1 },
+    { name: 'createdYesterday', priority: 2, items: facts.createdYesterday.map(formatTaskLine), itemOverhead: 1 },
+    {
+      name: 'journalEntries',
+      priority: 3,
+      items: facts.journalEntries.map(entry => `- ${entry.content}${entry.mood ? `（気分: ${entry.mood}）` : ''}`),
+      keep: 'last',
+      itemOverhead: 1,
+      maxItemTokens: 400
+    },
+    {
+      name: 'openTasks',
+      priority: 5,
+      items: facts.openTasks.map(task => `- ${task.title}${task.recurrence ? `（${describeTaskRecurrence(task)}）` : ''}`),
+      itemOverhead: 1
+    },
+    { name: 'messages', priority: 4, items: facts.messages.map(msg => msg.message_content), keep: 'last', itemOverhead: 2, maxItemTokens: 300 }
+  ];
+
+  // 見出しなどの固定の部分を除いた残りに材料を収める（省略の注記の分も残す）
+  const empty = Object.fromEntries(sections.map(section => [section.name, { items: [], omitted: 0 }]));
+  const fixedTokens = estimateMessagesTokens([
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: renderUserPrompt(empty) }
+  ]) + sections.length * 16;
+  const budget = getPromptBudget(providers.getContextWindow('summary'), SUMMARY_MAX_TOKENS) - fixedTokens;
+  const { sections: fitted } = fitSections(sections, budget);
+
+  const omitted = sections.filter(section => fitted[section.name].omitted > 0);
+  if (omitted.length > 0) {
+    console.log(`日次サマリーのプロンプトを${budget}トークンに収めるため省きました: ${omitted.map(section => `${section.name} ${fitted[section.name].omitted}件`).join('、')}`);
+  }
+  const userPrompt = renderUserPrompt(fitted);
+
   try {
-    const response = await fetch(OPENROUTER_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-        'HTTP-Referer': 'https://assistant-discord-bot',
-        'X-Title': 'Discord Assistant Bot - Daily Summary',
-      },
-      body: JSON.stringify({
-        model: OPENROUTER_DAILY_MODEL,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        temperature: 0.8,
-        max_tokens: 3000
-      })
+    const result = await providers.structured('summary', [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ], narrativeSchema, {
+      name: 'daily_summary',
+      temperature: 0.8,
+      maxTokens: SUMMARY_MAX_TOKENS,
+      // 材料が同じまま作り直した場合（エージェントから続けて呼ばれた場合など）は前回の振り返りと提案を使う
+      // ユーザーが作り直しを指定した場合は新しく生成する
+      cache: !options.regenerate
     });
 
-    if (!response.ok) {
-      throw new Error(`OpenRouter API エラー: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    return data.choices[0].message.content.trim();
+    return {
+      reflection: result.reflection.trim(),
+      suggestions: result.suggestions,
+      // 前日の提案がない場合の判定は捏造なので捨てる
+      followUp: previousSuggestions.length > 0 ? result.followUp : []
+    };
   } catch (error) {
     console.error('日次サマリー生成中にエラーが発生しました:', error);
-    return '日次サマリーの生成中にエラーが発生しました。';
+    return {
+      reflection: '（振り返りと提案の生成中にエラーが発生しました。）',
+      suggestions: [],
+      followUp: []
+    };
   }
 }
 
+/**
+ * LLMが生成した振り返り・提案をMarkdownのセクションにする
+ * @param {Object} narrative - generateDailySummary() の戻り値
+ * @returns {string} - Markdown形式のセクション
+ */
+function renderNarrative(narrative) {
+  const sections = [];
+
+  if (narrative.followUp.length > 0) {
+    const lines = narrative.followUp.map(item => {
+      const label = followUpLabels[item.status] || followUpLabels.unknown;
+      return `- ${label} ${item.suggestion}${item.note ? ` — ${item.note}` : ''}`;
+    });
+    sections.push(`**🔁 昨日の提案の振り返り**\n${lines.join('\n')}`);
+  }
+
+  sections.push(`**📝 振り返り**\n${narrative.reflection || '（なし）'}`);
+
+  if (narrative.suggestions.length > 0) {
+    sections.push(`**💡 今日への提案**\n${narrative.suggestions.map(suggestion => `- ${suggestion}`).join('\n')}`);
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * ユーザーの日次サマリーを作成して履歴に保存する（事実のセクション + LLMによる振り返りと提案）
+ * 前日のサマリーの提案を渡し、実行できたかを振り返らせる
+ * @param {string} userId - ユーザーID
+ * @param {Object} options - collectSummaryFacts() のオプション
+ * @param {boolean} [options.regenerate] - 作り直しの場合true（応答のキャッシュを使わない）
+ * @returns {Promise<string>} - 日次サマリー
+ */
+async function createDailySummary(userId, options = {}) {
+  const facts = await collectSummaryFacts(userId, options);
+  const previous = await database.dailySummaries.getByDate(userId, facts.yesterday);
+  const narrative = await generateDailySummary(facts, previous ? previous.suggestions : [], { regenerate: options.regenerate });
+
+  const content = `🗓️ ${facts.today}\n\n${renderFactSections(facts)}\n\n${renderNarrative(narrative)}`;
+
+  // 生成に使った入力をIDで記録する
+  const ids = rows => rows.map(row => row.id);
+  await database.dailySummaries.create(userId, facts.today, content, narrative.suggestions, {
+    timezone: facts.timezone,
+    overdue: ids(facts.overdue),
+    dueToday: ids(facts.dueToday),
+    completedYesterday: ids(facts.completedYesterday),
+    createdYesterday: ids(facts.createdYesterday),
+    journalEntries: ids(facts.journalEntries),
+    messages: ids(facts.messages),
+    previousSummaryId: previous ? previous.id : null
+  });
+
+  return content;
+}
+
+/**
+ * 指定日の日次サマリーを取得する（今日の分は保存済みのものがなければ生成する）
+ * 材料のタスクは現在の状態しか分からないため、今日以外の日付は生成せず保存済みのもののみ返す
+ * @param {string} userId - ユーザーID
+ * @param {Object} options - オプション
+ * @param {string} options.date - サマリーの対象日（YYYY-MM-DD）
+ * @param {string} [options.timezone] - ユーザーのタイムゾーン
+ * @param {boolean} [options.regenerate] - 保存済みのサマリーがあっても生成し直すか（今日の分のみ）
+ * @param {boolean} [options.generate] - 保存済みのサマリーがない場合に生成するか（false の場合はnullを返す）
+ * @returns {Promise<Object|null>} - { content, createdAt, generated }
+ */
+async function getDailySummary(userId, options) {
+  const { date, timezone = DEFAULT_TIMEZONE } = options;
+  const isToday = date === getLocalDateTime(new Date(), timezone).date;
+  const regenerate = isToday && Boolean(options.regenerate);
+  const generate = isToday && options.generate !== false;
+
+  if (!regenerate) {
+    const stored = await database.dailySummaries.getByDate(userId, date);
+    if (stored) {
+      return { content: stored.content, createdAt: stored.created_at, generated: false };
+    }
+  }
+  if (!generate) return null;
+
+  const content = await createDailySummary(userId, { timezone, date, regenerate });
+  return { content, createdAt: null, generated: true };
+}
+
 module.exports = {
-  generateDailySummary
+  collectSummaryFacts,
+  renderFactSections,
+  generateDailySummary,
+  createDailySummary,
+  getDailySummary
 };
@@ -0,0 +1,82 @@
+const { embeddingProvider } = require('../providers');
+const {
+  termFrequencyVector,
+  tfIdfSimilarities,
+  sparseToBuffer,
+  sparseFromBuffer,
+  cosineSimilarity,
+  denseToBuffer,
+  denseFromBuffer
+} = require('../utils/textVectors');
+require('dotenv').config();
+
+// 長期記憶の埋め込みに使うバックエンド（tfidf: 外部APIを使わない / openai: OpenAI互換の /embeddings）
+const MEMORY_EMBEDDING_BACKEND = (process.env.MEMORY_EMBEDDING_BACKEND || 'tfidf').toLowerCase();
+
+// 1回のリクエストで埋め込む文章の数
+const EMBEDDING_BATCH_SIZE = 64;
+
+// 埋め込む文章の最大文字数（長い文章は先頭のみ使う）
+const MAX_EMBED_LENGTH = 2000;
+
+/**
+ * 埋め込みのバックエンド
+ * id: 保存するベクトルのモデル名（異なるidのベクトルは比較しない）
+ * minScore: 関連があるとみなす類似度の下限の既定値（バックエンドによって類似度の分布が異なるため）
+ * embed(texts): 文章をベクトルにする
+ * toBuffer(vector) / fromBuffer(buffer): ベクトルとSQLiteのBLOBの変換
+ * similarities(query, vectors): 文章の集合の各ベクトルとの類似度
+ */
+const backends = {
+  // 漢字・カタカナのbigramと英単語のTF-IDF（IDFは比較するユーザーの記憶の集合から求める）
+  tfidf: {
+    id: 'tfidf:v1',
+    minScore: 0.15,
+    embed: async texts => texts.map(text => termFrequencyVector(text)),
+    toBuffer: sparseToBuffer,
+    fromBuffer: sparseFromBuffer,
+    similarities: tfIdfSimilarities
+  },
+
+  openai: {
+    id: `openai:${embeddingProvider.defaultModel}`,
+    minScore: 0.35,
+    toBuffer: denseToBuffer,
+    fromBuffer: denseFromBuffer,
+    similarities: (query, vectors) => vectors.map(vector => cosineSimilarity(query, vector)),
+    embed: async texts => {
+      const vectors = [];
+      for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+        vectors.push(...await embeddingProvider.embed(texts.slice(i, i + EMBEDDING_BATCH_SIZE)));
+      }
+      return vectors;
+    }
+  }
+};
+
+if (!backends[MEMORY_EMBEDDING_BACKEND]) {
+  console.warn(`警告: 未知の埋め込みバックエンド「${MEMORY_EMBEDDING_BACKEND}」のため tfidf を使います`);
+}
+
+/**
+ * 設定されている埋め込みのバックエンドを取得する（未知の名前の場合は tfidf）
+ * @returns {Object} - { id, minScore, embed, toBuffer, fromBuffer, similarities }
+ */
+function getEmbeddingBackend() {
+  return backends[MEMORY_EMBEDDING_BACKEND] || backends.tfidf;
+}
+
+/**
+ * 文章を埋め込みベクトルにする
+ * @param {Array<string>} texts - 文章の配列
+ * @param {Object} [backend] - 使用するバックエンド（省略時は設定されているもの）
+ * @returns {Promise<Array<ArrayLike<number>>>} - 文章と同じ順のベクトル
+ */
+async function embedTexts(texts, backend = getEmbeddingBackend()) {
+  return backend.embed(texts.map(text => String(text).slice(0, MAX_EMBED_LENGTH)));
+}
+
+module.exports = {
+  getEmbeddingBackend,
+  embedTexts
+};
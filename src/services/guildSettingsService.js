@@ -0,0 +1,254 @@
+const database = require('../database');
+const providers = require('../providers');
+const { RESPONSE_LANGUAGES } = require('./aiService');
+const { ValidationError } = require('../utils/validation');
+require('dotenv').config();
+
+// 設定のないチャンネルでの動作（mention: 呼びかけられたメッセージのみ / reply: すべてに自動返信）
+const DEFAULT_CHANNEL_MODE = process.env.DEFAULT_CHANNEL_MODE === 'reply' ? 'reply' : 'mention';
+
+// サーバーの既定の応答の言語
+const DEFAULT_LANGUAGE = RESPONSE_LANGUAGES[process.env.DEFAULT_LANGUAGE] ? process.env.DEFAULT_LANGUAGE : 'ja';
+
+// チャンネルの動作の表示名
+const CHANNEL_MODES = {
+  reply: '自動返信',
+  log: '記録のみ',
+  mention: '呼びかけのみ'
+};
+
+// サーバーごとに既定のモデル（プロバイダーチェーン）を変更できる機能 → 表示名
+const CONFIGURABLE_FEATURES = {
+  chat: '会話',
+  agent: 'エージェント（@ai）'
+};
+
+// /config model で選べるモデル（'provider:model' のカンマ区切り）
+// 未設定の場合は、機能ごとのチェーン（LLM_CHAIN_* と既定）に含まれるモデルのみ選べる（サーバーの管理者が任意の有料モデルを使えないようにするため）
+const GUILD_MODEL_ALLOWLIST = process.env.GUILD_MODEL_ALLOWLIST || '';
+
+// プレフィックスの最大文字数
+const MAX_PREFIX_LENGTH = 10;
+
+// サーバーID → 設定（/config で変更したら作り直す）
+const settingsCache = new Map();
+
+/**
+ * サーバーの設定を取得する（未設定の項目は既定値）
+ * @param {string|null} guildId - サーバーID（DMの場合はnull）
+ * @returns {Promise<Object>} - { mentionOnly, prefix, language, models: { 機能: チェーン }, channels: Map<チャンネルID, mode> }
+ */
+async function getGuildSettings(guildId) {
+  if (!guildId) {
+    return { mentionOnly: false, prefix: null, language: DEFAULT_LANGUAGE, models: {}, channels: new Map() };
+  }
+  if (settingsCache.has(guildId)) {
+    return settingsCache.get(guildId);
+  }
+
+  const row = await database.guildSettings.get(guildId);
+  const channels = await database.channelSettings.getByGuild(guildId);
+  const settings = {
+    mentionOnly: Boolean(row && row.mention_only),
+    prefix: (row && row.prefix) || null,
+    language: (row && row.language) || DEFAULT_LANGUAGE,
+    models: row ? getAllowedChains(JSON.parse(row.models || '{}')) : {},
+    channels: new Map(channels.map(channel => [channel.channel_id, channel.mode]))
+  };
+  settingsCache.set(guildId, settings);
+  return settings;
+}
+
+/**
+ * 保存されている機能ごとのチェーンのうち、現在も許可されているものを取得する
+ * 許可するモデルが変更された場合に、以前に設定したモデルを使い続けないため
+ * @param {Object} models - 機能 → チェーン
+ * @returns {Object} - 機能 → チェーン（許可されていないものは除き、環境変数の設定を使う）
+ */
+function getAllowedChains(models) {
+  const allowed = {};
+  for (const [feature, chain] of Object.entries(models)) {
+    try {
+      allowed[feature] = validateChain(chain);
+    } catch (error) {
+      console.warn(`サーバーに設定された${feature}のモデルは使用できないため、既定のモデルを使います: ${error.message}`);
+    }
+  }
+  return allowed;
+}
+
+/**
+ * チャンネルの動作を求める（スレッドは親チャンネルの設定に従う）
+ * @param {Object} settings - getGuildSettings() の戻り値
+ * @param {Channel} channel - チャンネル
+ * @returns {string} - reply | log | mention
+ */
+function getChannelMode(settings, channel) {
+  return settings.channels.get(channel.id)
+    || (channel.parentId && settings.channels.get(channel.parentId))
+    || DEFAULT_CHANNEL_MODE;
+}
+
+/**
+ * 受信したメッセージを記録・応答するかを判定する
+ * Botへのメンション・Botのメッセージへの返信・プレフィックス・「@ai」は呼びかけとみなし、
+ * メンションとプレフィックスは取り除いた内容を返す
+ * @param {Message} message - メッセージ
+ * @param {string} botUserId - BotのユーザーID
+ * @returns {Promise<Object>} - { save: 記録するか, reply: 応答するか, content: 呼びかけを除いた内容 }
+ */
+async function resolveMessageHandling(message, botUserId) {
+  const settings = await getGuildSettings(message.guildId);
+
+  let content = message.content;
+  const mentionPattern = new RegExp(`<@!?${botUserId}>`, 'g');
+  const mentioned = mentionPattern.test(content)
+    || Boolean(message.mentions && message.mentions.repliedUser && message.mentions.repliedUser.id === botUserId);
+  content = content.replace(mentionPattern, '').trim();
+
+  const prefixed = Boolean(settings.prefix) && content.toLowerCase().startsWith(settings.prefix.toLowerCase());
+  if (prefixed) {
+    content = content.slice(settings.prefix.length).trim();
+  }
+  const addressed = mentioned || prefixed || /(^|\s)@ai\b/i.test(content);
+
+  // DMは常に応答する
+  if (!message.guildId) {
+    return { save: true, reply: true, content };
+  }
+
+  const mode = getChannelMode(settings, message.channel);
+  if (mode === 'log') {
+    return { save: true, reply: false, content };
+  }
+  if (mode === 'reply') {
+    return { save: true, reply: addressed || !settings.mentionOnly, content };
+  }
+  return { save: addressed, reply: addressed, content };
+}
+
+/**
+ * サーバーの設定で選べるモデルを取得する
+ * @returns {Array<string>} - 'provider:model' の配列
+ */
+function getAllowedModels() {
+  if (!GUILD_MODEL_ALLOWLIST) {
+    return providers.getConfiguredModels();
+  }
+  return providers.parseChain(GUILD_MODEL_ALLOWLIST)
+    .filter(entry => providers.providers[entry.provider])
+    .map(entry => `${entry.provider}:${entry.model || providers.providers[entry.provider].defaultModel}`);
+}
+
+/**
+ * 機能に既定のモデルとして設定できるチェーンか検証する
+ * 運用者が許可したモデル（getAllowedModels()）のみ使える
+ * @param {string} spec - 'provider:model,...'
+ * @returns {string} - 正規化したチェーン（モデル未指定の要素はプロバイダーの既定のモデルを補う）
+ */
+function validateChain(spec) {
+  const chain = providers.parseChain(spec);
+  if (chain.length === 0) {
+    throw new ValidationError('モデルを「provider:model」の形式で指定してください（カンマ区切りでフォールバックの順）');
+  }
+  const unknown = chain.filter(entry => !providers.providers[entry.provider]).map(entry => entry.provider);
+  if (unknown.length > 0) {
+    throw new ValidationError(`未知のプロバイダーです: ${unknown.join(', ')}（使えるのは ${Object.keys(providers.providers).join(', ')}）`);
+  }
+
+  const models = chain.map(entry => `${entry.provider}:${entry.model || providers.providers[entry.provider].defaultModel}`);
+  const allowed = getAllowedModels();
+  const denied = models.filter(model => !allowed.includes(model));
+  if (denied.length > 0) {
+    throw new ValidationError(`使用が許可されていないモデルです: ${denied.join(', ')}（使えるのは ${allowed.join(', ')}）`);
+  }
+  return models.join(',');
+}
+
+/**
+ * サーバーの設定を更新する
+ * @param {string} guildId - サーバーID
+ * @param {Object} changes - 変更する項目（mentionOnly, prefix, language, models のいずれか）
+ * @param {string} updatedBy - 変更したユーザーID
+ * @returns {Promise<Object>} - 変更後の設定
+ */
+async function updateGuildSettings(guildId, changes, updatedBy) {
+  const columns = {};
+  if (changes.mentionOnly !== undefined) {
+    columns.mention_only = changes.mentionOnly ? 1 : 0;
+  }
+  if (changes.prefix !== undefined) {
+    const prefix = changes.prefix ? changes.prefix.trim() : '';
+    if (prefix.length > MAX_PREFIX_LENGTH || /\s/.test(prefix)) {
+      throw new ValidationError(`プレフィックスは空白を含まない${MAX_PREFIX_LENGTH}文字以内で指定してください`);
+    }
+    columns.prefix = prefix || null;
+  }
+  if (changes.language !== undefined) {
+    if (!RESPONSE_LANGUAGES[changes.language]) {
+      throw new ValidationError(`対応していない言語です: ${changes.language}`);
+    }
+    columns.language = changes.language;
+  }
+  if (changes.models !== undefined) {
+    columns.models = JSON.stringify(changes.models);
+  }
+
+  await database.guildSettings.update(guildId, columns, updatedBy);
+  settingsCache.delete(guildId);
+  return getGuildSettings(guildId);
+}
+
+/**
+ * 機能の既定のモデルを設定する（chain を省略すると環境変数の設定に戻す）
+ * @param {string} guildId - サーバーID
+ * @param {string} feature - 機能名（CONFIGURABLE_FEATURES のキー）
+ * @param {string|null} chain - 'provider:model,...'
+ * @param {string} updatedBy - 変更したユーザーID
+ * @returns {Promise<Object>} - 変更後の設定
+ */
+async function setGuildModel(guildId, feature, chain, updatedBy) {
+  if (!CONFIGURABLE_FEATURES[feature]) {
+    throw new ValidationError(`モデルを変更できない機能です: ${feature}`);
+  }
+  const { models } = await getGuildSettings(guildId);
+  const next = { ...models };
+  if (chain) {
+    next[feature] = validateChain(chain);
+  } else {
+    delete next[feature];
+  }
+  return updateGuildSettings(guildId, { models: next }, updatedBy);
+}
+
+/**
+ * チャンネルの動作を設定する（mode が mention の場合は設定を消し、サーバーの既定に戻す）
+ * @param {string} guildId - サーバーID
+ * @param {string} channelId - チャンネルID
+ * @param {string} mode - reply | log | mention
+ * @param {string} updatedBy - 変更したユーザーID
+ */
+async function setChannelMode(guildId, channelId, mode, updatedBy) {
+  if (!CHANNEL_MODES[mode]) {
+    throw new ValidationError(`不明なチャンネルの動作です: ${mode}`);
+  }
+  if (mode === DEFAULT_CHANNEL_MODE) {
+    await database.channelSettings.remove(guildId, channelId);
+  } else {
+    await database.channelSettings.set(guildId, channelId, mode, updatedBy);
+  }
+  settingsCache.delete(guildId);
+}
+
+module.exports = {
+  DEFAULT_CHANNEL_MODE,
+  CHANNEL_MODES,
+  CONFIGURABLE_FEATURES,
+  getGuildSettings,
+  getChannelMode,
+  resolveMessageHandling,
+  getAllowedModels,
+  updateGuildSettings,
+  setGuildModel,
+  setChannelMode
+};
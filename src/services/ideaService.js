@@ -0,0 +1,56 @@
+const database = require('../database');
+const { text, sanitizeChanges } = require('../utils/validation');
+
+// 更新できる項目と値の検証
+const ideaFields = {
+  title: text('タイトル', { maxLength: 200, required: true }),
+  description: text('詳細説明', { maxLength: 4000 }),
+  category: text('カテゴリ', { maxLength: 50, nullable: true })
+};
+
+/**
+ * プロジェクトアイデアを作成する
+ * @param {string} userId - ユーザーID
+ * @param {Object} fields - アイデアの内容
+ * @param {string} fields.title - タイトル
+ * @param {string} [fields.description] - 詳細説明
+ * @param {string|null} [fields.category] - カテゴリ
+ * @param {number|null} [fields.sourceMessageId] - 作成元のメッセージ（message_history.id）
+ * @returns {Promise<Object>} - 作成したアイデア
+ * @throws {ValidationError} - 値が正しくない場合
+ */
+async function createIdea(userId, { title, description = '', category = null, sourceMessageId = null }) {
+  const fields = sanitizeChanges({ title, description, category }, ideaFields);
+  const ideaId = await database.projectIdeas.create(userId, fields.title, fields.description, fields.category, { sourceMessageId });
+  return database.projectIdeas.getById(userId, ideaId);
+}
+
+/**
+ * ユーザー自身のプロジェクトアイデアを更新する（title, description, category のみ）
+ * @param {string} userId - ユーザーID
+ * @param {number} ideaId - アイデアID
+ * @param {Object} updateData - 更新する項目
+ * @returns {Promise<Object|null>} - 更新後のアイデア、アイデアがない場合はnull
+ * @throws {ValidationError} - 更新できない項目・正しくない値の場合
+ */
+async function updateIdea(userId, ideaId, updateData) {
+  const changes = sanitizeChanges(updateData, ideaFields);
+  const changed = await database.projectIdeas.update(userId, ideaId, changes);
+  return changed > 0 ? database.projectIdeas.getById(userId, ideaId) : null;
+}
+
+/**
+ * ユーザー自身のプロジェクトアイデアを削除する
+ * @param {string} userId - ユーザーID
+ * @param {number} ideaId - アイデアID
+ * @returns {Promise<boolean>} - 削除した場合true
+ */
+async function deleteIdea(userId, ideaId) {
+  return (await database.projectIdeas.delete(userId, ideaId)) > 0;
+}
+
+module.exports = {
+  createIdea,
+  updateIdea,
+  deleteIdea
+};
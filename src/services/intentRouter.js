@@ -0,0 +1,184 @@
+const providers = require('../providers');
+const { parseReminder } = require('../utils/reminderParser');
+require('dotenv').config();
+
+// LLMによる分類を使うか（rules: ルールのみ / llm: ルールで確信が持てない場合にLLMで分類する）
+const INTENT_CLASSIFIER = (process.env.INTENT_CLASSIFIER || 'rules').toLowerCase();
+
+// この確信度に満たない場合は、処理する前にどの意図かを聞き返す
+const INTENT_CONFIDENCE_THRESHOLD = parseFloat(process.env.INTENT_CONFIDENCE_THRESHOLD || '0.6');
+
+// ルールの確信度がこれ以上であれば、LLMに問い合わせずに決める
+const RULE_CONFIDENT = 0.85;
+
+// これ未満の候補は、聞き返すときの選択肢にも含めない
+const CANDIDATE_MIN = 0.4;
+
+// 意図の表示名（聞き返すときのボタンにも使う）
+const INTENT_LABELS = {
+  chat: '会話として返信',
+  task_create: 'タスクを登録',
+  task_query: 'タスクを確認',
+  task_complete: 'タスクを完了にする',
+  journal: 'ジャーナルに記録',
+  reminder: 'リマインダーを設定',
+  summary: 'サマリーを表示'
+};
+
+// ルールの確信度の目安: 0.9 は明示的な依頼、0.5 前後は手がかりがあるだけ、0.35 は単語が出てきただけ
+const TASK_WORD = '(?:タスク|todo|to-do|やること|やる事)';
+const rules = [
+  // タスクの確認
+  { intent: 'task_query', confidence: 0.9, pattern: new RegExp(`${TASK_WORD}.{0,6}(一覧|リスト|確認|見せ|教えて|表示|残って|何がある)`, 'i') },
+  { intent: 'task_query', confidence: 0.9, pattern: new RegExp(`(今日|明日|今週|期限切れ|残り|未完了)の?${TASK_WORD}.{0,4}[?？]`, 'i') },
+  { intent: 'task_query', confidence: 0.85, pattern: /(何を|なにを)(すれば|やれば)いい/ },
+
+  // タスクの完了
+  { intent: 'task_complete', confidence: 0.9, pattern: new RegExp(`${TASK_WORD}.{0,30}(完了|終わった|終わりました|済んだ|済みました|できた|片付いた)`, 'i') },
+  { intent: 'task_complete', confidence: 0.9, pattern: /完了(に|扱いに)して/ },
+  { intent: 'task_complete', confidence: 0.9, pattern: /#\d+.{0,10}(完了|終わった|済んだ|できた|done)/i },
+  { intent: 'task_complete', confidence: 0.5, pattern: /(完了(した|しました|です)?|終わった|終わりました|終えた|済んだ|済ませた|片付いた)[。!！\s]*$/ },
+
+  // タスクの登録
+  { intent: 'task_create', confidence: 0.9, pattern: new RegExp(`${TASK_WORD}.{0,10}(追加|登録|入れて|作成|作って)`, 'i') },
+  { intent: 'task_create', confidence: 0.9, pattern: new RegExp(`^\\s*${TASK_WORD}\\s*[:：]`, 'i') },
+  { intent: 'task_create', confidence: 0.55, pattern: new RegExp(`${TASK_WORD}.*(まで|期限|締め切り|締切|〆切)`, 'i') },
+  { intent: 'task_create', confidence: 0.5, pattern: /(なきゃ|なくちゃ|ないといけない|なければならない|忘れずに|必要がある)/ },
+  { intent: 'task_create', confidence: 0.35, pattern: new RegExp(TASK_WORD, 'i') },
+
+  // ジャーナル
+  { intent: 'journal', confidence: 0.9, pattern: /(ジャーナル|日記)(に|を|として)?.{0,4}(書|記録|残し|残して|つけ|保存)/ },
+  { intent: 'journal', confidence: 0.9, pattern: /^\s*(ジャーナル|日記)\s*[:：]/ },
+  { intent: 'journal', confidence: 0.4, pattern: /(ジャーナル|日記)/ },
+
+  // リマインダー（時刻が読み取れるかどうかは classifyByRules() で判定する）
+  { intent: 'reminder', confidence: 0.6, pattern: /(通知|リマインド|知らせ|思い出させ)(して|てね|て|ください|を)/ },
+
+  // サマリー
+  { intent: 'summary', confidence: 0.9, pattern: /(サマリー|まとめ|振り返り).{0,6}(見せ|教え|出し|作っ|ちょうだい|表示)/ },
+  { intent: 'summary', confidence: 0.9, pattern: /(今日|昨日)の(サマリー|まとめ|振り返り)/ },
+  { intent: 'summary', confidence: 0.4, pattern: /(サマリー|日次まとめ)/ }
+];
+
+// 質問の形（「タスクって何？」のように、単語に触れているだけの質問は会話として扱う）
+const QUESTION_PATTERN = /([?？]\s*$|って何|とは[?？]?$|どういう|なぜ|どうして|どうやって|どうすれば)/;
+
+/**
+ * ルールでメッセージの意図を推定する
+ * @param {string} text - メッセージ
+ * @returns {Array<Object>} - 確信度の高い順の候補 [{ intent, confidence }]（会話は常に含む）
+ */
+function classifyByRules(text) {
+  const scores = { chat: 0.5 };
+  for (const rule of rules) {
+    if (rule.pattern.test(text)) {
+      scores[rule.intent] = Math.max(scores[rule.intent] || 0, rule.confidence);
+    }
+  }
+
+  // 通知の依頼で時刻も読み取れる場合は、リマインダーとみなす
+  if (scores.reminder && parseReminder(text)) {
+    scores.reminder = 0.95;
+  }
+
+  // 明示的な依頼のない質問は会話とみなす（タスクの確認は質問の形が普通なので除く）
+  const explicit = Object.entries(scores).some(([intent, score]) => intent !== 'chat' && score >= RULE_CONFIDENT);
+  if (QUESTION_PATTERN.test(text) && !explicit) {
+    scores.chat = 0.75;
+  }
+
+  return Object.entries(scores)
+    .map(([intent, confidence]) => ({ intent, confidence }))
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+// LLMによる分類の出力のスキーマ
+const intentSchema = {
+  type: 'object',
+  properties: {
+    intent: { type: 'string', enum: Object.keys(INTENT_LABELS) },
+    confidence: { type: 'number' },
+    alternative: { type: ['string', 'null'], enum: [...Object.keys(INTENT_LABELS), null] }
+  },
+  required: ['intent', 'confidence', 'alternative'],
+  additionalProperties: false
+};
+
+/**
+ * LLMでメッセージの意図を分類する
+ * @param {string} text - メッセージ
+ * @returns {Promise<Array<Object>>} - 確信度の高い順の候補 [{ intent, confidence }]
+ */
+async function classifyWithLLM(text) {
+  const systemPrompt = `あなたはチャットBotに届いたメッセージの意図を分類するアシスタントです。
+次のいずれか1つに分類し、確信度（0〜1）と、次に可能性の高い意図（なければnull）を返してください。
+- chat: 雑談・質問・相談など、通常の会話
+- task_create: やるべきことをタスクとして登録したい
+- task_query: 登録済みのタスクを確認したい
+- task_complete: 登録済みのタスクが終わったことを伝えている
+- journal: 出来事や気持ちをジャーナル（日記）として残したい
+- reminder: 指定した時刻に通知してほしい
+- summary: 日次サマリー（活動のまとめ）を見たい
+「タスクって何？」のように、単語に触れているだけの質問は chat です。`;
+
+  const result = await providers.structured('intent', [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: text }
+  ], intentSchema, {
+    name: 'intent',
+    temperature: 0,
+    maxTokens: 100,
+    maxAttempts: 2
+  });
+
+  const confidence = Math.min(Math.max(result.confidence, 0), 1);
+  const candidates = [{ intent: result.intent, confidence }];
+  if (result.alternative && result.alternative !== result.intent) {
+    candidates.push({ intent: result.alternative, confidence: Math.min(1 - confidence, CANDIDATE_MIN) });
+  }
+  return candidates;
+}
+
+/**
+ * メッセージの意図を決める
+ * ルールで確信が持てない場合は、設定に応じてLLMで分類する
+ * 確信度が INTENT_CONFIDENCE_THRESHOLD に満たない場合は、聞き返すための選択肢を返す
+ * @param {string} text - メッセージ
+ * @returns {Promise<Object>} - { intent, confidence, source: rules|llm, clarify: 聞き返す場合の選択肢（なければnull） }
+ */
+async function classifyIntent(text) {
+  let candidates = classifyByRules(text);
+  let source = 'rules';
+
+  if (INTENT_CLASSIFIER === 'llm' && candidates[0].confidence < RULE_CONFIDENT) {
+    try {
+      candidates = await classifyWithLLM(text);
+      source = 'llm';
+    } catch (error) {
+      console.warn(`LLMによる意図の分類に失敗したため、ルールの結果を使います: ${error.message}`);
+    }
+  }
+
+  const [best] = candidates;
+  if (best.confidence >= INTENT_CONFIDENCE_THRESHOLD) {
+    return { intent: best.intent, confidence: best.confidence, source, clarify: null };
+  }
+
+  // 会話以外の意図の手がかりがあれば、どれかを聞き返す（なければ普通に会話として返す）
+  const options = candidates
+    .filter(candidate => candidate.intent !== 'chat' && candidate.confidence >= CANDIDATE_MIN)
+    .slice(0, 2)
+    .map(candidate => candidate.intent);
+  if (options.length === 0) {
+    return { intent: 'chat', confidence: best.confidence, source, clarify: null };
+  }
+
+  return { intent: best.intent, confidence: best.confidence, source, clarify: [...options, 'chat'] };
+}
+
+module.exports = {
+  INTENT_LABELS,
+  classifyByRules,
+  classifyWithLLM,
+  classifyIntent
+};
@@ -0,0 +1,56 @@
+const database = require('../database');
+const { text, tags, sanitizeChanges } = require('../utils/validation');
+
+// 更新できる項目と値の検証
+const journalFields = {
+  content: text('内容', { maxLength: 8000, required: true }),
+  mood: text('気分', { maxLength: 50, nullable: true }),
+  tags
+};
+
+/**
+ * ジャーナルエントリを作成する
+ * @param {string} userId - ユーザーID
+ * @param {Object} fields - エントリの内容
+ * @param {string} fields.content - 内容
+ * @param {string|null} [fields.mood] - 気分
+ * @param {Array<string>|string|null} [fields.tags] - タグ（配列またはカンマ区切りの文字列）
+ * @param {number|null} [fields.sourceMessageId] - 作成元のメッセージ（message_history.id）
+ * @returns {Promise<Object>} - 作成したエントリ
+ * @throws {ValidationError} - 値が正しくない場合
+ */
+async function createJournalEntry(userId, { content, mood = null, tags: entryTags = null, sourceMessageId = null }) {
+  const fields = sanitizeChanges({ content, mood, tags: entryTags }, journalFields);
+  const entryId = await database.journal.create(userId, fields.content, fields.mood, fields.tags, { sourceMessageId });
+  return database.journal.getById(userId, entryId);
+}
+
+/**
+ * ユーザー自身のジャーナルエントリを更新する（content, mood, tags のみ）
+ * @param {string} userId - ユーザーID
+ * @param {number} entryId - エントリID
+ * @param {Object} updateData - 更新する項目
+ * @returns {Promise<Object|null>} - 更新後のエントリ、エントリがない場合はnull
+ * @throws {ValidationError} - 更新できない項目・正しくない値の場合
+ */
+async function updateJournalEntry(userId, entryId, updateData) {
+  const changes = sanitizeChanges(updateData, journalFields);
+  const changed = await database.journal.update(userId, entryId, changes);
+  return changed > 0 ? database.journal.getById(userId, entryId) : null;
+}
+
+/**
+ * ユーザー自身のジャーナルエントリを削除する
+ * @param {string} userId - ユーザーID
+ * @param {number} entryId - エントリID
+ * @returns {Promise<boolean>} - 削除した場合true
+ */
+async function deleteJournalEntry(userId, entryId) {
+  return (await database.journal.delete(userId, entryId)) > 0;
+}
+
+module.exports = {
+  createJournalEntry,
+  updateJournalEntry,
+  deleteJournalEntry
+};
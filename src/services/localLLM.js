@@ -1,28 +1,21 @@
-const fetch = require('node-fetch');
+const { providers } = require('../providers');
+const { toConversationTurns } = require('../utils/helpers');
 require('dotenv').config();
 
-// OpenRouterの設定
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
-const OPENROUTER_CHAT_MODEL = process.env.OPENROUTER_CHAT_MODEL || 'google/gemma-3-4b-it:free';
-const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
-
-if (!OPENROUTER_API_KEY) {
-  console.warn('警告: OPENROUTER_API_KEYが設定されていません。');
-}
+// セルフホストされたOpenAI互換サーバー（llama.cpp server, Ollama, vLLMなど）
+// 接続先は LOCAL_LLM_API_URL / LOCAL_LLM_MODEL / LOCAL_LLM_API_KEY で設定する
+const localProvider = providers.local;
 
 /**
- * OpenRouterのAPIを使用してテキスト生成を行う関数
+ * ローカルLLMを使用してテキスト生成を行う関数
  * @param {string} prompt - プロンプト文字列
  * @param {Object} options - 生成オプション
  * @param {number} options.temperature - 温度パラメータ (0.0-1.0)
  * @param {number} options.maxTokens - 最大生成トークン数
+ * @param {string} options.model - 使用するモデル名（省略時は LOCAL_LLM_MODEL）
  * @returns {Promise<string>} - 生成されたテキスト
  */
 async function generateText(prompt, options = {}) {
-  if (!OPENROUTER_API_KEY) {
-    throw new Error('OpenRouter API キーが設定されていません。');
-  }
-
   const defaultOptions = {
     temperature: 0.7,
     maxTokens: 1000,
@@ -30,45 +23,22 @@ async function generateText(prompt, options = {}) {
 
   const settings = { ...defaultOptions, ...options };
 
-  try {
-    const response = await fetch(OPENROUTER_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-        'HTTP-Referer': 'https://assistant-discord-bot', // 必要に応じて変更
-        'X-Title': 'Discord Assistant Bot',  // 必要に応じて変更
-      },
-      body: JSON.stringify({
-        model: OPENROUTER_CHAT_MODEL,
-        messages: [
-          { role: 'system', content: 'あなたは秘書AIです。日本語で短く明確に回答してください。' },
-          { role: 'user', content: prompt }
-        ],
-        temperature: settings.temperature,
-        max_tokens: settings.maxTokens,
-      })
-    });
+  const result = await localProvider.chat([
+    { role: 'system', content: 'あなたは秘書AIです。日本語で短く明確に回答してください。' },
+    { role: 'user', content: prompt }
+  ], settings);
 
-    if (!response.ok) {
-      throw new Error(`OpenRouter API エラー: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    return data.choices[0].message.content;
-  } catch (error) {
-    console.error('OpenRouter API 呼び出しエラー:', error);
-    throw error;
-  }
+  return result.content;
 }
 
 /**
- * OpenRouterを使用してユーザーのメッセージに応答する
+ * ローカルLLMを使用してユーザーのメッセージに応答する
  * @param {string} userMessage - ユーザーからのメッセージ
- * @param {Array} context - コンテキスト情報（過去のメッセージ履歴など）
+ * @param {Array} context - 会話履歴（message_history の行、古い順）
+ * @param {Object} options - 生成オプション（temperature, maxTokens, model）
  * @returns {Promise<string>} - AIの応答
  */
-async function respondToMessage(userMessage, context = []) {
+async function respondToMessage(userMessage, context = [], options = {}) {
   // コンテキストを含むプロンプトを構築
   let systemPrompt = 'あなたは秘書AIです。以下の会話履歴を踏まえて、最後のメッセージに日本語で簡潔に応答してください。';
 
@@ -77,50 +47,40 @@ async function respondToMessage(userMessage, context = []) {
     { role: 'system', content: systemPrompt },
   ];
 
-  // コンテキストを追加
-  if (context.length > 0) {
-    context.forEach(msg => {
-      messages.push({
-        role: 'user',
-        content: msg.message_content
-      });
-      // AIの応答はない場合があるので、そのままスキップ
-    });
-  }
-
-  // 最新のメッセージを追加
-  messages.push({ role: 'user', content: userMessage });
+  // 会話履歴（古い順のユーザー/アシスタントのターン）と最新のメッセージを追加
+  messages.push(...toConversationTurns([
+    ...context,
+    { role: 'user', message_content: userMessage }
+  ]));
 
   try {
-    const response = await fetch(OPENROUTER_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-        'HTTP-Referer': 'https://assistant-discord-bot', // 必要に応じて変更
-        'X-Title': 'Discord Assistant Bot',  // 必要に応じて変更
-      },
-      body: JSON.stringify({
-        model: OPENROUTER_CHAT_MODEL,
-        messages: messages,
-        temperature: 0.7,
-        max_tokens: 1500
-      })
+    const result = await localProvider.chat(messages, {
+      temperature: 0.7,
+      maxTokens: 1500,
+      ...options
     });
-
-    if (!response.ok) {
-      throw new Error(`OpenRouter API エラー: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    return data.choices[0].message.content;
+    return result.content;
   } catch (error) {
     console.error('メッセージ応答生成中にエラーが発生しました:', error);
     return 'すみません、応答の生成中にエラーが発生しました。後でもう一度お試しください。';
   }
 }
 
+/**
+ * ローカルLLMサーバーへの接続を確認する
+ * @returns {Promise<Object>} - { ok, models, error }
+ */
+async function checkConnection() {
+  try {
+    const models = await localProvider.listModels();
+    return { ok: true, models };
+  } catch (error) {
+    return { ok: false, models: [], error: error.message };
+  }
+}
+
 module.exports = {
   generateText,
-  respondToMessage
+  respondToMessage,
+  checkConnection
 };
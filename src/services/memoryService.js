@@ -0,0 +1,184 @@
+const { CronJob } = require('cron');
+const database = require('../database');
+const { getEmbeddingBackend, embedTexts } = require('./embeddingService');
+const { fromSqliteTimestamp } = require('./reminderScheduler');
+const { TASK_STATUS_LABELS } = require('./taskService');
+const { getLocalDateTime, truncateText } = require('../utils/helpers');
+require('dotenv').config();
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Tokyo';
+
+// 会話の応答で長期記憶を使うか
+const MEMORY_ENABLED = process.env.MEMORY_ENABLED !== 'false';
+
+// 応答に添える記憶の最大件数
+const MEMORY_TOP_K = parseInt(process.env.MEMORY_TOP_K || '5', 10);
+
+// 関連があるとみなす類似度の下限（未設定の場合はバックエンドごとの既定値）
+const MEMORY_MIN_SCORE = process.env.MEMORY_MIN_SCORE ? parseFloat(process.env.MEMORY_MIN_SCORE) : null;
+
+// 類似度を比較する記憶の最大件数（新しいものから）
+const MAX_CANDIDATES = 2000;
+
+// 1回の索引付けで埋め込む行の最大数
+const INDEX_BATCH_SIZE = 50;
+
+// 記憶の種類の表示名
+const sourceLabels = {
+  message: 'メッセージ',
+  journal: 'ジャーナル',
+  task: 'タスク'
+};
+
+/**
+ * まだ埋め込んでいない（または内容が変わった）メッセージ・ジャーナル・タスクを埋め込んで保存する
+ * @param {Object} [options] - オプション
+ * @param {string|null} [options.userId] - ユーザーを限定する場合のユーザーID
+ * @param {number} [options.limit] - 埋め込む行の最大数（新しいものから）
+ * @returns {Promise<number>} - 埋め込んだ行の数
+ */
+async function indexPending(options = {}) {
+  const { userId = null, limit = INDEX_BATCH_SIZE } = options;
+  const backend = getEmbeddingBackend();
+
+  const items = await database.memory.getPending(backend.id, { userId, limit });
+  if (items.length === 0) return 0;
+
+  const vectors = await embedTexts(items.map(item => item.content), backend);
+  for (const [index, item] of items.entries()) {
+    await database.memory.save(item, backend.toBuffer(vectors[index]), backend.id);
+  }
+  return items.length;
+}
+
+/**
+ * 文章に関連するユーザーの記憶を、類似度の高い順に取得する
+ * 検索の前に、そのユーザーのまだ埋め込んでいない行を埋め込む
+ * @param {string} userId - ユーザーID
+ * @param {string} query - 文章（新しいメッセージなど）
+ * @param {Object} [options] - オプション
+ * @param {number} [options.limit] - 最大件数
+ * @param {Array<number>} [options.excludeMessageIds] - 除くメッセージ（会話履歴として渡すものなど、message_history.id）
+ * @returns {Promise<Array<Object>>} - 記憶（memory_items の行と score）
+ */
+async function recall(userId, query, options = {}) {
+  const { limit = MEMORY_TOP_K, excludeMessageIds = [] } = options;
+  const backend = getEmbeddingBackend();
+
+  await indexPending({ userId });
+  const items = await database.memory.getByUser(userId, backend.id, MAX_CANDIDATES);
+  if (items.length === 0) return [];
+
+  const [queryVector] = await embedTexts([query], backend);
+  const scores = backend.similarities(queryVector, items.map(item => backend.fromBuffer(item.embedding)));
+  const minScore = MEMORY_MIN_SCORE ?? backend.minScore;
+  const excluded = new Set(excludeMessageIds.filter(Boolean));
+
+  return items
+    .map((item, index) => {
+      const { embedding, ...rest } = item;
+      return { ...rest, score: scores[index] };
+    })
+    .filter(item => item.score >= minScore && !(item.source_type === 'message' && excluded.has(item.source_id)))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * 記憶をプロンプトに添える形式に整形する
+ * @param {Array<Object>} items - recall() の戻り値
+ * @param {string} timezone - IANAタイムゾーン名
+ * @returns {string} - 1件1行の文字列
+ */
+function formatMemories(items, timezone) {
+  return items.map(item => {
+    const date = getLocalDateTime(fromSqliteTimestamp(item.created_at), timezone).date;
+    let label = sourceLabels[item.source_type] || item.source_type;
+    if (item.source_type === 'task' && item.task_status) {
+      label += `・${TASK_STATUS_LABELS[item.task_status] || item.task_status}${item.task_due_date ? `・期限 ${item.task_due_date}` : ''}`;
+    }
+    return `- ${date}［${label}］${truncateText(item.content.replace(/\s+/g, ' '), 200)}`;
+  }).join('\n');
+}
+
+/**
+ * 会話の応答に添える、関連する過去の記憶を取得する
+ * 長期記憶が無効な場合や検索に失敗した場合は空文字を返す（記憶なしで応答を続ける）
+ * @param {string} userId - ユーザーID
+ * @param {string} query - 新しいメッセージ
+ * @param {Object} [options] - recall() のオプション
+ * @returns {Promise<string>} - 整形した記憶（なければ空文字）
+ */
+async function buildMemoryContext(userId, query, options = {}) {
+  if (!MEMORY_ENABLED) return '';
+
+  try {
+    const items = await recall(userId, query, options);
+    if (items.length === 0) return '';
+
+    const user = await database.users.get(userId);
+    return formatMemories(items, user ? user.timezone : DEFAULT_TIMEZONE);
+  } catch (error) {
+    console.warn(`長期記憶の検索に失敗したため、記憶なしで応答します: ${error.message}`);
+    return '';
+  }
+}
+
+/**
+ * ユーザーの長期記憶の件数を種類ごとに取得する（設定されているバックエンドのもの）
+ * @param {string} userId - ユーザーID
+ * @returns {Promise<Object>} - { enabled: 長期記憶が有効か, counts: { message: 件数, ... }, labels: 種類の表示名 }
+ */
+async function countMemories(userId) {
+  const counts = await database.memory.countByUser(userId, getEmbeddingBackend().id);
+  return { enabled: MEMORY_ENABLED, counts, labels: sourceLabels };
+}
+
+/**
+ * ユーザーの長期記憶をすべて消す
+ * これより前のメッセージ・ジャーナル・タスクは記憶し直さない
+ * @param {string} userId - ユーザーID
+ * @returns {Promise<number>} - 消した記憶の件数
+ */
+async function forgetMemories(userId) {
+  await database.users.resetMemory(userId);
+  return database.memory.deleteByUser(userId);
+}
+
+/**
+ * 長期記憶の索引付けのジョブを開始する（1分ごとに、新しいメッセージ・ジャーナル・タスクを埋め込む）
+ * @returns {CronJob|null} - 開始したジョブ（長期記憶が無効な場合はnull）
+ */
+function startMemoryIndexer() {
+  if (!MEMORY_ENABLED) return null;
+  let running = false;
+
+  const job = new CronJob('30 * * * * *', async function() {
+    if (running) return;
+    running = true;
+    try {
+      const count = await indexPending();
+      if (count > 0) {
+        console.log(`長期記憶に${count}件を追加しました（${getEmbeddingBackend().id}）`);
+      }
+    } catch (error) {
+      console.error('長期記憶の索引付け中にエラーが発生しました:', error.message);
+    } finally {
+      running = false;
+    }
+  });
+
+  job.start();
+  console.log(`長期記憶の索引付けジョブを開始しました（埋め込み: ${getEmbeddingBackend().id}）`);
+  return job;
+}
+
+module.exports = {
+  indexPending,
+  recall,
+  formatMemories,
+  buildMemoryContext,
+  countMemories,
+  forgetMemories,
+  startMemoryIndexer
+};
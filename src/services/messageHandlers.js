@@ -0,0 +1,429 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } = require('discord.js');
+const database = require('../database');
+const aiService = require('./aiService');
+const { getAgentResponse, formatActionsFooter } = require('../agents/assistantAgent');
+const { createTask, completeTask } = require('./taskService');
+const { createJournalEntry } = require('./journalService');
+const { registerReminder } = require('./reminderScheduler');
+const { getDailySummary } = require('./dailySummaryService');
+const { buildMemoryContext } = require('./memoryService');
+const { getConversationContext } = require('./conversationSummaryService');
+const { STREAMING_ENABLED, createStreamingReply } = require('./streamingReply');
+const { runWithUsageContext, checkQuota, checkMessageAllowed } = require('./usageService');
+const { getGuildSettings, resolveMessageHandling } = require('./guildSettingsService');
+const { classifyIntent, INTENT_LABELS } = require('./intentRouter');
+const { formatTask, formatTaskList, formatCompletion } = require('../commands/task');
+const { getLocalDateTime, addDays, splitMessage, truncateText } = require('../utils/helpers');
+require('dotenv').config();
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Tokyo';
+
+// 完了にするタスクを選ぶボタンの最大数（Discordの1行の上限）
+const MAX_TASK_BUTTONS = 5;
+
+/**
+ * 応答を送信し、Botの発言として会話履歴に保存する
+ * @param {Message} message - 応答元のメッセージ
+ * @param {string} content - 応答内容（長い場合は分割して送信する）
+ * @param {number|null} replyToId - 応答元のメッセージ（message_history.id）
+ * @param {Object} [options] - オプション
+ * @param {Array} [options.components] - 最後のメッセージに付けるボタンなど
+ */
+async function replyAndSave(message, content, replyToId, options = {}) {
+  const chunks = splitMessage(content);
+  let firstReply = null;
+  for (const [index, chunk] of chunks.entries()) {
+    const isLast = index === chunks.length - 1;
+    const sent = await message.reply(isLast && options.components ? { content: chunk, components: options.components } : chunk);
+    firstReply = firstReply || sent;
+  }
+
+  await saveReply(message, content, replyToId, firstReply);
+}
+
+/**
+ * 送信した応答を、Botの発言として会話履歴に保存する
+ * @param {Message} message - 応答元のメッセージ
+ * @param {string} content - 応答内容
+ * @param {number|null} replyToId - 応答元のメッセージ（message_history.id）
+ * @param {Message|null} firstReply - 応答の最初の返信
+ */
+async function saveReply(message, content, replyToId, firstReply) {
+  try {
+    await database.saveMessage(message.author.id, message.channel.id, content, {
+      role: 'assistant',
+      discordMessageId: firstReply ? firstReply.id : null,
+      replyToId,
+      guildId: message.guildId
+    });
+  } catch (error) {
+    console.error('応答の保存中にエラーが発生しました:', error);
+  }
+}
+
+/**
+ * LLMの呼び出しを再試行していることを、元のメッセージへの返信で知らせる
+ * 最初の再試行で返信し、応答を送る前に clear() で削除する
+ * @param {Message} message - メッセージ
+ * @returns {Object} - { onRetry: providers の onRetry に渡す関数, clear: 返信を削除する関数 }
+ */
+function createRetryNotice(message) {
+  let sending = null;
+
+  return {
+    onRetry() {
+      if (sending) return;
+      sending = message.reply({ content: '⏳ 混雑中のため再試行しています…', allowedMentions: { repliedUser: false } })
+        .catch(error => {
+          console.warn('再試行中の表示に失敗しました:', error.message);
+          return null;
+        });
+    },
+
+    async clear() {
+      if (!sending) return;
+      const notice = await sending;
+      if (notice) {
+        await notice.delete().catch(error => console.warn('再試行中の表示の削除に失敗しました:', error.message));
+      }
+    }
+  };
+}
+
+/**
+ * メッセージの送信者のタイムゾーンを取得する
+ * @param {string} userId - ユーザーID
+ * @returns {Promise<string>} - IANAタイムゾーン名
+ */
+async function getUserTimezone(userId) {
+  const user = await database.users.get(userId);
+  return user ? user.timezone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * 完了の報告から、対象のタスクの候補を探す
+ * 「#12 完了」のようにIDがあればそのタスク、なければタイトルがメッセージに含まれるタスクを探す
+ * @param {string} text - メッセージ
+ * @param {Array<Object>} tasks - ユーザーの未完了のタスク
+ * @returns {Array<Object>} - 候補のタスク
+ */
+function findTasksToComplete(text, tasks) {
+  const idMatch = text.match(/#(\d+)/);
+  if (idMatch) {
+    return tasks.filter(task => task.id === parseInt(idMatch[1], 10));
+  }
+
+  const normalize = value => value.replace(/[\s「」『』"'、。,.!！?？]/g, '').toLowerCase();
+  const query = normalize(text
+    .replace(/(の|は|を|が)?\s*(完了(に|扱いに)?(して|した|しました|です)?|終わった|終わりました|終えた|済んだ|済みました|済ませた|できた|片付いた)[。!！\s]*$/, '')
+    .replace(/(タスク|todo|やること)(の|は|を)?/gi, ''));
+  const message = normalize(text);
+
+  return tasks.filter(task => {
+    const title = normalize(task.title);
+    return title && (message.includes(title) || (query.length >= 2 && title.includes(query)));
+  });
+}
+
+// 意図ごとの処理（いずれもメッセージに1回だけ応答する）
+const handlers = {
+  // 通常の会話
+  async chat(message, savedMessageId) {
+    // 応答は生成しながら返信を編集して表示する（無効の場合は、生成後にまとめて返信する）
+    const stream = STREAMING_ENABLED ? createStreamingReply(message) : null;
+    const notice = stream ? null : createRetryNotice(message);
+    try {
+      // このチャンネル（スレッド）でのユーザーとBotの直近の会話と、それより前の会話の要約をコンテキストとして使用
+      const { summary, history } = await getConversationContext(message.author.id, message.channel.id, savedMessageId);
+      if (!stream) message.channel.sendTyping();
+
+      // 会話履歴より前の、関連する過去のメッセージ・ジャーナル・タスクを添える
+      const memory = await buildMemoryContext(message.author.id, message.content, {
+        excludeMessageIds: [savedMessageId, ...history.map(turn => turn.id)]
+      });
+      // サーバーごとの応答の言語と既定のモデル
+      const settings = await getGuildSettings(message.guildId);
+      const response = await aiService.respondToMessage(message.content, history, {
+        summary,
+        memory,
+        language: settings.language,
+        chain: settings.models.chat,
+        onRetry: stream ? stream.onRetry : notice.onRetry,
+        onDelta: stream ? stream.push : undefined
+      });
+
+      if (stream) {
+        const { firstReply } = await stream.finish(response);
+        await saveReply(message, response, savedMessageId, firstReply);
+      } else {
+        await notice.clear();
+        await replyAndSave(message, response, savedMessageId);
+      }
+    } catch (error) {
+      console.error('AI応答エラー:', error);
+      const errorMessage = 'すみません、エラーが発生しました。後でもう一度お試しください。';
+      if (stream) {
+        await stream.finish(errorMessage);
+      } else {
+        await notice.clear();
+        await message.reply(errorMessage).catch(() => {});
+      }
+    }
+  },
+
+  // @ai: ツールを使えるエージェントで応答
+  async agent(message, savedMessageId) {
+    message.channel.sendTyping();
+    try {
+      const prompt = message.content.replace(/@ai/gi, '').trim();
+      const { history } = await getConversationContext(message.author.id, message.channel.id, savedMessageId);
+
+      // エージェントがタスク・ジャーナルなどのツールを呼び出して応答（サーバーごとの応答の言語と既定のモデルを使う）
+      const settings = await getGuildSettings(message.guildId);
+      const { output, actions } = await getAgentResponse(message.author.id, prompt, history, {
+        sourceMessageId: savedMessageId,
+        language: settings.language,
+        chain: settings.models.agent
+      });
+      await replyAndSave(message, output + formatActionsFooter(actions), savedMessageId);
+    } catch (error) {
+      console.error('AI応答エラー:', error);
+      await message.reply('すみません、エラーが発生しました。後でもう一度お試しください。');
+    }
+  },
+
+  // メッセージからタスクを抽出して登録
+  async task_create(message, savedMessageId) {
+    try {
+      // 締切日はユーザーのタイムゾーンで解釈する
+      const timezone = await getUserTimezone(message.author.id);
+      const result = await aiService.extractTasks(message.content, { timezone });
+      if (result.tasks.length === 0) {
+        await replyAndSave(message, 'タスクとして登録できる内容が見つかりませんでした。`/task add` で直接登録することもできます。', savedMessageId);
+        return;
+      }
+
+      const created = [];
+      for (const task of result.tasks) {
+        created.push(await createTask(message.author.id, {
+          title: task.title,
+          description: task.description || '',
+          dueDate: task.dueDate,
+          recurrence: task.recurrence,
+          sourceMessageId: savedMessageId
+        }));
+      }
+
+      const taskList = created.map(task => `- ${formatTask(task)}`).join('\n');
+      await replyAndSave(message, `以下のタスクを登録しました：\n${taskList}`, savedMessageId);
+    } catch (error) {
+      console.error('タスク抽出エラー:', error);
+      await replyAndSave(message, `⚠️ タスクを登録できませんでした: ${error.message}`, savedMessageId);
+    }
+  },
+
+  // 未完了のタスクを表示（「今日の」「期限切れの」「今週の」で絞り込む）
+  async task_query(message, savedMessageId) {
+    const due = /期限切れ|過ぎ/.test(message.content) ? 'overdue'
+      : /今日/.test(message.content) ? 'today'
+        : /今週|7日|一週間/.test(message.content) ? 'week'
+          : null;
+    const today = getLocalDateTime(new Date(), await getUserTimezone(message.author.id)).date;
+    const tasks = await database.tasks.list(message.author.id, { status: 'open', due, today });
+
+    if (tasks.length === 0) {
+      await replyAndSave(message, '該当する未完了のタスクはありません。', savedMessageId);
+      return;
+    }
+    await replyAndSave(message, formatTaskList(`📋 **未完了のタスク**（${tasks.length}件）`, tasks), savedMessageId);
+  },
+
+  // 報告されたタスクを完了にする（候補が複数ある場合はボタンで選んでもらう）
+  async task_complete(message, savedMessageId) {
+    const openTasks = await database.tasks.list(message.author.id, { status: 'open' });
+    const matches = findTasksToComplete(message.content, openTasks);
+
+    if (matches.length === 1) {
+      const result = await completeTask(message.author.id, matches[0].id);
+      await replyAndSave(message, formatCompletion(result), savedMessageId);
+      return;
+    }
+
+    const candidates = matches.length > 0 ? matches : openTasks;
+    if (candidates.length === 0) {
+      await replyAndSave(message, '未完了のタスクはありません。', savedMessageId);
+      return;
+    }
+
+    const buttons = candidates.slice(0, MAX_TASK_BUTTONS).map(task => new ButtonBuilder()
+      .setCustomId(`task:done:${task.id}`)
+      .setLabel(truncateText(`#${task.id} ${task.title}`, 80))
+      .setStyle(ButtonStyle.Success));
+    const more = candidates.length > MAX_TASK_BUTTONS ? '（ほかのタスクは `/task done` で選択できます）' : '';
+    await replyAndSave(message, `どのタスクを完了にしますか？${more}`, savedMessageId, {
+      components: [new ActionRowBuilder().addComponents(buttons)]
+    });
+  },
+
+  // ジャーナリング支援
+  async journal(message, savedMessageId) {
+    try {
+      const result = await aiService.assistWithJournaling(message.content);
+      const entry = result.journalEntry;
+
+      // ジャーナルエントリをデータベースに保存
+      await createJournalEntry(message.author.id, { ...entry, sourceMessageId: savedMessageId });
+
+      await replyAndSave(
+        message,
+        `ジャーナルエントリを保存しました。\n\n気分: ${entry.mood || '不明'}\nタグ: ${entry.tags.join('、') || 'なし'}`,
+        savedMessageId
+      );
+    } catch (error) {
+      console.error('ジャーナリング支援エラー:', error);
+      await replyAndSave(message, `⚠️ ジャーナルを保存できませんでした: ${error.message}`, savedMessageId);
+    }
+  },
+
+  // リマインダーの依頼（「30分後に通知して」「明日の15時にリマインドして」など）
+  async reminder(message, savedMessageId) {
+    // DMでの依頼はDMに、サーバーでの依頼は同じチャンネルに通知する
+    const confirmation = await registerReminder(message.author.id, message.content, {
+      channelId: message.guild ? message.channel.id : null
+    });
+    await replyAndSave(
+      message,
+      confirmation || 'いつ通知しますか？時刻を含めてもう一度送ってください（例: 30分後、明日の15時、毎週月曜9時）。',
+      savedMessageId
+    );
+  },
+
+  // 今日（「昨日の」とあれば昨日）の日次サマリーを表示
+  async summary(message, savedMessageId) {
+    message.channel.sendTyping();
+    const timezone = await getUserTimezone(message.author.id);
+    const today = getLocalDateTime(new Date(), timezone).date;
+    const date = /昨日/.test(message.content) ? addDays(today, -1) : today;
+
+    // 昨日の分は保存済みのもののみ表示する
+    const summary = await getDailySummary(message.author.id, { date, timezone });
+    await replyAndSave(message, summary ? summary.content : `${date} の日次サマリーは保存されていません。`, savedMessageId);
+  }
+};
+
+/**
+ * 意図に対応する処理を実行する
+ * @param {string} intent - 意図（handlers のキー）
+ * @param {Message} message - メッセージ
+ * @param {number|null} savedMessageId - 保存したメッセージ（message_history.id）
+ */
+async function dispatchIntent(intent, message, savedMessageId) {
+  try {
+    await handlers[intent](message, savedMessageId);
+  } catch (error) {
+    console.error(`メッセージ処理エラー（${intent}）:`, error);
+    await message.reply('すみません、処理中にエラーが発生しました。後でもう一度お試しください。').catch(() => {});
+  }
+}
+
+/**
+ * 意図を確信できない場合に、どの処理をするかをボタンで聞き返す
+ * @param {Message} message - メッセージ
+ * @param {Array<string>} options - 選択肢の意図
+ * @param {number|null} savedMessageId - 保存したメッセージ（message_history.id）
+ */
+async function askForClarification(message, options, savedMessageId) {
+  const buttons = options.map(intent => new ButtonBuilder()
+    .setCustomId(`intent:${intent}:${message.id}`)
+    .setLabel(INTENT_LABELS[intent])
+    .setStyle(intent === 'chat' ? ButtonStyle.Secondary : ButtonStyle.Primary));
+
+  await replyAndSave(message, 'どのように対応しましょうか？', savedMessageId, {
+    components: [new ActionRowBuilder().addComponents(buttons)]
+  });
+}
+
+/**
+ * 受信したメッセージの意図を判定し、対応する処理を1つだけ実行する
+ * 連投中、または今日の利用上限に達したユーザー・サーバーのメッセージには応答しない（必要な場合はその旨を返信する）
+ * @param {Message} message - メッセージ
+ * @param {number|null} savedMessageId - 保存したメッセージ（message_history.id）
+ */
+async function handleMessage(message, savedMessageId) {
+  const check = await checkMessageAllowed(message.author.id, message.guildId);
+  if (!check.allowed) {
+    if (check.message) {
+      await message.reply({ content: check.message, allowedMentions: { repliedUser: false } })
+        .catch(error => console.warn('利用制限の返信に失敗しました:', error.message));
+    }
+    return;
+  }
+
+  // 処理の中で呼び出したLLMは、このユーザー・サーバーの利用として記録する
+  return runWithUsageContext({ userId: message.author.id, guildId: message.guildId }, () => routeMessage(message, savedMessageId));
+}
+
+/**
+ * メッセージの意図を判定し、対応する処理に振り分ける
+ * @param {Message} message - メッセージ
+ * @param {number|null} savedMessageId - 保存したメッセージ（message_history.id）
+ */
+async function routeMessage(message, savedMessageId) {
+  // 「@ai」で呼びかけられた場合はエージェントが応答する
+  if (/(^|\s)@ai\b/i.test(message.content)) {
+    return dispatchIntent('agent', message, savedMessageId);
+  }
+
+  const result = await classifyIntent(message.content);
+  console.log(`意図: ${result.intent}（確信度: ${result.confidence.toFixed(2)}、判定: ${result.source}）${result.clarify ? ' → 聞き返し' : ''}`);
+
+  if (result.clarify) {
+    return askForClarification(message, result.clarify, savedMessageId);
+  }
+  return dispatchIntent(result.intent, message, savedMessageId);
+}
+
+/**
+ * 聞き返しのボタン（intent:<意図>:<元のメッセージID>）を処理する
+ * @param {ButtonInteraction} interaction - インタラクション
+ */
+async function handleIntentButton(interaction) {
+  const [, intent, messageId] = interaction.customId.split(':');
+  if (!INTENT_LABELS[intent]) {
+    return interaction.reply({ content: 'この操作には対応していません。', flags: MessageFlags.Ephemeral });
+  }
+
+  const channel = interaction.channel || await interaction.client.channels.fetch(interaction.channelId);
+  const original = await channel.messages.fetch(messageId).catch(() => null);
+  if (!original) {
+    return interaction.reply({ content: '元のメッセージが見つかりませんでした。', flags: MessageFlags.Ephemeral });
+  }
+  if (original.author.id !== interaction.user.id) {
+    return interaction.reply({ content: 'メッセージを送った本人のみ選択できます。', flags: MessageFlags.Ephemeral });
+  }
+  const refusal = await checkQuota(interaction.user.id, interaction.guildId);
+  if (refusal) {
+    return interaction.reply({ content: refusal, flags: MessageFlags.Ephemeral });
+  }
+
+  // 同じ問いかけから二度処理しないよう、ボタンを外して選んだ内容を追記する
+  await interaction.update({
+    content: `${interaction.message.content}\n→ ${INTENT_LABELS[intent]}`,
+    components: []
+  });
+
+  // 受信時と同じく、メンション・プレフィックスを取り除いた内容で処理する（保存済みの内容は取り除いた後のもの）
+  const saved = await database.getMessageByDiscordId(original.id);
+  original.content = saved
+    ? saved.message_content
+    : (await resolveMessageHandling(original, interaction.client.user.id)).content;
+  return runWithUsageContext({ userId: interaction.user.id, guildId: interaction.guildId },
+    () => dispatchIntent(intent, original, saved ? saved.id : null));
+}
+
+module.exports = {
+  replyAndSave,
+  findTasksToComplete,
+  handleMessage,
+  handleIntentButton
+};
@@ -0,0 +1,195 @@
+const { CronJob } = require('cron');
+const database = require('../database');
+const { parseReminder, getNextOccurrence, describeRecurrence } = require('../utils/reminderParser');
+const { getLocalDateTime, toSqliteTimestamp, truncateText } = require('../utils/helpers');
+require('dotenv').config();
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Tokyo';
+
+// 曜日の表示名（getUTCDay() の値 → 漢字）
+const weekdayLabels = ['日', '月', '火', '水', '木', '金', '土'];
+
+// 予定時刻からこれ以上遅れて通知する場合は、遅れた旨を添える（分）
+const LATE_NOTICE_MINUTES = 5;
+
+/**
+ * SQLiteのUTC文字列をDateに変換する
+ * @param {string} timestamp - 'YYYY-MM-DD HH:MM:SS'（UTC）
+ * @returns {Date} - 日時
+ */
+function fromSqliteTimestamp(timestamp) {
+  return new Date(`${timestamp.replace(' ', 'T')}Z`);
+}
+
+/**
+ * 通知時刻を表示用の文字列にする
+ * @param {Date} date - 通知時刻
+ * @param {string} timezone - IANAタイムゾーン名
+ * @returns {string} - 表示用の文字列（例: 2024-05-01（水）15:00）
+ */
+function formatRemindAt(date, timezone) {
+  const local = getLocalDateTime(date, timezone);
+  const weekday = weekdayLabels[new Date(`${local.date}T00:00:00Z`).getUTCDay()];
+  return `${local.date}（${weekday}）${local.time}`;
+}
+
+/**
+ * リマインダーを1行で表示する
+ * @param {Object} reminder - reminders テーブルの行
+ * @returns {string} - 表示用の文字列
+ */
+function formatReminder(reminder) {
+  const remindAt = formatRemindAt(fromSqliteTimestamp(reminder.remind_at), reminder.timezone);
+  const repeat = reminder.recurrence ? `（${describeRecurrence(reminder.recurrence)}）` : '';
+  const target = reminder.channel_id ? `<#${reminder.channel_id}>` : 'DM';
+  return `\`#${reminder.id}\` ${remindAt}${repeat} ${reminder.message} → ${target}`;
+}
+
+/**
+ * 自然文のリマインダー依頼を解釈して登録する
+ * @param {string} userId - ユーザーID
+ * @param {string} text - 依頼文（例: 明日の15時に会議の準備を通知して）
+ * @param {Object} options - オプション
+ * @param {string|null} [options.channelId] - 通知先のチャンネル（nullの場合はDM）
+ * @param {string} [options.message] - 通知する内容（省略時は依頼文から取り出す）
+ * @param {string} [options.timezone] - ユーザーのタイムゾーン
+ * @param {Date} [options.now] - 基準となる現在時刻
+ * @returns {Promise<Object|null>} - 登録したリマインダー、時刻を読み取れない場合はnull
+ */
+async function createReminderFromText(userId, text, options = {}) {
+  const { channelId = null, timezone = DEFAULT_TIMEZONE, now = new Date() } = options;
+
+  const parsed = parseReminder(text, { timezone, now });
+  if (!parsed) return null;
+  if (parsed.remindAt <= now) {
+    throw new Error(`過去の時刻（${formatRemindAt(parsed.remindAt, timezone)}）には通知できません。`);
+  }
+
+  const message = options.message || parsed.message || 'リマインダー';
+  const reminderId = await database.reminders.create(userId, {
+    channelId,
+    message: truncateText(message, 500),
+    remindAt: toSqliteTimestamp(parsed.remindAt),
+    recurrence: parsed.recurrence,
+    timezone
+  });
+
+  return database.reminders.getById(userId, reminderId);
+}
+
+/**
+ * 自然文のリマインダー依頼を登録し、解釈した時刻を確認するメッセージを返す
+ * @param {string} userId - ユーザーID
+ * @param {string} text - 依頼文
+ * @param {Object} options - createReminderFromText() のオプション（timezone は省略時にユーザー設定を使う）
+ * @returns {Promise<string|null>} - 確認メッセージ、時刻を読み取れない場合はnull
+ */
+async function registerReminder(userId, text, options = {}) {
+  const user = await database.users.get(userId);
+  const timezone = options.timezone || (user ? user.timezone : DEFAULT_TIMEZONE);
+
+  let reminder;
+  try {
+    reminder = await createReminderFromText(userId, text, { ...options, timezone });
+  } catch (error) {
+    return `⚠️ ${error.message}`;
+  }
+  if (!reminder) return null;
+
+  const remindAt = formatRemindAt(fromSqliteTimestamp(reminder.remind_at), reminder.timezone);
+  const repeat = reminder.recurrence ? `（${describeRecurrence(reminder.recurrence)}）` : '';
+  const target = reminder.channel_id ? 'このチャンネル' : 'DM';
+  return `⏰ ${remindAt}${repeat}に「${reminder.message}」を${target}で通知します（\`#${reminder.id}\`）。`;
+}
+
+/**
+ * リマインダーを通知先（元のチャンネル、またはDM）に送信する
+ * チャンネルに送れない場合（削除済み・権限なし）はDMに送る
+ * @param {Client} client - Discordクライアント
+ * @param {Object} reminder - reminders テーブルの行
+ * @param {Date} now - 現在時刻
+ */
+async function deliverReminder(client, reminder, now) {
+  const scheduledAt = fromSqliteTimestamp(reminder.remind_at);
+  const late = (now - scheduledAt) / 60000 > LATE_NOTICE_MINUTES
+    ? `\n-# 予定時刻 ${formatRemindAt(scheduledAt, reminder.timezone)} から遅れて通知しています`
+    : '';
+  const content = `⏰ **リマインダー**: ${reminder.message}${late}`;
+
+  if (reminder.channel_id) {
+    try {
+      const channel = await client.channels.fetch(reminder.channel_id);
+      await channel.send({
+        content: `<@${reminder.user_id}> ${content}`,
+        allowedMentions: { users: [reminder.user_id] }
+      });
+      return;
+    } catch (error) {
+      console.error(`リマインダー #${reminder.id} をチャンネルに送信できなかったため、DMで送信します:`, error.message);
+    }
+  }
+
+  const user = await client.users.fetch(reminder.user_id);
+  await user.send(content);
+}
+
+/**
+ * 通知時刻を迎えたリマインダーを送信する
+ * 送信前に通知済み（繰り返しの場合は次の通知時刻）として記録するため、同じ通知を二度送らない
+ * 停止中に通知時刻を過ぎたものは起動後に送信し、繰り返しのリマインダーは過ぎた回をまとめて1回にする
+ * @param {Client} client - Discordクライアント
+ * @param {Date} now - 現在時刻
+ */
+async function runDueReminders(client, now = new Date()) {
+  const reminders = await database.reminders.getDue(toSqliteTimestamp(now));
+
+  for (const reminder of reminders) {
+    try {
+      const next = reminder.recurrence
+        ? toSqliteTimestamp(getNextOccurrence(reminder.recurrence, now, reminder.timezone))
+        : null;
+      if (!await database.reminders.claim(reminder, next)) continue;
+
+      await deliverReminder(client, reminder, now);
+      console.log(`リマインダー #${reminder.id} を送信しました`);
+    } catch (error) {
+      console.error(`リマインダー #${reminder.id} の送信中にエラーが発生しました:`, error);
+    }
+  }
+}
+
+/**
+ * リマインダーを送信するジョブを開始する
+ * @param {Client} client - Discordクライアント
+ * @returns {CronJob} - 開始したジョブ
+ */
+function startReminderScheduler(client) {
+  let running = false;
+
+  // 「30分後」などの短い指定もずれが小さくなるよう、15秒ごとに確認する
+  const job = new CronJob('*/15 * * * * *', async function() {
+    if (running) return;
+    running = true;
+    try {
+      await runDueReminders(client);
+    } catch (error) {
+      console.error('リマインダージョブ実行中にエラーが発生しました:', error);
+    } finally {
+      running = false;
+    }
+  });
+
+  job.start();
+  console.log('リマインダージョブを開始しました');
+  return job;
+}
+
+module.exports = {
+  fromSqliteTimestamp,
+  formatRemindAt,
+  formatReminder,
+  createReminderFromText,
+  registerReminder,
+  runDueReminders,
+  startReminderScheduler
+};
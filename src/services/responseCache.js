@@ -0,0 +1,100 @@
+const database = require('../database');
+const providers = require('../providers');
+const { toSqliteTimestamp } = require('../utils/helpers');
+require('dotenv').config();
+
+// 応答のキャッシュを使うか
+const LLM_CACHE_ENABLED = process.env.LLM_CACHE_ENABLED !== 'false';
+
+// キャッシュの有効期間（ミリ秒）
+const LLM_CACHE_TTL_MS = parseInt(process.env.LLM_CACHE_TTL_MS || '86400000', 10);
+
+// キャッシュの件数と合計サイズ（バイト）の上限（超えた分は最後に使った日時の古いものから削除する）
+const LLM_CACHE_MAX_ENTRIES = parseInt(process.env.LLM_CACHE_MAX_ENTRIES || '1000', 10);
+const LLM_CACHE_MAX_BYTES = parseInt(process.env.LLM_CACHE_MAX_BYTES || '10485760', 10);
+
+// 保存するたびに上限を確認すると書き込みが増えるため、この件数の保存ごとに削除する
+const PRUNE_INTERVAL = 20;
+
+let savedSincePrune = 0;
+
+/**
+ * キャッシュの応答を取得する
+ * @param {string} key - キャッシュのキー
+ * @returns {Promise<Object|null>} - { content, toolCalls, model, usage }（ない・期限切れの場合はnull）
+ */
+async function get(key) {
+  const row = await database.llmCache.get(key);
+  if (!row) return null;
+
+  console.log(`応答のキャッシュを使用しました（機能: ${row.feature}、${row.provider}:${row.model}）`);
+  return JSON.parse(row.response);
+}
+
+/**
+ * 応答をキャッシュに保存する
+ * @param {string} key - キャッシュのキー
+ * @param {Object} result - complete() の結果
+ * @param {Object} meta - { feature }
+ */
+async function set(key, result, meta) {
+  const { content, toolCalls = [], model, usage = null } = result;
+  await database.llmCache.set(key, {
+    feature: meta.feature,
+    provider: result.provider,
+    model,
+    response: JSON.stringify({ content, toolCalls, model, usage }),
+    expiresAt: toSqliteTimestamp(new Date(Date.now() + LLM_CACHE_TTL_MS))
+  });
+
+  savedSincePrune += 1;
+  if (savedSincePrune >= PRUNE_INTERVAL) {
+    savedSincePrune = 0;
+    await prune();
+  }
+}
+
+/**
+ * キャッシュの応答を削除する
+ * @param {string} key - キャッシュのキー
+ */
+async function remove(key) {
+  await database.llmCache.delete(key);
+}
+
+/**
+ * 期限切れのキャッシュと、上限を超えた分を削除する
+ * @returns {Promise<number>} - 削除した件数
+ */
+async function prune() {
+  const deleted = await database.llmCache.prune(LLM_CACHE_MAX_ENTRIES, LLM_CACHE_MAX_BYTES);
+  if (deleted > 0) {
+    console.log(`応答のキャッシュを${deleted}件削除しました`);
+  }
+  return deleted;
+}
+
+/**
+ * 応答のキャッシュを有効にする（LLM_CACHE_ENABLED=false の場合は何もしない）
+ * @returns {Promise<void>}
+ */
+async function startResponseCache() {
+  if (!LLM_CACHE_ENABLED) {
+    console.log('応答のキャッシュは無効です');
+    return;
+  }
+
+  providers.setResponseCache({ get, set, delete: remove });
+  try {
+    await prune();
+    const stats = await database.llmCache.getStats();
+    console.log(`応答のキャッシュを有効にしました（${stats.entries}件、${Math.round(stats.bytes / 1024)}KB）`);
+  } catch (error) {
+    console.error('応答のキャッシュの整理中にエラーが発生しました:', error);
+  }
+}
+
+module.exports = {
+  startResponseCache,
+  prune
+};
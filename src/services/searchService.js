@@ -0,0 +1,192 @@
+const database = require('../database');
+const { fromSqliteTimestamp } = require('./reminderScheduler');
+const { getLocalDateTime, getLocalDayRange } = require('../utils/helpers');
+const { toIsoDate } = require('../utils/jsonSchema');
+const { ValidationError } = require('../utils/validation');
+require('dotenv').config();
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Tokyo';
+
+// 検索対象の種類の表示名
+const SEARCH_TYPE_LABELS = {
+  all: 'すべて',
+  message: 'メッセージ',
+  task: 'タスク',
+  journal: 'ジャーナル',
+  idea: 'アイデア'
+};
+
+// trigram トークナイザーで索引を使って検索できる語の最小文字数（これより短い語は部分一致で探す）
+const MIN_MATCH_LENGTH = 3;
+
+// 索引を使わずに探した場合のスニペットの文字数
+const SNIPPET_LENGTH = 40;
+
+/**
+ * 検索語をFTS5のクエリと部分一致で探す語に分ける
+ * 空白区切りの語はすべて含むもの（AND）を探す
+ * @param {string} query - 検索語
+ * @returns {Object} - { match: FTS5のクエリ（なければnull）, likes: 3文字未満の語, terms: すべての語 }
+ * @throws {ValidationError} - 検索語が空の場合
+ */
+function parseSearchQuery(query) {
+  const terms = [...new Set(String(query || '')
+    .split(/[\s　]+/)
+    .map(term => term.replace(/^["'「『]+|["'」』]+$/g, ''))
+    .filter(Boolean))];
+  if (terms.length === 0) {
+    throw new ValidationError('検索語を指定してください', { field: 'query' });
+  }
+
+  const long = terms.filter(term => [...term].length >= MIN_MATCH_LENGTH);
+  return {
+    // 語は記号を含んでもそのまま探せるよう、フレーズとして引用符で囲む
+    match: long.length > 0 ? long.map(term => `"${term.replace(/"/g, '""')}"`).join(' ') : null,
+    likes: terms.filter(term => [...term].length < MIN_MATCH_LENGTH),
+    terms
+  };
+}
+
+/**
+ * テキスト中の語を ** で囲む（既に ** で囲まれた部分はそのままにする）
+ * @param {string} text - テキスト
+ * @param {Array<string>} terms - 強調する語
+ * @returns {string} - 強調したテキスト
+ */
+function highlightTerms(text, terms) {
+  if (terms.length === 0) return text;
+  const pattern = new RegExp(terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'gi');
+  return text
+    .split('**')
+    .map((part, index) => (index % 2 === 0 ? part.replace(pattern, match => `**${match}**`) : part))
+    .join('**');
+}
+
+/**
+ * 最初に一致した語の前後を切り出して、語を強調したスニペットを作る
+ * @param {string} text - 本文
+ * @param {Array<string>} terms - 検索語
+ * @returns {string} - スニペット
+ */
+function makeSnippet(text, terms) {
+  const lower = text.toLowerCase();
+  const positions = terms.map(term => lower.indexOf(term.toLowerCase())).filter(position => position !== -1);
+  const first = positions.length > 0 ? Math.min(...positions) : 0;
+
+  const start = Math.max(0, first - Math.floor(SNIPPET_LENGTH / 3));
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const snippet = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+  return highlightTerms(snippet, terms);
+}
+
+/**
+ * 検索の日付の条件（ユーザーのタイムゾーンの YYYY-MM-DD）を検証する
+ * @param {string|null} value - 日付
+ * @param {string} label - 表示用の項目名
+ * @returns {string|null} - YYYY-MM-DD
+ * @throws {ValidationError} - 日付として読めない場合
+ */
+function parseDateOption(value, label) {
+  if (!value) return null;
+  const date = toIsoDate(value);
+  if (!date) {
+    throw new ValidationError(`${label}は YYYY-MM-DD 形式で指定してください`, { field: label });
+  }
+  return date;
+}
+
+/**
+ * ユーザー自身のメッセージ・タスク・ジャーナル・アイデアを全文検索する
+ * 3文字以上の語はFTS5の索引で関連度順に、3文字未満の語だけの場合は部分一致で新しい順に探す
+ * @param {string} userId - ユーザーID
+ * @param {string} query - 検索語（空白区切りで複数指定するとすべてを含むものを探す）
+ * @param {Object} [filters] - 絞り込み
+ * @param {string} [filters.type] - all | message | task | journal | idea
+ * @param {string|null} [filters.from] - この日以降（YYYY-MM-DD、ユーザーのタイムゾーン）
+ * @param {string|null} [filters.to] - この日まで（YYYY-MM-DD、ユーザーのタイムゾーン）
+ * @param {string|null} [filters.tag] - ジャーナルのタグ
+ * @param {string|null} [filters.mood] - ジャーナルの気分
+ * @param {number} [filters.limit] - 最大件数
+ * @returns {Promise<Object>} - { results: 検索結果（snippet は一致箇所を ** で強調）, timezone }
+ * @throws {ValidationError} - 検索語・絞り込みが正しくない場合
+ */
+async function search(userId, query, filters = {}) {
+  const { type = 'all', tag = null, mood = null, limit = 10 } = filters;
+  const { match, likes, terms } = parseSearchQuery(query);
+
+  if (!SEARCH_TYPE_LABELS[type]) {
+    throw new ValidationError(`種類は ${Object.keys(SEARCH_TYPE_LABELS).join(' / ')} のいずれかで指定してください`, { field: 'type' });
+  }
+  if ((tag || mood) && !['all', 'journal'].includes(type)) {
+    throw new ValidationError('タグ・気分での絞り込みはジャーナルのみ対象です', { field: tag ? 'tag' : 'mood' });
+  }
+
+  const user = await database.users.get(userId);
+  const timezone = user ? user.timezone : DEFAULT_TIMEZONE;
+
+  const fromDate = parseDateOption(filters.from, '開始日');
+  const toDate = parseDateOption(filters.to, '終了日');
+  if (fromDate && toDate && fromDate > toDate) {
+    throw new ValidationError('開始日は終了日以前の日付を指定してください', { field: 'from' });
+  }
+
+  // タグ・気分を指定した場合はジャーナルのみを探す
+  const types = type !== 'all' ? [type] : (tag || mood ? ['journal'] : ['message', 'task', 'journal', 'idea']);
+  const options = {
+    match,
+    likes,
+    from: fromDate ? getLocalDayRange(fromDate, timezone).from : null,
+    to: toDate ? getLocalDayRange(toDate, timezone).to : null,
+    tag,
+    mood,
+    limit
+  };
+
+  const rows = [];
+  for (const searchType of types) {
+    rows.push(...await database.search.find(searchType, userId, options));
+  }
+
+  // 関連度（bm25、小さいほど関連が高い）順、同じ場合は新しい順
+  const results = rows
+    .sort((a, b) => a.rank - b.rank || b.created_at.localeCompare(a.created_at))
+    .slice(0, limit)
+    .map(row => ({
+      ...row,
+      snippet: row.snippet !== null && row.snippet !== undefined
+        ? highlightTerms(row.snippet, likes)
+        : makeSnippet(row.text, terms)
+    }));
+
+  return { results, timezone };
+}
+
+/**
+ * Discordのメッセージへのジャンプリンクを作る
+ * @param {string|null} guildId - サーバーID（DMの場合はnull）
+ * @param {string} channelId - チャンネルID
+ * @param {string} messageId - メッセージID
+ * @returns {string} - URL
+ */
+function buildJumpLink(guildId, channelId, messageId) {
+  return `https://discord.com/channels/${guildId || '@me'}/${channelId}/${messageId}`;
+}
+
+/**
+ * 検索結果の作成日時を、ユーザーのタイムゾーンの日付にする
+ * @param {Object} result - 検索結果
+ * @param {string} timezone - IANAタイムゾーン名
+ * @returns {string} - YYYY-MM-DD
+ */
+function getResultDate(result, timezone) {
+  return getLocalDateTime(fromSqliteTimestamp(result.created_at), timezone).date;
+}
+
+module.exports = {
+  SEARCH_TYPE_LABELS,
+  parseSearchQuery,
+  highlightTerms,
+  search,
+  buildJumpLink,
+  getResultDate
+};
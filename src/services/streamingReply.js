@@ -0,0 +1,153 @@
+const { findSplitPoint } = require('../utils/helpers');
+require('dotenv').config();
+
+// 会話の応答を生成しながら返信を編集して表示するか（false の場合は生成後にまとめて返信する）
+const STREAMING_ENABLED = process.env.STREAMING_ENABLED !== 'false';
+
+// 返信を編集する最短の間隔（ミリ秒、Discordのレート制限を避けるため）
+const STREAM_EDIT_INTERVAL_MS = parseInt(process.env.STREAM_EDIT_INTERVAL_MS || '1500', 10);
+
+// 1メッセージに表示する最大文字数（Discordの上限2000文字から、生成中の印の分を除く）
+const STREAM_MESSAGE_LENGTH = 1900;
+
+const PLACEHOLDER = '💭 考え中…';
+const RETRY_NOTICE = '⏳ 混雑中のため再試行しています…';
+// 生成中であることを示す、末尾の印
+const CURSOR = ' ▌';
+
+/**
+ * 生成中の応答を、元のメッセージへの返信を編集しながら表示する
+ * 最初にプレースホルダーを返信し、受け取った文章を一定の間隔でまとめて反映する。
+ * 1メッセージの上限を超えた分は、段落・文末などの区切りで確定して次の返信に送る
+ * @param {Message} message - 応答元のメッセージ
+ * @param {Object} [options] - オプション
+ * @param {number} [options.intervalMs] - 編集の最短の間隔（ミリ秒）
+ * @param {number} [options.maxLength] - 1メッセージに表示する最大文字数
+ * @returns {Object} - { push: 文章の断片を追加する関数, onRetry: providers の onRetry に渡す関数, finish: 表示を確定する関数 }
+ */
+function createStreamingReply(message, options = {}) {
+  const { intervalMs = STREAM_EDIT_INTERVAL_MS, maxLength = STREAM_MESSAGE_LENGTH } = options;
+
+  const sent = []; // 送信した返信（古い順）
+  let current = null; // 編集中の返信（null の場合は次の表示で新しく返信する）
+  let rendered = null; // 編集中の返信に表示している内容
+  let text = ''; // 受け取った文章の全体
+  let offset = 0; // 編集中の返信に表示する部分の開始位置
+  let timer = null;
+  let dirty = false;
+  let finished = false;
+
+  // Discordへの送信・編集は順番に行う（失敗しても以降の表示は続ける）
+  let queue = Promise.resolve();
+  const enqueue = task => {
+    queue = queue.then(task).catch(error => console.warn('応答の表示の更新に失敗しました:', error.message));
+    return queue;
+  };
+
+  /**
+   * 編集中の返信に内容を表示する（なければ新しく返信する）
+   * @param {string} content - 表示する内容
+   */
+  async function show(content) {
+    if (current && content === rendered) return;
+    if (current) {
+      await current.edit(content);
+    } else {
+      current = await message.reply({ content, allowedMentions: { repliedUser: false } });
+      sent.push(current);
+    }
+    rendered = content;
+  }
+
+  /**
+   * 受け取った文章を表示に反映する
+   * @param {boolean} final - 生成が終わったか（生成中の印を付けない）
+   */
+  async function render(final) {
+    dirty = false;
+
+    // 上限を超えた分は、区切りのよい位置までを確定し、残りを次の返信に送る
+    while (text.length - offset > maxLength) {
+      const rest = text.slice(offset);
+      const point = findSplitPoint(rest, maxLength);
+      const chunk = rest.slice(0, point).trimEnd();
+      if (chunk) {
+        await show(chunk);
+        current = null;
+        rendered = null;
+      }
+      offset += point;
+      while (offset < text.length && /\s/.test(text[offset])) offset++;
+    }
+
+    const rest = text.slice(offset);
+    if (!rest.trim()) return;
+    await show(final ? rest.trimEnd() : rest + CURSOR);
+  }
+
+  // 一定の間隔で表示を更新する（更新中に受け取った文章は、更新が終わってから反映する）
+  function schedule() {
+    if (timer || finished) return;
+    timer = setTimeout(() => {
+      enqueue(() => render(false)).then(() => {
+        timer = null;
+        if (dirty) schedule();
+      });
+    }, intervalMs);
+  }
+
+  enqueue(() => show(PLACEHOLDER));
+
+  return {
+    /**
+     * 生成された文章の断片を追加する
+     * @param {string} delta - 文章の断片
+     */
+    push(delta) {
+      if (finished || !delta) return;
+      text += delta;
+      dirty = true;
+      schedule();
+    },
+
+    /**
+     * まだ何も表示していなければ、再試行していることを表示する
+     */
+    onRetry() {
+      if (finished || text) return;
+      enqueue(() => show(RETRY_NOTICE));
+    },
+
+    /**
+     * 応答の全体で表示を確定する
+     * 表示中の文章と異なる場合（生成の途中で失敗した場合など）は、最初の返信から表示し直し、余った返信を削除する
+     * @param {string} content - 応答の全体
+     * @returns {Promise<Object>} - { firstReply: 最初の返信（送信できなかった場合はnull） }
+     */
+    async finish(content) {
+      finished = true;
+      clearTimeout(timer);
+
+      await enqueue(async () => {
+        if (content.trim() !== text.trim()) {
+          text = content;
+          offset = 0;
+          current = sent[0] || null;
+          rendered = null;
+          const extra = sent.splice(1);
+          for (const reply of extra) {
+            await reply.delete().catch(error => console.warn('不要になった返信の削除に失敗しました:', error.message));
+          }
+        }
+        await render(true);
+      });
+
+      return { firstReply: sent[0] || null };
+    }
+  };
+}
+
+module.exports = {
+  STREAMING_ENABLED,
+  createStreamingReply
+};
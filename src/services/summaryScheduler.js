@@ -0,0 +1,90 @@
+const { CronJob } = require('cron');
+const database = require('../database');
+const { createDailySummary } = require('./dailySummaryService');
+const { runWithUsageContext } = require('./usageService');
+const { getLocalDateTime, splitMessage } = require('../utils/helpers');
+
+/**
+ * ユーザーの配信設定に従って日次サマリーを送信する
+ * @param {Client} client - Discordクライアント
+ * @param {Object} user - users テーブルの行
+ * @param {string} summary - 送信するサマリー
+ */
+async function deliverSummary(client, user, summary) {
+  const content = `📅 **今日の日次サマリー** 📅\n\n${summary}`;
+
+  if (user.summary_target === 'channel' && user.summary_channel_id) {
+    const channel = await client.channels.fetch(user.summary_channel_id);
+    for (const chunk of splitMessage(`<@${user.id}>\n${content}`)) {
+      await channel.send({
+        content: chunk,
+        allowedMentions: { users: [user.id] }
+      });
+    }
+  } else {
+    const userObj = await client.users.fetch(user.id);
+    for (const chunk of splitMessage(content)) {
+      await userObj.send(chunk);
+    }
+  }
+}
+
+/**
+ * 配信時刻を過ぎていて、今日（ユーザーのローカル日付）まだ配信していない購読者にサマリーを送信する
+ * 起動が配信時刻より遅れた場合も、その日のうちに配信される
+ * @param {Client} client - Discordクライアント
+ * @param {Date} now - 現在時刻
+ */
+async function runDueSummaries(client, now = new Date()) {
+  const subscribers = await database.users.getSummarySubscribers();
+
+  for (const user of subscribers) {
+    const local = getLocalDateTime(now, user.timezone);
+    if (local.time < user.summary_time || user.last_summary_date === local.date) {
+      continue;
+    }
+
+    try {
+      // 生成に時間がかかっても二重送信しないよう、先に配信済みとして記録する
+      await database.users.markSummarySent(user.id, local.date);
+      const summary = await runWithUsageContext({ userId: user.id },
+        () => createDailySummary(user.id, { timezone: user.timezone, now }));
+      await deliverSummary(client, user, summary);
+      console.log(`ユーザー ${user.id} の日次サマリーを送信しました`);
+    } catch (error) {
+      console.error(`ユーザー ${user.id} の日次サマリー送信中にエラーが発生しました:`, error);
+    }
+  }
+}
+
+/**
+ * 購読者ごとのローカル時刻で日次サマリーを配信するジョブを開始する
+ * @param {Client} client - Discordクライアント
+ * @returns {CronJob} - 開始したジョブ
+ */
+function startSummaryScheduler(client) {
+  let running = false;
+
+  // 毎分、配信時刻を迎えた購読者がいるか確認する
+  const job = new CronJob('0 * * * * *', async function() {
+    if (running) return;
+    running = true;
+    try {
+      await runDueSummaries(client);
+    } catch (error) {
+      console.error('日次サマリージョブ実行中にエラーが発生しました:', error);
+    } finally {
+      running = false;
+    }
+  });
+
+  job.start();
+  console.log('日次サマリージョブを開始しました（購読者ごとの配信時刻で送信）');
+  return job;
+}
+
+module.exports = {
+  deliverSummary,
+  runDueSummaries,
+  startSummaryScheduler
+};
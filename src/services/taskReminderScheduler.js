@@ -0,0 +1,198 @@
+const { CronJob } = require('cron');
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const database = require('../database');
+const { zonedTimeToUtc } = require('../utils/helpers');
+require('dotenv').config();
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Tokyo';
+
+// 時刻のない期限（YYYY-MM-DD）を何時の締め切りとして扱うか（ユーザーのローカル時刻）
+const TASK_DUE_TIME = process.env.TASK_DUE_TIME || '18:00';
+
+/**
+ * 「1d,1h,30m」形式の時間の一覧を分に変換する
+ * @param {string} text - カンマ区切りの時間（単位: d / h / m）
+ * @returns {Array<number>} - 分の配列
+ */
+function parseDurations(text) {
+  const units = { d: 24 * 60, h: 60, m: 1 };
+  return text
+    .split(',')
+    .map(item => item.trim().match(/^(\d+)\s*([dhm])$/i))
+    .filter(Boolean)
+    .map(match => parseInt(match[1], 10) * units[match[2].toLowerCase()])
+    .filter(minutes => minutes > 0);
+}
+
+// 期限の何分前に通知するか（大きい順）
+const LEAD_TIMES = parseDurations(process.env.TASK_REMINDER_LEAD_TIMES || '1d,1h').sort((a, b) => b - a);
+
+// 期限切れの催促の間隔。期限の時刻に1回目を送り、以降はこの間隔で送る（最後の間隔を繰り返す）
+const OVERDUE_INTERVALS = parseDurations(process.env.TASK_OVERDUE_INTERVALS || '1d,12h,6h');
+
+// リマインダーから選べるスヌーズ時間（分 → 表示名）
+const snoozeOptions = {
+  60: '1時間後',
+  1440: '明日'
+};
+
+/**
+ * 分を「約N日 / 約N時間 / 約N分」の形式にする
+ * @param {number} minutes - 分
+ * @returns {string} - 表示用の文字列
+ */
+function formatMinutes(minutes) {
+  if (minutes >= 24 * 60) return `約${Math.round(minutes / (24 * 60))}日`;
+  if (minutes >= 60) return `約${Math.round(minutes / 60)}時間`;
+  return `約${Math.max(1, Math.round(minutes))}分`;
+}
+
+/**
+ * タスクの締め切り時刻を求める
+ * 期限は YYYY-MM-DD（TASK_DUE_TIME を締め切りとする）または YYYY-MM-DD HH:MM 形式
+ * @param {Object} task - タスク（timezone 列を含む）
+ * @returns {Date|null} - 締め切り時刻、期限を解釈できない場合はnull
+ */
+function getTaskDeadline(task) {
+  const match = String(task.due_date).match(/^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}))?/);
+  if (!match) return null;
+  return zonedTimeToUtc(match[1], match[2] || TASK_DUE_TIME, task.timezone || DEFAULT_TIMEZONE);
+}
+
+/**
+ * 期限切れの催促が何回目まで送信時刻を迎えているかを求める
+ * @param {number} elapsedMinutes - 締め切りからの経過時間（分）
+ * @returns {number} - 回数（締め切り時刻の催促が1回目）
+ */
+function getOverdueCount(elapsedMinutes) {
+  if (OVERDUE_INTERVALS.length === 0) return 1;
+
+  let count = 1;
+  let next = 0;
+  while (true) {
+    next += OVERDUE_INTERVALS[Math.min(count - 1, OVERDUE_INTERVALS.length - 1)];
+    if (next > elapsedMinutes) return count;
+    count++;
+  }
+}
+
+/**
+ * 現時点で送るべきリマインダーを求める
+ * 停止中に送信時刻を過ぎたリマインダーはまとめて1通にし、最新のものだけを送る
+ * @param {Object} task - タスク（timezone 列を含む）
+ * @param {Date} now - 現在時刻
+ * @returns {Object|null} - { keys, message }（keys はすべて送信済みとして記録する）、送るものがない場合はnull
+ */
+function resolveReminder(task, now) {
+  const deadline = getTaskDeadline(task);
+  if (!deadline) return null;
+
+  const keys = [];
+  let snoozed = false;
+
+  // スヌーズ中は通知しない。スヌーズが明けたら再通知する
+  if (task.remind_after) {
+    const remindAfter = new Date(`${task.remind_after.replace(' ', 'T')}Z`);
+    if (now < remindAfter) return null;
+    keys.push(`snooze:${task.remind_after}`);
+    snoozed = true;
+  }
+
+  const remaining = (deadline - now) / 60000;
+  let message;
+
+  if (remaining > 0) {
+    const lead = [...LEAD_TIMES].reverse().find(minutes => remaining <= minutes);
+    if (lead === undefined && !snoozed) return null;
+    if (lead !== undefined) keys.push(`lead:${lead}`);
+    message = `⏰ タスク「${task.title}」の期限が近づいています（期限: ${task.due_date}、残り${formatMinutes(remaining)}）`;
+  } else {
+    const count = getOverdueCount(-remaining);
+    keys.push(`overdue:${count}`);
+    message = `⚠️ タスク「${task.title}」の期限を過ぎています（期限: ${task.due_date}、${count}回目の通知）`;
+  }
+
+  return { keys, message };
+}
+
+/**
+ * リマインダーに付ける操作ボタン（完了・スヌーズ）を作成する
+ * ボタンの処理は /task コマンドの button() が行う
+ * @param {number} taskId - タスクID
+ * @returns {ActionRowBuilder} - ボタンの行
+ */
+function buildReminderButtons(taskId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`task:done:${taskId}`)
+      .setLabel('完了にする')
+      .setStyle(ButtonStyle.Success),
+    ...Object.entries(snoozeOptions).map(([minutes, label]) => new ButtonBuilder()
+      .setCustomId(`task:snooze:${taskId}:${minutes}`)
+      .setLabel(`${label}に再通知`)
+      .setStyle(ButtonStyle.Secondary))
+  );
+}
+
+/**
+ * 送信時刻を迎えたタスクのリマインダーをDMで送信する
+ * 送信前に送信済みとして記録するため、再起動や処理の重複があっても二度送らない
+ * @param {Client} client - Discordクライアント
+ * @param {Date} now - 現在時刻
+ */
+async function runDueTaskReminders(client, now = new Date()) {
+  const tasks = await database.tasks.getWithDueDate();
+
+  for (const task of tasks) {
+    const reminder = resolveReminder(task, now);
+    if (!reminder) continue;
+
+    try {
+      const claims = await Promise.all(reminder.keys.map(key => database.taskReminders.claim(task, key)));
+      if (!claims.some(Boolean)) continue;
+
+      const user = await client.users.fetch(task.user_id);
+      await user.send({
+        content: reminder.message,
+        components: [buildReminderButtons(task.id)]
+      });
+      console.log(`タスク #${task.id} のリマインダーを送信しました（${reminder.keys.join(', ')}）`);
+    } catch (error) {
+      console.error(`タスク #${task.id} のリマインダー送信中にエラーが発生しました:`, error);
+    }
+  }
+}
+
+/**
+ * タスクの期限リマインダーを送信するジョブを開始する
+ * @param {Client} client - Discordクライアント
+ * @returns {CronJob} - 開始したジョブ
+ */
+function startTaskReminderScheduler(client) {
+  let running = false;
+
+  // 毎分、送信時刻を迎えたリマインダーがあるか確認する
+  const job = new CronJob('30 * * * * *', async function() {
+    if (running) return;
+    running = true;
+    try {
+      await runDueTaskReminders(client);
+    } catch (error) {
+      console.error('タスクリマインダージョブ実行中にエラーが発生しました:', error);
+    } finally {
+      running = false;
+    }
+  });
+
+  job.start();
+  console.log(`タスクリマインダージョブを開始しました（期限前: ${LEAD_TIMES.map(formatMinutes).join('・')}）`);
+  return job;
+}
+
+module.exports = {
+  snoozeOptions,
+  getTaskDeadline,
+  resolveReminder,
+  runDueTaskReminders,
+  startTaskReminderScheduler
+};
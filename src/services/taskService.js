@@ -0,0 +1,187 @@
+const database = require('../database');
+const { parseRRule, toRRule, getFirstDate, getNextDate, describeRRule } = require('../utils/recurrence');
+const { getLocalDateTime } = require('../utils/helpers');
+const { ValidationError, text, oneOf, dueDate, sanitizeChanges } = require('../utils/validation');
+require('dotenv').config();
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Tokyo';
+
+// タスクの状態の表示名
+const TASK_STATUS_LABELS = {
+  pending: '未着手',
+  in_progress: '進行中',
+  done: '完了',
+  cancelled: '取り消し'
+};
+
+// 許可する状態遷移（未着手 → 進行中 → 完了/取り消し。完了・取り消しは未着手に戻して再開できる）
+const STATUS_TRANSITIONS = {
+  pending: ['in_progress', 'done', 'cancelled'],
+  in_progress: ['done', 'cancelled'],
+  done: ['pending'],
+  cancelled: ['pending']
+};
+
+// 更新できる項目と値の検証
+const taskFields = {
+  title: text('タイトル', { maxLength: 200, required: true }),
+  description: text('詳細説明', { maxLength: 2000 }),
+  status: oneOf('状態', Object.keys(TASK_STATUS_LABELS)),
+  due_date: dueDate,
+  recurrence: value => {
+    if (value === null || value === '') return null;
+    const rule = parseRRule(value);
+    if (!rule) {
+      throw new ValidationError(`繰り返し「${value}」はRRULE形式（例: FREQ=WEEKLY;BYDAY=FR）で指定してください`);
+    }
+    return toRRule(rule);
+  }
+};
+
+/**
+ * ユーザーのタイムゾーンでの今日の日付を取得する
+ * @param {string} userId - ユーザーID
+ * @returns {Promise<string>} - YYYY-MM-DD 形式の日付
+ */
+async function getUserToday(userId) {
+  const user = await database.users.get(userId);
+  return getLocalDateTime(new Date(), user ? user.timezone : DEFAULT_TIMEZONE).date;
+}
+
+/**
+ * タスクの繰り返しを表示用の文字列にする
+ * @param {Object} task - タスク
+ * @returns {string} - 表示用の文字列（例: 毎週金曜）、繰り返さない場合は空文字
+ */
+function describeTaskRecurrence(task) {
+  const rule = parseRRule(task.recurrence);
+  return rule ? describeRRule(rule) : '';
+}
+
+/**
+ * タスクを作成する
+ * 繰り返しのタスクで期限が指定されていない場合は、今日以降の最初の該当日を期限にする
+ * @param {string} userId - ユーザーID
+ * @param {Object} fields - タスクの内容
+ * @param {string} fields.title - タイトル
+ * @param {string} [fields.description] - 詳細説明
+ * @param {string|null} [fields.dueDate] - 期限（YYYY-MM-DD または YYYY-MM-DD HH:MM）
+ * @param {string|null} [fields.recurrence] - RRULE形式の繰り返し
+ * @param {number|null} [fields.sourceMessageId] - 作成元のメッセージ（message_history.id）
+ * @returns {Promise<Object>} - 作成したタスク
+ */
+async function createTask(userId, { title, description = '', dueDate = null, recurrence = null, sourceMessageId = null }) {
+  const fields = sanitizeChanges({ title, description, due_date: dueDate, recurrence }, taskFields);
+  const rule = parseRRule(fields.recurrence);
+  if (rule && !fields.due_date) {
+    fields.due_date = getFirstDate(rule, await getUserToday(userId));
+  }
+
+  const taskId = await database.tasks.create(userId, fields.title, fields.description, fields.due_date, {
+    recurrence: fields.recurrence,
+    sourceMessageId
+  });
+  return database.tasks.getById(userId, taskId);
+}
+
+/**
+ * 繰り返しのタスクの次の回を作成する
+ * 次の期限は前回の期限（期限がなければ今日）から求め、完了が遅れた場合も今日より前にはしない
+ * @param {Object} task - 完了したタスク
+ * @returns {Promise<Object|null>} - 作成したタスク、既に作成済みの場合はnull
+ */
+async function createNextOccurrence(task) {
+  const rule = parseRRule(task.recurrence);
+  if (!rule) return null;
+
+  const today = await getUserToday(task.user_id);
+  const time = task.due_date ? task.due_date.slice(10) : '';
+  let date = getNextDate(rule, task.due_date ? task.due_date.slice(0, 10) : today);
+  while (date < today) {
+    date = getNextDate(rule, date);
+  }
+
+  try {
+    const taskId = await database.tasks.create(task.user_id, task.title, task.description, `${date}${time}`, {
+      recurrence: task.recurrence,
+      previousTaskId: task.id,
+      sourceMessageId: task.source_message_id
+    });
+    return database.tasks.getById(task.user_id, taskId);
+  } catch (error) {
+    // 完了→再開→完了のように、同じタスクから二度目の作成はしない
+    if (error.code === 'SQLITE_CONSTRAINT') return null;
+    throw error;
+  }
+}
+
+/**
+ * 状態遷移が許可されているかを確認する（同じ状態への変更は何もしない）
+ * @param {string} from - 現在の状態
+ * @param {string} to - 変更後の状態
+ * @throws {ValidationError} - 許可されていない遷移の場合
+ */
+function assertStatusTransition(from, to) {
+  if (from === to || (STATUS_TRANSITIONS[from] || []).includes(to)) return;
+
+  const allowed = (STATUS_TRANSITIONS[from] || []).map(status => TASK_STATUS_LABELS[status]).join('・');
+  throw new ValidationError(
+    `「${TASK_STATUS_LABELS[from] || from}」のタスクを「${TASK_STATUS_LABELS[to]}」にはできません（変更できる状態: ${allowed || 'なし'}）`,
+    { field: 'status' }
+  );
+}
+
+/**
+ * ユーザー自身のタスクを更新する
+ * 更新できる項目（title, description, status, due_date, recurrence）のみを検証したうえで変更し、状態遷移を確認する
+ * 繰り返しのタスクが完了になった場合は、次の回のタスクを自動で作成する
+ * @param {string} userId - ユーザーID
+ * @param {number} taskId - タスクID
+ * @param {Object} updateData - 更新する項目
+ * @returns {Promise<Object|null>} - { task: 更新後のタスク, nextTask: 作成した次の回 }、タスクがない場合はnull
+ * @throws {ValidationError} - 更新できない項目・正しくない値・許可されていない状態遷移の場合
+ */
+async function updateTask(userId, taskId, updateData) {
+  const changes = sanitizeChanges(updateData, taskFields);
+  const task = await database.tasks.getById(userId, taskId);
+  if (!task) return null;
+
+  if (changes.status) {
+    assertStatusTransition(task.status, changes.status);
+    if (changes.status === task.status) delete changes.status;
+  }
+
+  // 状態を変える場合は、確認した状態から変わっていないときのみ更新する
+  const updatedRows = await database.tasks.update(userId, task.id, changes, changes.status ? task.status : null);
+  if (changes.status && updatedRows === 0) {
+    throw new ValidationError('タスクの状態が他の操作で変更されたため、更新できませんでした。もう一度お試しください', { field: 'status' });
+  }
+  const updated = await database.tasks.getById(userId, task.id);
+
+  let nextTask = null;
+  if (changes.status === 'done' && updated.recurrence) {
+    nextTask = await createNextOccurrence(updated);
+  }
+
+  return { task: updated, nextTask };
+}
+
+/**
+ * ユーザー自身のタスクを完了にする
+ * @param {string} userId - ユーザーID
+ * @param {number} taskId - タスクID
+ * @returns {Promise<Object|null>} - updateTask() の戻り値
+ */
+async function completeTask(userId, taskId) {
+  return updateTask(userId, taskId, { status: 'done' });
+}
+
+module.exports = {
+  TASK_STATUS_LABELS,
+  STATUS_TRANSITIONS,
+  describeTaskRecurrence,
+  createTask,
+  createNextOccurrence,
+  updateTask,
+  completeTask
+};
@@ -0,0 +1,212 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const database = require('../database');
+const providers = require('../providers');
+const { getLocalDateTime, getLocalDayRange, addDays } = require('../utils/helpers');
+require('dotenv').config();
+
+// 1日の区切り（上限のリセット）に使うタイムゾーン
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Tokyo';
+
+// 1日あたりのLLMの呼び出し回数・トークン数の上限（0 の場合は無制限）
+const USAGE_LIMITS = {
+  user: {
+    requests: parseInt(process.env.USAGE_USER_DAILY_REQUESTS || '200', 10),
+    tokens: parseInt(process.env.USAGE_USER_DAILY_TOKENS || '200000', 10)
+  },
+  guild: {
+    requests: parseInt(process.env.USAGE_GUILD_DAILY_REQUESTS || '2000', 10),
+    tokens: parseInt(process.env.USAGE_GUILD_DAILY_TOKENS || '2000000', 10)
+  }
+};
+
+// 連投の制限: RATE_LIMIT_WINDOW_MS の間に RATE_LIMIT_MESSAGES 件を超えて送ったユーザーは、RATE_LIMIT_COOLDOWN_MS の間応答しない
+const RATE_LIMIT_MESSAGES = parseInt(process.env.RATE_LIMIT_MESSAGES || '5', 10);
+const RATE_LIMIT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS || '30000', 10);
+const RATE_LIMIT_COOLDOWN_MS = parseInt(process.env.RATE_LIMIT_COOLDOWN_MS || '60000', 10);
+
+// 機能名の表示名
+const featureLabels = {
+  chat: '会話',
+  advanced: '会話（@ai）',
+  agent: 'エージェント',
+  extraction: 'タスク抽出',
+  journal: 'ジャーナル',
+  ideas: 'アイデア生成',
+  summary: '日次サマリー',
+  intent: '意図の分類',
+  memory: '会話の要約'
+};
+
+// 上限の対象の表示名
+const scopeLabels = {
+  user: 'あなた',
+  guild: 'このサーバー'
+};
+
+// LLMを呼び出したきっかけのユーザー・サーバー（runWithUsageContext() の中での呼び出しに記録する）
+const usageContext = new AsyncLocalStorage();
+
+// ユーザーID → { sentAt: 直近のメッセージの時刻, cooldownUntil: 応答を再開する時刻, notified: 制限中であることを伝えたか }
+const rateLimits = new Map();
+
+// ユーザーID → 利用上限に達したことを伝えた日（同じ日に何度も伝えない）
+const quotaNotified = new Map();
+
+/**
+ * LLMの呼び出しを、きっかけのユーザー・サーバーのものとして記録しながら処理を実行する
+ * 処理の中から（非同期に）呼び出したLLMは、すべてこのユーザー・サーバーの利用として記録する
+ * @param {Object} context - { userId, guildId }
+ * @param {Function} fn - 実行する処理
+ * @returns {*} - fn の戻り値
+ */
+function runWithUsageContext(context, fn) {
+  return usageContext.run({ userId: context.userId || null, guildId: context.guildId || null }, fn);
+}
+
+/**
+ * LLMの呼び出しを1件記録する（providers の利用状況の通知先）
+ * @param {Object} entry - { feature, provider, model, promptTokens, completionTokens, latencyMs, success }
+ * @returns {Promise<void>}
+ */
+async function recordUsage(entry) {
+  const context = usageContext.getStore() || {};
+  await database.llmUsage.record({ ...entry, userId: context.userId, guildId: context.guildId });
+}
+
+/**
+ * LLMの呼び出しの記録を開始する
+ */
+function startUsageLedger() {
+  providers.setUsageListener(recordUsage);
+  console.log('LLMの利用状況の記録を開始しました');
+}
+
+/**
+ * 上限を数える1日の範囲（DEFAULT_TIMEZONE の0時から）
+ * @param {Date} now - 現在時刻
+ * @returns {Object} - { date: YYYY-MM-DD, from, to }
+ */
+function getUsageDay(now) {
+  const { date } = getLocalDateTime(now, DEFAULT_TIMEZONE);
+  return { date, ...getLocalDayRange(date, DEFAULT_TIMEZONE) };
+}
+
+/**
+ * 今日の利用量が上限に達しているかを確認する
+ * @param {string} userId - ユーザーID
+ * @param {string|null} guildId - サーバーID（DMの場合はnull）
+ * @param {Date} [now] - 現在時刻
+ * @returns {Promise<string|null>} - 上限に達している場合は断りのメッセージ、それ以外はnull
+ */
+async function checkQuota(userId, guildId, now = new Date()) {
+  const { from } = getUsageDay(now);
+  const targets = [['user', userId]];
+  if (guildId) targets.push(['guild', guildId]);
+
+  for (const [scope, id] of targets) {
+    const limits = USAGE_LIMITS[scope];
+    if (!limits.requests && !limits.tokens) continue;
+
+    const totals = await database.llmUsage.getTotals(scope, id, from);
+    const exceeded = limits.requests && totals.requests >= limits.requests
+      ? `${limits.requests.toLocaleString()}回`
+      : limits.tokens && totals.tokens >= limits.tokens ? `${limits.tokens.toLocaleString()}トークン` : null;
+    if (exceeded) {
+      return `🙇 ${scopeLabels[scope]}の今日のAIの利用上限（${exceeded}）に達しました。明日0時（${DEFAULT_TIMEZONE}）にリセットされます。利用状況は \`/usage\` で確認できます。`;
+    }
+  }
+  return null;
+}
+
+/**
+ * 連投を制限する（メッセージを受け取るたびに呼ぶ）
+ * @param {string} userId - ユーザーID
+ * @param {number} [now] - 現在時刻（ミリ秒）
+ * @returns {Object} - { allowed: 応答してよいか, notify: 制限したことを伝えるか（制限中の最初の1回のみ）, retryAfterMs }
+ */
+function checkRateLimit(userId, now = Date.now()) {
+  const state = rateLimits.get(userId) || { sentAt: [], cooldownUntil: 0, notified: false };
+  rateLimits.set(userId, state);
+
+  if (state.cooldownUntil > now) {
+    const notify = !state.notified;
+    state.notified = true;
+    return { allowed: false, notify, retryAfterMs: state.cooldownUntil - now };
+  }
+
+  state.sentAt = state.sentAt.filter(time => time > now - RATE_LIMIT_WINDOW_MS);
+  state.sentAt.push(now);
+  if (RATE_LIMIT_MESSAGES > 0 && state.sentAt.length > RATE_LIMIT_MESSAGES) {
+    state.sentAt = [];
+    state.cooldownUntil = now + RATE_LIMIT_COOLDOWN_MS;
+    state.notified = true;
+    return { allowed: false, notify: true, retryAfterMs: RATE_LIMIT_COOLDOWN_MS };
+  }
+
+  state.notified = false;
+  return { allowed: true, notify: false, retryAfterMs: 0 };
+}
+
+/**
+ * メッセージに応答してよいかを確認する（連投の制限と、今日の利用上限）
+ * 断りのメッセージは、制限・上限に達した最初の1回のみ返す
+ * @param {string} userId - ユーザーID
+ * @param {string|null} guildId - サーバーID
+ * @param {Date} [now] - 現在時刻
+ * @returns {Promise<Object>} - { allowed, message: 断りのメッセージ（伝えない場合はnull） }
+ */
+async function checkMessageAllowed(userId, guildId, now = new Date()) {
+  const rate = checkRateLimit(userId, now.getTime());
+  if (!rate.allowed) {
+    const seconds = Math.ceil(rate.retryAfterMs / 1000);
+    return {
+      allowed: false,
+      message: rate.notify ? `⏳ メッセージが続いているため、${seconds}秒ほど応答を控えます。少し時間をおいてから送ってください。` : null
+    };
+  }
+
+  const refusal = await checkQuota(userId, guildId, now);
+  if (!refusal) {
+    return { allowed: true, message: null };
+  }
+
+  // 上限に達したことは1日に1回だけ伝え、以降のメッセージには応答しない
+  const { date } = getUsageDay(now);
+  const notify = quotaNotified.get(userId) !== date;
+  quotaNotified.set(userId, date);
+  return { allowed: false, message: notify ? refusal : null };
+}
+
+/**
+ * ユーザーの利用状況をまとめる（/usage で表示する）
+ * @param {string} userId - ユーザーID
+ * @param {string|null} guildId - サーバーID
+ * @param {Date} [now] - 現在時刻
+ * @returns {Promise<Object>} - { date, timezone, user, guild, features, week, limits, featureLabels }
+ */
+async function getUsageReport(userId, guildId, now = new Date()) {
+  const { date, from } = getUsageDay(now);
+  const weekFrom = getLocalDayRange(addDays(date, -6), DEFAULT_TIMEZONE).from;
+
+  return {
+    date,
+    timezone: DEFAULT_TIMEZONE,
+    user: await database.llmUsage.getTotals('user', userId, from),
+    guild: guildId ? await database.llmUsage.getTotals('guild', guildId, from) : null,
+    features: await database.llmUsage.getFeatureTotals(userId, from),
+    week: await database.llmUsage.getTotals('user', userId, weekFrom),
+    limits: USAGE_LIMITS,
+    featureLabels
+  };
+}
+
+module.exports = {
+  USAGE_LIMITS,
+  runWithUsageContext,
+  recordUsage,
+  startUsageLedger,
+  checkQuota,
+  checkRateLimit,
+  checkMessageAllowed,
+  getUsageReport
+};
@@ -18,6 +18,105 @@ function formatDate(date = new Date(), format = 'ja') {
   return date.toDateString();
 }
 
+/**
+ * 指定したタイムゾーンでのローカル日付と時刻を取得する
+ * @param {Date} date - 基準となる日時
+ * @param {string} timeZone - IANAタイムゾーン名（例: Asia/Tokyo）
+ * @returns {Object} - { date: 'YYYY-MM-DD', time: 'HH:MM' }
+ */
+function getLocalDateTime(date = new Date(), timeZone = 'Asia/Tokyo') {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    })
+      .formatToParts(date)
+      .map(part => [part.type, part.value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+}
+
+/**
+ * YYYY-MM-DD 形式の日付に日数を加算する
+ * @param {string} isoDate - YYYY-MM-DD 形式の日付
+ * @param {number} days - 加算する日数（負の値も可）
+ * @returns {string} - YYYY-MM-DD 形式の日付
+ */
+function addDays(isoDate, days) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * 指定したタイムゾーンのローカル日時をUTCの時刻に変換する
+ * @param {string} isoDate - YYYY-MM-DD 形式のローカル日付
+ * @param {string} time - HH:MM 形式のローカル時刻
+ * @param {string} timeZone - IANAタイムゾーン名
+ * @returns {Date} - 対応するUTCの時刻
+ */
+function zonedTimeToUtc(isoDate, time = '00:00', timeZone = 'Asia/Tokyo') {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // タイムゾーンのオフセットを求め、夏時間の切り替えに備えてもう一度補正する
+  let guess = asUtc;
+  for (let i = 0; i < 2; i++) {
+    const local = getLocalDateTime(new Date(guess), timeZone);
+    const [localHour, localMinute] = local.time.split(':').map(Number);
+    const [localYear, localMonth, localDay] = local.date.split('-').map(Number);
+    const localAsUtc = Date.UTC(localYear, localMonth - 1, localDay, localHour, localMinute);
+    guess += asUtc - localAsUtc;
+  }
+  return new Date(guess);
+}
+
+/**
+ * ローカル日付の1日分の範囲を、SQLiteの CURRENT_TIMESTAMP と比較できるUTC文字列で返す
+ * @param {string} isoDate - YYYY-MM-DD 形式のローカル日付
+ * @param {string} timeZone - IANAタイムゾーン名
+ * @returns {Object} - { from, to }（'YYYY-MM-DD HH:MM:SS'、from 以上 to 未満）
+ */
+function getLocalDayRange(isoDate, timeZone = 'Asia/Tokyo') {
+  return {
+    from: toSqliteTimestamp(zonedTimeToUtc(isoDate, '00:00', timeZone)),
+    to: toSqliteTimestamp(zonedTimeToUtc(addDays(isoDate, 1), '00:00', timeZone))
+  };
+}
+
+/**
+ * DateをSQLiteの CURRENT_TIMESTAMP と同じ形式（UTC）に変換する
+ * @param {Date} date - 日時
+ * @returns {string} - 'YYYY-MM-DD HH:MM:SS'
+ */
+function toSqliteTimestamp(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * IANAタイムゾーン名として有効かどうかを判定する
+ * @param {string} timeZone - タイムゾーン名
+ * @returns {boolean} - 有効な場合true
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
 /**
  * テキストから重要なキーワードを抽出する関数
  * @param {string} text - 解析するテキスト
@@ -34,63 +133,423 @@ function extractKeywords(text) {
     .slice(0, 10); // 最大10個のキーワードを返す
 }
 
+// 曜日の漢字 → getUTCDay() の値
+const WEEKDAYS = { 日: 0, 月: 1, 火: 2, 水: 3, 木: 4, 金: 5, 土: 6 };
+
+// 時刻の表現（15時、午後3時、9時半、15時30分、15:30、正午、夜12時）
+const TIME_PATTERN = '(?:(午前|午後|朝|昼|夕方|夜中|夜)\\s*)?(\\d{1,2})時(?:\\s*(\\d{1,2})分|(半))?|(\\d{1,2}):(\\d{2})|正午';
+
 /**
- * テキストから日付を抽出する関数
- * @param {string} text - 解析するテキスト
- * @returns {Array<string>} - YYYY-MM-DD形式の日付の配列
+ * 全角の数字・記号を半角にする（文字数は変わらない）
+ * @param {string} text - 入力文字列
+ * @returns {string} - 変換後の文字列
  */
-function extractDates(text) {
-  const dates = [];
+function toHalfWidth(text) {
+  return text
+    .replace(/[０-９：／－]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xFEE0))
+    .replace(/～/g, '〜');
+}
 
-  // 日付パターンを検出
-  // 1. YYYY-MM-DD または YYYY/MM/DD
-  const isoPattern = /(\d{4})[-\/](\d{1,2})[-\/](\d{1,2})/g;
-  let match;
+/**
+ * YYYY-MM-DD の曜日を求める
+ * @param {string} isoDate - YYYY-MM-DD 形式の日付
+ * @returns {number} - 0（日）〜6（土）
+ */
+function getWeekday(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * 年月日から YYYY-MM-DD を作成する（存在しない日付の場合はnull）
+ * @param {number} year - 年
+ * @param {number} month - 月（1〜12）
+ * @param {number} day - 日
+ * @returns {string|null} - YYYY-MM-DD 形式の日付
+ */
+function toIsoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * 基準日から数えて nか月後の月の1日を求める
+ * @param {string} isoDate - YYYY-MM-DD 形式の基準日
+ * @param {number} months - 加算する月数
+ * @returns {string} - YYYY-MM-01 形式の日付
+ */
+function addMonths(isoDate, months) {
+  const [year, month] = isoDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1 + months, 1)).toISOString().split('T')[0];
+}
+
+/**
+ * 月末の日付を求める
+ * @param {string} isoDate - その月の任意の日付（YYYY-MM-DD）
+ * @returns {string} - YYYY-MM-DD 形式の月末の日付
+ */
+function endOfMonth(isoDate) {
+  return addDays(addMonths(isoDate, 1), -1);
+}
+
+/**
+ * 月日だけの指定に年を補う（基準日より前なら来年とみなす）
+ * @param {string} today - 基準日（YYYY-MM-DD）
+ * @param {number} month - 月
+ * @param {number} day - 日
+ * @returns {string|null} - YYYY-MM-DD 形式の日付
+ */
+function resolveMonthDay(today, month, day) {
+  const year = parseInt(today.slice(0, 4), 10);
+  const date = toIsoDate(year, month, day);
+  if (date && date >= today) return date;
+  return toIsoDate(year + 1, month, day);
+}
+
+/**
+ * 時刻の表現の正規表現マッチを HH:MM に変換する
+ * 「夜12時」「夜中12時」はその日の終わりの深夜0時として、翌日の 00:00 とする
+ * @param {Array} match - TIME_PATTERN のマッチ結果
+ * @param {number} offset - TIME_PATTERN のグループが始まる位置（1始まり）
+ * @returns {Object|null} - { time: HH:MM 形式の時刻, nextDay: 翌日の時刻の場合true }
+ */
+function parseTimeMatch(match, offset = 1) {
+  const [period, hourText, minuteText, half, clockHour, clockMinute] = match.slice(offset, offset + 6);
+  let hour;
+  let minute;
+  let nextDay = false;
 
-  while ((match = isoPattern.exec(text)) !== null) {
-    const year = parseInt(match[1]);
-    const month = parseInt(match[2]);
-    const day = parseInt(match[3]);
+  if (clockHour !== undefined) {
+    hour = parseInt(clockHour, 10);
+    minute = parseInt(clockMinute, 10);
+  } else if (hourText !== undefined) {
+    hour = parseInt(hourText, 10);
+    minute = half ? 30 : parseInt(minuteText || '0', 10);
+    if (['夜', '夜中'].includes(period) && hour === 12) {
+      hour = 0;
+      nextDay = true;
+    } else if (['午後', '夕方', '夜'].includes(period) && hour < 12) {
+      hour += 12;
+    }
+  } else {
+    // 正午
+    hour = 12;
+    minute = 0;
+  }
+
+  if (hour > 23 || minute > 59) return null;
+  return { time: `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`, nextDay };
+}
 
-    if (month >= 1 && month <= 12 && day >= 1 && day <= 31) {
-      const formattedDate = `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
-      dates.push(formattedDate);
+/**
+ * 今週・来週・再来週の指定から、その週の月曜日を求める（週は月曜始まり）
+ * @param {string} today - 基準日（YYYY-MM-DD）
+ * @param {string} week - 今週 | 来週 | 再来週
+ * @returns {string} - YYYY-MM-DD 形式の月曜日
+ */
+function getMondayOf(today, week) {
+  const monday = addDays(today, -((getWeekday(today) + 6) % 7));
+  return addDays(monday, { 今週: 0, 来週: 7, 再来週: 14 }[week] || 0);
+}
+
+// 日付の表現の規則（上から順に照合し、既に解釈した部分と重なるものは無視する）
+// kind: date（絶対日付）| relative（今日・明日・N日後など）| week（今週・来週の曜日や週末）
+//       | weekday（曜日だけ、次に来るその曜日）| month（月末・来月など）
+// confidence: 表現の曖昧さに応じた確からしさ（0〜1）
+const DATE_RULES = [
+  {
+    pattern: /(\d{4})[-\/](\d{1,2})[-\/](\d{1,2})/g,
+    kind: 'date',
+    confidence: 1,
+    resolve: match => ({ date: toIsoDate(+match[1], +match[2], +match[3]) })
+  },
+  {
+    pattern: /(\d{4})年\s*(\d{1,2})月\s*(\d{1,2})日/g,
+    kind: 'date',
+    confidence: 1,
+    resolve: match => ({ date: toIsoDate(+match[1], +match[2], +match[3]) })
+  },
+  {
+    // 30分後、2時間後、1時間半後
+    pattern: /(\d+)\s*(分|時間)(半)?後/g,
+    kind: 'relative',
+    confidence: 0.95,
+    resolve: (match, { now, timezone }) => {
+      const unit = match[2] === '分' ? 1 : 60;
+      const minutes = parseInt(match[1], 10) * unit + (match[3] ? unit / 2 : 0);
+      return getLocalDateTime(new Date(now.getTime() + minutes * 60000), timezone);
+    }
+  },
+  {
+    // 3日後、2週間後、1か月後
+    pattern: /(\d+)\s*(日|週間|か月|ヶ月|カ月|ケ月)後/g,
+    kind: 'relative',
+    confidence: 0.95,
+    resolve: (match, { today }) => {
+      const amount = parseInt(match[1], 10);
+      if (match[2] === '日') return { date: addDays(today, amount) };
+      if (match[2] === '週間') return { date: addDays(today, amount * 7) };
+      // 月の日数が足りない場合（1月31日の1か月後など）は月末にする
+      const target = addMonths(today, amount);
+      const day = Math.min(parseInt(today.slice(8, 10), 10), parseInt(endOfMonth(target).slice(8, 10), 10));
+      return { date: `${target.slice(0, 8)}${String(day).padStart(2, '0')}` };
+    }
+  },
+  {
+    pattern: /(再来週|来週|今週)\s*の?\s*([日月火水木金土])曜日?/g,
+    kind: 'week',
+    confidence: 0.95,
+    resolve: (match, { today }) => ({ date: addDays(getMondayOf(today, match[1]), (WEEKDAYS[match[2]] + 6) % 7) })
+  },
+  {
+    // 週末は土曜日とする
+    pattern: /(再来週|来週|今週)末|週末/g,
+    kind: 'week',
+    confidence: 0.8,
+    resolve: (match, { today }) => {
+      if (match[1]) return { date: addDays(getMondayOf(today, match[1]), 5) };
+      return { date: addDays(today, (6 - getWeekday(today) + 7) % 7) };
+    }
+  },
+  {
+    pattern: /(今月|来月|再来月)\s*の?\s*(\d{1,2})日/g,
+    kind: 'date',
+    confidence: 0.95,
+    resolve: (match, { today }) => {
+      const month = addMonths(today, { 今月: 0, 来月: 1, 再来月: 2 }[match[1]]);
+      return { date: toIsoDate(+month.slice(0, 4), +month.slice(5, 7), +match[2]) };
+    }
+  },
+  {
+    pattern: /(今月|来月|再来月)末|月末/g,
+    kind: 'month',
+    confidence: 0.85,
+    resolve: (match, { today }) => ({
+      date: endOfMonth(addMonths(today, { 今月: 0, 来月: 1, 再来月: 2 }[match[1]] || 0))
+    })
+  },
+  {
+    pattern: /(\d{1,2})月\s*(\d{1,2})日/g,
+    kind: 'date',
+    confidence: 0.9,
+    resolve: (match, { today }) => ({ date: resolveMonthDay(today, +match[1], +match[2]) })
+  },
+  {
+    pattern: /(?<![\d\/])(\d{1,2})\/(\d{1,2})(?![\d\/])/g,
+    kind: 'date',
+    confidence: 0.8,
+    resolve: (match, { today }) => ({ date: resolveMonthDay(today, +match[1], +match[2]) })
+  },
+  {
+    pattern: /明後日|あさって/g,
+    kind: 'relative',
+    confidence: 1,
+    resolve: (match, { today }) => ({ date: addDays(today, 2) })
+  },
+  {
+    pattern: /明日|あした/g,
+    kind: 'relative',
+    confidence: 1,
+    resolve: (match, { today }) => ({ date: addDays(today, 1) })
+  },
+  {
+    pattern: /今日|本日|きょう/g,
+    kind: 'relative',
+    confidence: 1,
+    resolve: (match, { today }) => ({ date: today })
+  },
+  {
+    // 曜日だけの指定は次に来るその曜日（今日を含む）
+    pattern: /([日月火水木金土])曜日?/g,
+    kind: 'weekday',
+    confidence: 0.85,
+    resolve: (match, { today }) => ({ date: addDays(today, (WEEKDAYS[match[1]] - getWeekday(today) + 7) % 7) })
+  },
+  {
+    pattern: /再来週|来週/g,
+    kind: 'week',
+    confidence: 0.5,
+    resolve: (match, { today }) => ({ date: getMondayOf(today, match[0]) })
+  },
+  {
+    pattern: /再来月|来月/g,
+    kind: 'month',
+    confidence: 0.5,
+    resolve: (match, { today }) => ({ date: addMonths(today, match[0] === '来月' ? 1 : 2) })
+  },
+  {
+    // 日だけの指定（「5日から7日」「15日まで」）は今月、過ぎていれば来月とする
+    pattern: /(?<![\d月])(\d{1,2})日(?![後間目曜])/g,
+    kind: 'date',
+    confidence: 0.6,
+    resolve: (match, { today }) => {
+      const day = parseInt(match[1], 10);
+      const thisMonth = toIsoDate(+today.slice(0, 4), +today.slice(5, 7), day);
+      if (thisMonth && thisMonth >= today) return { date: thisMonth, day };
+      const next = addMonths(today, 1);
+      return { date: toIsoDate(+next.slice(0, 4), +next.slice(5, 7), day), day };
     }
   }
+];
 
-  // 2. 日本語形式 (YYYY年MM月DD日)
-  const jaPattern = /(\d{4})年\s*(\d{1,2})月\s*(\d{1,2})日/g;
+/**
+ * テキストから日付・時刻の表現を抽出する関数
+ * 「来週月曜」「今週末」「3日後」「月末」「4/30」「午後3時」「夜12時」「金曜まで」「5日から7日」などに対応する
+ * @param {string} text - 解析するテキスト
+ * @param {Object} options - オプション
+ * @param {string} [options.timezone] - 基準とするタイムゾーン（既定: Asia/Tokyo）
+ * @param {Date} [options.now] - 基準日時（既定: 現在時刻）
+ * @returns {Array<Object>} - 出現順の抽出結果
+ *   { text, index, end（元のテキスト中の位置）, date: 'YYYY-MM-DD', time: 'HH:MM'|null,
+ *     endDate, endTime（範囲の場合の終わり、それ以外はnull）, kind, confidence, deadline（「まで」が続く場合true） }
+ */
+function extractDates(text, options = {}) {
+  const { timezone = 'Asia/Tokyo', now = new Date() } = options;
+  const source = toHalfWidth(text);
+  const local = getLocalDateTime(now, timezone);
+  const context = { today: local.date, now, timezone };
+
+  const taken = [];
+  const overlaps = (start, end) => taken.some(([from, to]) => start < to && end > from);
+  let results = [];
 
-  while ((match = jaPattern.exec(text)) !== null) {
-    const year = parseInt(match[1]);
-    const month = parseInt(match[2]);
-    const day = parseInt(match[3]);
+  for (const rule of DATE_RULES) {
+    rule.pattern.lastIndex = 0;
+    let match;
+    while ((match = rule.pattern.exec(source)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (overlaps(start, end)) continue;
 
-    if (month >= 1 && month <= 12 && day >= 1 && day <= 31) {
-      const formattedDate = `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
-      dates.push(formattedDate);
+      const resolved = rule.resolve(match, context);
+      if (!resolved || !resolved.date) continue;
+
+      taken.push([start, end]);
+      results.push({
+        index: start,
+        end,
+        date: resolved.date,
+        time: resolved.time || null,
+        day: resolved.day,
+        kind: rule.kind,
+        confidence: rule.confidence
+      });
     }
   }
 
-  // 3. 相対日付 (今日, 明日, 明後日)
-  if (text.includes('今日')) {
-    const today = new Date();
-    dates.push(formatDate(today, 'iso'));
+  // 日付の直後の時刻（「明日の15時」「金曜 午後3時」）をその日付に結び付ける
+  const attachedTime = new RegExp(`^\\s*の?\\s*(?:${TIME_PATTERN})`);
+  for (const result of results) {
+    if (result.time) continue;
+    const match = source.slice(result.end).match(attachedTime);
+    if (!match) continue;
+    const parsed = parseTimeMatch(match);
+    if (!parsed) continue;
+    taken.push([result.end, result.end + match[0].length]);
+    result.end += match[0].length;
+    result.time = parsed.time;
+    if (parsed.nextDay) result.date = addDays(result.date, 1);
+  }
+
+  // 日付のない時刻は今日、既に過ぎていれば明日とする（夜12時は常に翌日の0時）
+  const standaloneTime = new RegExp(TIME_PATTERN, 'g');
+  let match;
+  while ((match = standaloneTime.exec(source)) !== null) {
+    const start = match.index;
+    const end = start + match[0].length;
+    const parsed = parseTimeMatch(match);
+    if (!parsed || overlaps(start, end)) continue;
+    taken.push([start, end]);
+    results.push({
+      index: start,
+      end,
+      date: !parsed.nextDay && parsed.time > local.time ? local.date : addDays(local.date, 1),
+      time: parsed.time,
+      kind: 'time',
+      confidence: 0.7
+    });
+  }
+
+  // 曜日だけの指定で、今日のその時刻を既に過ぎている場合は翌週とする
+  for (const result of results) {
+    if (result.kind === 'weekday' && result.date === local.date && result.time && result.time <= local.time) {
+      result.date = addDays(result.date, 7);
+    }
   }
 
-  if (text.includes('明日')) {
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    dates.push(formatDate(tomorrow, 'iso'));
+  results.sort((a, b) => a.index - b.index);
+
+  // 「まで」が続く場合は締め切りとして扱う
+  for (const result of results) {
+    result.deadline = /^\s*(まで|迄)/.test(source.slice(result.end));
   }
 
-  if (text.includes('明後日')) {
-    const dayAfterTomorrow = new Date();
-    dayAfterTomorrow.setDate(dayAfterTomorrow.getDate() + 2);
-    dates.push(formatDate(dayAfterTomorrow, 'iso'));
+  // 「5日から7日」「4/30〜5/2」のような範囲を1つにまとめる
+  const merged = [];
+  for (const result of results) {
+    const previous = merged[merged.length - 1];
+    if (previous && !previous.endDate && /^\s*(から|〜|~|-|ー)\s*$/.test(source.slice(previous.end, result.index))) {
+      let endDate = result.date;
+      let confidence = Math.min(previous.confidence, result.confidence);
+      // 日だけの終わり（「5月5日から7日」の7日）は始まりの月に合わせる
+      if (result.day) {
+        endDate = toIsoDate(+previous.date.slice(0, 4), +previous.date.slice(5, 7), result.day);
+        if (!endDate || endDate < previous.date) {
+          const next = addMonths(previous.date, 1);
+          endDate = toIsoDate(+next.slice(0, 4), +next.slice(5, 7), result.day) || result.date;
+        }
+        confidence = previous.confidence;
+      }
+      // 始まりだけが来年と解釈された場合（今日が5/1で「4/30〜5/2」）は今年に戻す
+      const lastYear = `${parseInt(previous.date.slice(0, 4), 10) - 1}${previous.date.slice(4)}`;
+      if (endDate < previous.date && lastYear <= endDate) {
+        previous.date = lastYear;
+      }
+      Object.assign(previous, {
+        end: result.end,
+        endDate,
+        endTime: result.time,
+        kind: 'range',
+        confidence,
+        deadline: result.deadline
+      });
+      continue;
+    }
+    merged.push(result);
   }
 
-  return [...new Set(dates)]; // 重複を削除
+  return merged.map(({ index, end, date, time, endDate = null, endTime = null, kind, confidence, deadline }) => ({
+    text: text.slice(index, end),
+    index,
+    end,
+    date,
+    time,
+    endDate,
+    endTime,
+    kind,
+    confidence,
+    deadline
+  }));
+}
+
+/**
+ * テキストから期限を1つ選んで取り出す
+ * 「まで」が付いたものを優先し、次に確からしさの高いもの、同じなら先に出てきたものを選ぶ
+ * 範囲の場合は終わりの日付を期限とする
+ * @param {string} text - 解析するテキスト
+ * @param {Object} options - extractDates() のオプション
+ * @returns {string|null} - 'YYYY-MM-DD' または時刻付きの 'YYYY-MM-DD HH:MM'、見つからない場合はnull
+ */
+function extractDueDate(text, options = {}) {
+  const [best] = extractDates(text, options)
+    .sort((a, b) => (b.deadline - a.deadline) || (b.confidence - a.confidence) || (a.index - b.index));
+  if (!best) return null;
+
+  const date = best.endDate || best.date;
+  const time = best.endDate ? best.endTime : best.time;
+  return time ? `${date} ${time}` : date;
 }
 
 /**
@@ -148,11 +607,104 @@ function extractUniqueUserIds(messageHistory) {
   return [...new Set(messageHistory.map(msg => msg.user_id))];
 }
 
+/**
+ * メッセージ履歴をLLMに渡す会話ターンの配列に変換する
+ * 古い順に並べ、同じロールが連続する場合は1つのターンにまとめ、先頭がassistantの場合は取り除く
+ * @param {Array<Object>} history - message_history の行の配列（古い順）
+ * @returns {Array<Object>} - [{role: 'user'|'assistant', content}]
+ */
+function toConversationTurns(history) {
+  const turns = [];
+
+  history.forEach(msg => {
+    const role = msg.role === 'assistant' ? 'assistant' : 'user';
+    const last = turns[turns.length - 1];
+    if (last && last.role === role) {
+      last.content += `\n${msg.message_content}`;
+    } else {
+      turns.push({ role, content: msg.message_content });
+    }
+  });
+
+  while (turns.length > 0 && turns[0].role === 'assistant') {
+    turns.shift();
+  }
+
+  return turns;
+}
+
+/**
+ * 文章を maxLength 文字以内で区切る位置を求める
+ * 段落の区切り → 改行 → 文末（。！？.!?）→ 空白の順に、なるべく後ろの位置を選び、どれもなければ maxLength で区切る
+ * @param {string} text - 文章
+ * @param {number} maxLength - 最大文字数
+ * @returns {number} - 区切る位置（この位置より前が1つ目）
+ */
+function findSplitPoint(text, maxLength) {
+  if (text.length <= maxLength) return text.length;
+
+  const head = text.slice(0, maxLength);
+  // 短すぎる断片にならないよう、区切りは後半にあるものを優先する
+  const minimum = Math.floor(maxLength / 2);
+  const candidates = [
+    head.lastIndexOf('\n\n'),
+    head.lastIndexOf('\n'),
+    Math.max(...['。', '！', '？', '. ', '! ', '? '].map(mark => {
+      const index = head.lastIndexOf(mark);
+      return index === -1 ? -1 : index + mark.trimEnd().length;
+    })),
+    head.lastIndexOf(' ')
+  ];
+  const point = candidates.find(index => index >= minimum);
+  if (point !== undefined) return point;
+
+  // サロゲートペアの途中で区切らない
+  const code = text.charCodeAt(maxLength - 1);
+  return code >= 0xd800 && code <= 0xdbff ? maxLength - 1 : maxLength;
+}
+
+/**
+ * メッセージをDiscordの文字数制限に収まるように分割する
+ * 区切りは段落・改行・文末・空白を優先し、句点のない長い日本語の段落も maxLength 以内に収める
+ * @param {string} message - 分割するメッセージ
+ * @param {number} maxLength - 1メッセージの最大文字数
+ * @returns {Array<string>} - 分割されたメッセージの配列
+ */
+function splitMessage(message, maxLength = 2000) {
+  const chunks = [];
+  let rest = message;
+
+  while (rest.length > maxLength) {
+    const point = findSplitPoint(rest, maxLength);
+    const chunk = rest.slice(0, point).trimEnd();
+    if (chunk) chunks.push(chunk);
+    rest = rest.slice(point).replace(/^\s*\n/, '').replace(/^ +/, '');
+  }
+
+  if (rest.trim()) {
+    chunks.push(rest);
+  }
+
+  return chunks;
+}
+
 module.exports = {
   formatDate,
+  getLocalDateTime,
+  addDays,
+  zonedTimeToUtc,
+  getLocalDayRange,
+  toSqliteTimestamp,
+  isValidTimeZone,
   extractKeywords,
+  toHalfWidth,
+  getWeekday,
   extractDates,
+  extractDueDate,
   analyzeSimpleMood,
   truncateText,
-  extractUniqueUserIds
+  extractUniqueUserIds,
+  toConversationTurns,
+  findSplitPoint,
+  splitMessage
 };
@@ -0,0 +1,208 @@
+/**
+ * LLMの構造化出力を検証するための、JSON Schemaの小さなサブセットの実装
+ * 対応するキーワード: type（配列も可）、properties、required、additionalProperties、items、
+ * minItems、maxItems、enum、minLength、maxLength、pattern、format（date のみ）
+ *
+ * 検証の前に、LLMが出しがちな揺れを型に合わせて補正する
+ * - 文字列の前後の空白、空文字・"null"・"なし" → null（null を許す場合）
+ * - 数値・真偽値 ⇔ 文字列
+ * - カンマ区切りの文字列 → 文字列の配列（タグなど）
+ * - 2024/5/1・2024年5月1日・ISO 8601 の日時 → YYYY-MM-DD（format: date）
+ */
+
+// null とみなす文字列
+const NULL_STRINGS = ['', 'null', 'none', 'なし', '無し', 'ー', '-'];
+
+/**
+ * 値のJSON上の型を求める
+ * @param {*} value - 値
+ * @returns {string} - 'null' | 'array' | 'integer' | 'number' | 'string' | 'boolean' | 'object'
+ */
+function typeOf(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * 値がスキーマの型のいずれかに一致するかを判定する
+ * @param {*} value - 値
+ * @param {Array<string>} types - 許される型
+ * @returns {boolean} - 一致する場合true
+ */
+function matchesType(value, types) {
+  const actual = typeOf(value);
+  return types.includes(actual) || (actual === 'integer' && types.includes('number'));
+}
+
+/**
+ * 日付らしい文字列を YYYY-MM-DD に変換する
+ * @param {string} value - 文字列
+ * @returns {string|null} - YYYY-MM-DD、日付として読めない場合はnull
+ */
+function toIsoDate(value) {
+  const match = String(value).trim().match(/^(\d{4})\s*[-/.年]\s*(\d{1,2})\s*[-/.月]\s*(\d{1,2})\s*日?(?:$|[T\s])/);
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * 値をスキーマの型に合わせて補正する（補正できない場合はそのまま返す）
+ * @param {*} value - 値
+ * @param {Array<string>} types - 許される型
+ * @param {Object} schema - スキーマ
+ * @returns {*} - 補正した値
+ */
+function coerce(value, types, schema) {
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (types.includes('null') && NULL_STRINGS.includes(trimmed.toLowerCase())) return null;
+    if (types.includes('array') && !types.includes('string')) {
+      return trimmed.split(/[,、，]/).map(item => item.trim()).filter(Boolean);
+    }
+    if (!types.includes('string')) {
+      if ((types.includes('integer') || types.includes('number')) && trimmed !== '' && !Number.isNaN(Number(trimmed))) {
+        return Number(trimmed);
+      }
+      if (types.includes('boolean') && ['true', 'false'].includes(trimmed.toLowerCase())) {
+        return trimmed.toLowerCase() === 'true';
+      }
+      return value;
+    }
+    if (schema.format === 'date') {
+      return toIsoDate(trimmed) || trimmed;
+    }
+    return trimmed;
+  }
+
+  if ((typeof value === 'number' || typeof value === 'boolean') && !matchesType(value, types) && types.includes('string')) {
+    return String(value);
+  }
+  if (value === undefined && types.includes('null')) {
+    return null;
+  }
+  if (value !== null && value !== undefined && !Array.isArray(value) && types.includes('array') && !matchesType(value, types)) {
+    return [value];
+  }
+  return value;
+}
+
+/**
+ * スキーマに従って値を補正・検証する
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - 検証する値
+ * @param {string} [path] - エラーメッセージに使う値の位置
+ * @returns {Object} - { value: 補正した値, errors: エラーメッセージの配列 }
+ */
+function validate(schema, value, path = '$') {
+  const errors = [];
+  const types = schema.type ? [].concat(schema.type) : null;
+  let result = types ? coerce(value, types, schema) : value;
+
+  if (types && !matchesType(result, types)) {
+    errors.push(`${path}: ${types.join(' または ')} である必要があります（実際: ${typeOf(result)}）`);
+    return { value: result, errors };
+  }
+  if (result === null || result === undefined) {
+    return { value: result, errors };
+  }
+
+  if (schema.enum && !schema.enum.includes(result)) {
+    errors.push(`${path}: ${schema.enum.map(item => JSON.stringify(item)).join(', ')} のいずれかである必要があります`);
+  }
+
+  if (typeof result === 'string') {
+    if (schema.minLength !== undefined && result.length < schema.minLength) {
+      errors.push(schema.minLength === 1 ? `${path}: 空にできません` : `${path}: ${schema.minLength}文字以上である必要があります`);
+    }
+    if (schema.maxLength !== undefined && result.length > schema.maxLength) {
+      errors.push(`${path}: ${schema.maxLength}文字以内である必要があります`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(result)) {
+      errors.push(`${path}: 形式が正しくありません（${schema.pattern}）`);
+    }
+    if (schema.format === 'date' && !toIsoDate(result)) {
+      errors.push(`${path}: YYYY-MM-DD 形式の日付である必要があります（実際: ${JSON.stringify(result)}）`);
+    }
+  }
+
+  if (Array.isArray(result)) {
+    if (schema.minItems !== undefined && result.length < schema.minItems) {
+      errors.push(`${path}: ${schema.minItems}件以上必要です`);
+    }
+    if (schema.maxItems !== undefined && result.length > schema.maxItems) {
+      errors.push(`${path}: ${schema.maxItems}件以内である必要があります`);
+    }
+    if (schema.items) {
+      result = result.map((item, index) => {
+        const checked = validate(schema.items, item, `${path}[${index}]`);
+        errors.push(...checked.errors);
+        return checked.value;
+      });
+    }
+  }
+
+  if (typeOf(result) === 'object' && schema.properties) {
+    const object = {};
+    for (const name of schema.required || []) {
+      if (result[name] === undefined) {
+        errors.push(`${path}.${name}: 必須の項目がありません`);
+      }
+    }
+    for (const [name, propertyValue] of Object.entries(result)) {
+      const propertySchema = schema.properties[name];
+      if (!propertySchema) {
+        // 余分な項目は捨てる（additionalProperties: false でもエラーにはしない）
+        if (schema.additionalProperties !== false) object[name] = propertyValue;
+        continue;
+      }
+      const checked = validate(propertySchema, propertyValue, `${path}.${name}`);
+      errors.push(...checked.errors);
+      object[name] = checked.value;
+    }
+    result = object;
+  }
+
+  return { value: result, errors };
+}
+
+/**
+ * LLMの応答テキストからJSONを取り出して解析する
+ * コードブロック（```json）や前後の説明文が付いていても、最初のJSONの値を読み取る
+ * @param {string} text - 応答テキスト
+ * @returns {*} - 解析した値
+ * @throws {SyntaxError} - JSONとして読み取れない場合
+ */
+function parseJsonText(text) {
+  const source = String(text || '').replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, '').trim();
+  try {
+    return JSON.parse(source);
+  } catch (error) {
+    // 前後に文章がある場合は、最初の { または [ から対応する閉じ括弧までを読む
+    const start = source.search(/[{[]/);
+    if (start !== -1) {
+      const close = source[start] === '{' ? '}' : ']';
+      for (let end = source.lastIndexOf(close); end > start; end = source.lastIndexOf(close, end - 1)) {
+        try {
+          return JSON.parse(source.slice(start, end + 1));
+        } catch (innerError) {
+          // より短い範囲で再度試す
+        }
+      }
+    }
+    throw new SyntaxError(`応答をJSONとして解析できませんでした: ${error.message}`);
+  }
+}
+
+module.exports = {
+  validate,
+  parseJsonText,
+  toIsoDate
+};
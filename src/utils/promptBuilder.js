@@ -0,0 +1,169 @@
+/**
+ * トークン数の上限に収まるプロンプトの組み立て
+ * - 文章のトークン数の見積もり（日本語を含む）
+ * - 優先度の高いセクションから順に、上限に収まるだけの項目を残す
+ *
+ * トークン数の見積もり
+ * トークナイザーはモデルごとに異なるため、多めに見積もる概算とする
+ * 英数字・記号は約4文字で1トークン、かなは1文字で1トークン、漢字は1文字で1.5トークン、それ以外（絵文字など）は1文字で2トークン
+ */
+
+// 1メッセージあたりの役割・区切りのトークン数
+const MESSAGE_OVERHEAD = 4;
+
+// 見積もりの誤差に備えて、コンテキスト長のうち使わずに残す割合
+const SAFETY_RATIO = 0.05;
+
+// 切り詰めて残す場合の最小トークン数（これより短くなる場合は項目ごと省く）
+const MIN_TRUNCATED_TOKENS = 32;
+
+const KANA_PATTERN = /[\u3040-\u30ff\u31f0-\u31ff\uff66-\uff9f]/;
+const KANJI_PATTERN = /[\u3400-\u9fff\uf900-\ufaff\u3005\u3006]/;
+// 全角の記号・英数字
+const FULLWIDTH_PATTERN = /[\u3000-\u303f\uff01-\uff65]/;
+
+/**
+ * 1文字のトークン数の見積もり
+ * @param {string} char - 1文字（サロゲートペアを含む）
+ * @returns {number} - トークン数
+ */
+function charTokens(char) {
+  if (char.charCodeAt(0) < 0x80) return 0.25;
+  if (KANA_PATTERN.test(char)) return 1;
+  if (KANJI_PATTERN.test(char)) return 1.5;
+  if (FULLWIDTH_PATTERN.test(char)) return 1;
+  return 2;
+}
+
+/**
+ * 文章のトークン数を見積もる
+ * @param {string} text - 文章
+ * @returns {number} - トークン数
+ */
+function estimateTokens(text) {
+  let tokens = 0;
+  for (const char of String(text || '')) {
+    tokens += charTokens(char);
+  }
+  return Math.ceil(tokens);
+}
+
+/**
+ * チャットのメッセージの配列のトークン数を見積もる
+ * @param {Array<Object>} messages - [{ role, content }]
+ * @returns {number} - トークン数
+ */
+function estimateMessagesTokens(messages) {
+  return messages.reduce((sum, message) => sum + MESSAGE_OVERHEAD + estimateTokens(message.content), 0);
+}
+
+/**
+ * 文章を見積もりのトークン数に収まるように切り詰める
+ * @param {string} text - 文章
+ * @param {number} maxTokens - 最大トークン数
+ * @returns {string} - 切り詰めた文章（収まる場合はそのまま、切り詰めた場合は末尾に「…」）
+ */
+function truncateToTokens(text, maxTokens) {
+  const value = String(text || '');
+  if (estimateTokens(value) <= maxTokens) return value;
+
+  let tokens = charTokens('…');
+  let end = 0;
+  for (const char of value) {
+    tokens += charTokens(char);
+    if (tokens > maxTokens) break;
+    end += char.length;
+  }
+  return `${value.slice(0, end)}…`;
+}
+
+/**
+ * プロンプトに使えるトークン数を求める
+ * @param {number} contextWindow - モデルのコンテキスト長
+ * @param {number} maxTokens - 生成に残すトークン数（コンテキスト長の半分を上限とする）
+ * @returns {number} - プロンプトに使えるトークン数
+ */
+function getPromptBudget(contextWindow, maxTokens) {
+  const reserved = Math.min(maxTokens, Math.floor(contextWindow / 2));
+  return Math.floor(contextWindow * (1 - SAFETY_RATIO)) - reserved;
+}
+
+// 項目の文章（文字列、または { content } を持つメッセージ）
+const itemText = item => (typeof item === 'string' ? item : item.content);
+const withText = (item, text) => (typeof item === 'string' ? text : { ...item, content: text });
+
+/**
+ * セクションを優先度の順に、上限のトークン数に収まるだけ残す
+ * 必須のセクションを先に入れ、残りを priority の小さい順に入れる。収まらない項目以降はそのセクションから省く
+ * @param {Array<Object>} sections - セクションの配列
+ * @param {string} sections[].name - セクション名
+ * @param {Array<string|Object>} sections[].items - 項目（文字列、または { content } を持つメッセージ）
+ * @param {number} [sections[].priority] - 優先度（小さいほど優先、既定: 0）
+ * @param {boolean} [sections[].required] - 必須か（収まらない場合も省かず、切り詰めて残す）
+ * @param {string} [sections[].keep] - 残す側（first: 先頭から / last: 末尾から、既定: first）
+ * @param {number} [sections[].overhead] - 項目を1つでも残す場合に加わるトークン数（見出しなど）
+ * @param {number} [sections[].itemOverhead] - 項目ごとに加わるトークン数（区切りやメッセージの役割など）
+ * @param {number} [sections[].maxItemTokens] - 1項目の最大トークン数（長い項目は切り詰める）
+ * @param {boolean} [sections[].truncate] - 最初の項目が収まらない場合に切り詰めて残すか
+ * @param {number} budget - 上限のトークン数
+ * @returns {Object} - { sections: { [name]: { items: 残した項目（元の順）, omitted: 省いた項目数 } }, usedTokens }
+ */
+function fitSections(sections, budget) {
+  const ordered = [...sections].sort((a, b) =>
+    (Number(Boolean(b.required)) - Number(Boolean(a.required))) || ((a.priority || 0) - (b.priority || 0)));
+
+  let remaining = budget;
+  const result = {};
+
+  for (const section of ordered) {
+    const { name, items, required = false, keep = 'first', overhead = 0, itemOverhead = 0, maxItemTokens = null, truncate = false } = section;
+    const candidates = keep === 'last' ? [...items].reverse() : [...items];
+    const kept = [];
+    let used = overhead;
+
+    for (const item of candidates) {
+      let text = itemText(item);
+      if (maxItemTokens) text = truncateToTokens(text, maxItemTokens);
+
+      const cost = estimateTokens(text) + itemOverhead;
+      if (used + cost <= remaining) {
+        kept.push(withText(item, text));
+        used += cost;
+        continue;
+      }
+
+      // 収まらない項目は、必須のセクションの場合はすべて、それ以外は最初の項目の場合のみ切り詰めて残す
+      const available = remaining - used - itemOverhead;
+      if (required) {
+        const truncated = truncateToTokens(text, Math.max(available, MIN_TRUNCATED_TOKENS));
+        kept.push(withText(item, truncated));
+        used += estimateTokens(truncated) + itemOverhead;
+        continue;
+      }
+      if (truncate && kept.length === 0 && available >= MIN_TRUNCATED_TOKENS) {
+        const truncated = truncateToTokens(text, available);
+        kept.push(withText(item, truncated));
+        used += estimateTokens(truncated) + itemOverhead;
+      }
+      break;
+    }
+
+    if (kept.length === 0 && !required) used = 0;
+    remaining -= used;
+    result[name] = {
+      items: keep === 'last' ? kept.reverse() : kept,
+      omitted: items.length - kept.length
+    };
+  }
+
+  return { sections: result, usedTokens: budget - remaining };
+}
+
+module.exports = {
+  MESSAGE_OVERHEAD,
+  estimateTokens,
+  estimateMessagesTokens,
+  truncateToTokens,
+  getPromptBudget,
+  fitSections
+};
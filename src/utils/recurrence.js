@@ -0,0 +1,280 @@
+const { addDays, getWeekday, toHalfWidth } = require('./helpers');
+
+// RRULE の曜日 ⇔ getUTCDay() の値
+const RRULE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// 曜日の漢字 → getUTCDay() の値
+const WEEKDAYS = { 日: 0, 月: 1, 火: 2, 水: 3, 木: 4, 金: 5, 土: 6 };
+const WEEKDAY_NAMES = Object.keys(WEEKDAYS);
+
+// 対応する頻度（RRULE の FREQ）
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+/**
+ * 月曜始まりで数えた曜日の順番を求める
+ * @param {number} weekday - getUTCDay() の値
+ * @returns {number} - 0（月）〜6（日）
+ */
+function mondayIndex(weekday) {
+  return (weekday + 6) % 7;
+}
+
+/**
+ * 月の日数を求める
+ * @param {number} year - 年
+ * @param {number} month - 月（1〜12）
+ * @returns {number} - 日数
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * RRULE形式の文字列を解釈する
+ * 対応するのは FREQ（DAILY / WEEKLY / MONTHLY）、INTERVAL、BYDAY（曜日のみ）、BYMONTHDAY（-1 で月末）
+ * @param {string} text - RRULE（例: FREQ=WEEKLY;BYDAY=FR、先頭の RRULE: は省略可）
+ * @returns {Object|null} - { freq, interval, byDay, byMonthDay }、解釈できない場合はnull
+ */
+function parseRRule(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const parts = Object.fromEntries(
+    text.trim().replace(/^RRULE:/i, '').split(';')
+      .filter(Boolean)
+      .map(part => part.split('=').map(value => value.trim().toUpperCase()))
+  );
+
+  if (!FREQUENCIES.includes(parts.FREQ)) return null;
+
+  const interval = parts.INTERVAL ? parseInt(parts.INTERVAL, 10) : 1;
+  if (!Number.isInteger(interval) || interval < 1 || interval > 365) return null;
+
+  const byDay = parts.BYDAY ? parts.BYDAY.split(',').map(day => RRULE_WEEKDAYS.indexOf(day)) : [];
+  if (byDay.includes(-1)) return null;
+
+  const byMonthDay = parts.BYMONTHDAY ? parts.BYMONTHDAY.split(',').map(day => parseInt(day, 10)) : [];
+  if (byMonthDay.some(day => !Number.isInteger(day) || day === 0 || day < -1 || day > 31)) return null;
+
+  return {
+    freq: parts.FREQ,
+    interval,
+    byDay: [...new Set(byDay)].sort((a, b) => mondayIndex(a) - mondayIndex(b)),
+    byMonthDay: [...new Set(byMonthDay)].sort((a, b) => (a === -1 ? 32 : a) - (b === -1 ? 32 : b))
+  };
+}
+
+/**
+ * 繰り返しの規則をRRULE形式の文字列にする
+ * @param {Object} rule - parseRRule() の戻り値
+ * @returns {string} - RRULE（例: FREQ=WEEKLY;BYDAY=FR）
+ */
+function toRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length > 0) parts.push(`BYDAY=${rule.byDay.map(day => RRULE_WEEKDAYS[day]).join(',')}`);
+  if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  return parts.join(';');
+}
+
+/**
+ * 指定した月に該当する日付（BYMONTHDAY）を昇順で求める
+ * @param {Object} rule - 繰り返しの規則
+ * @param {number} year - 年
+ * @param {number} month - 月（1〜12）
+ * @param {number} fallbackDay - BYMONTHDAY がない場合の日
+ * @returns {Array<number>} - 日の配列（その月に存在しない日は除く）
+ */
+function monthDaysOf(rule, year, month, fallbackDay) {
+  const lastDay = daysInMonth(year, month);
+  const days = rule.byMonthDay.length > 0 ? rule.byMonthDay : [fallbackDay];
+  return [...new Set(days.map(day => (day === -1 ? lastDay : day)))]
+    .filter(day => day <= lastDay)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * 日付が繰り返しの規則に該当するかを判定する（INTERVAL は考慮しない）
+ * @param {Object} rule - 繰り返しの規則
+ * @param {string} date - YYYY-MM-DD 形式の日付
+ * @returns {boolean} - 該当する場合true
+ */
+function matchesRule(rule, date) {
+  if (rule.freq === 'WEEKLY' && rule.byDay.length > 0) {
+    return rule.byDay.includes(getWeekday(date));
+  }
+  if (rule.freq === 'MONTHLY' && rule.byMonthDay.length > 0) {
+    const [year, month, day] = date.split('-').map(Number);
+    return monthDaysOf(rule, year, month, day).includes(day);
+  }
+  return rule.freq === 'DAILY';
+}
+
+/**
+ * 前回の日付から、繰り返しの次の日付を求める
+ * INTERVAL は前回の日付を起点に数える（隔週なら前回の週の2週間後）
+ * @param {Object} rule - 繰り返しの規則
+ * @param {string} from - 前回の日付（YYYY-MM-DD）
+ * @returns {string} - 次の日付（YYYY-MM-DD、from より後）
+ */
+function getNextDate(rule, from) {
+  if (rule.freq === 'DAILY') {
+    return addDays(from, rule.interval);
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const days = rule.byDay.length > 0 ? rule.byDay : [getWeekday(from)];
+    const current = mondayIndex(getWeekday(from));
+    const laterThisWeek = days.find(day => mondayIndex(day) > current);
+    if (laterThisWeek !== undefined) {
+      return addDays(from, mondayIndex(laterThisWeek) - current);
+    }
+    const monday = addDays(from, -current + 7 * rule.interval);
+    return addDays(monday, mondayIndex(days[0]));
+  }
+
+  // MONTHLY: 同じ月の残りの該当日、なければ INTERVAL か月後の最初の該当日
+  const [year, month, day] = from.split('-').map(Number);
+  const laterThisMonth = monthDaysOf(rule, year, month, day).find(candidate => candidate > day);
+  if (laterThisMonth !== undefined) {
+    return `${from.slice(0, 8)}${String(laterThisMonth).padStart(2, '0')}`;
+  }
+
+  // 31日のように存在しない月は飛ばす（RRULE と同じ扱い）
+  for (let step = 1; step <= 24; step++) {
+    const target = new Date(Date.UTC(year, month - 1 + rule.interval * step, 1));
+    const targetYear = target.getUTCFullYear();
+    const targetMonth = target.getUTCMonth() + 1;
+    const [first] = monthDaysOf(rule, targetYear, targetMonth, day);
+    if (first !== undefined) {
+      return `${targetYear}-${String(targetMonth).padStart(2, '0')}-${String(first).padStart(2, '0')}`;
+    }
+  }
+
+  throw new Error(`次の日付を求められませんでした: ${toRRule(rule)}`);
+}
+
+/**
+ * 指定日以降で最初に該当する日付を求める（繰り返しの初回の日付）
+ * @param {Object} rule - 繰り返しの規則
+ * @param {string} date - 基準日（YYYY-MM-DD）
+ * @returns {string} - 基準日以降の最初の該当日
+ */
+function getFirstDate(rule, date) {
+  return matchesRule(rule, date) ? date : getNextDate({ ...rule, interval: 1 }, date);
+}
+
+/**
+ * 繰り返しの規則を表示用の文字列にする
+ * @param {Object} rule - 繰り返しの規則
+ * @returns {string} - 表示用の文字列（例: 毎週金曜、隔週月・水曜、毎月25日、3日ごと）
+ */
+function describeRRule(rule) {
+  if (rule.freq === 'DAILY') {
+    return rule.interval > 1 ? `${rule.interval}日ごと` : '毎日';
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const prefix = rule.interval === 1 ? '毎週' : rule.interval === 2 ? '隔週' : `${rule.interval}週間ごとの`;
+    if (rule.byDay.length === 5 && rule.byDay.every(day => day >= 1 && day <= 5) && rule.interval === 1) {
+      return '平日';
+    }
+    const days = rule.byDay.map(day => WEEKDAY_NAMES[day]).join('・');
+    return days ? `${prefix}${days}曜` : prefix.replace(/の$/, '');
+  }
+
+  const prefix = rule.interval === 1 ? '毎月' : `${rule.interval}か月ごとの`;
+  const days = rule.byMonthDay.map(day => (day === -1 ? '末' : `${day}日`)).join('・');
+  return days ? `${prefix}${days}` : prefix.replace(/の$/, '');
+}
+
+/**
+ * テキストから繰り返しの表現（毎日・平日・毎週金曜・毎週月水金・隔週月曜と木曜・毎月25日・毎月末・3日ごと）を取り出す
+ * @param {string} text - 解析するテキスト
+ * @returns {Object|null} - { rule, rrule, text, index }、見つからない場合（曜日の並びを解釈できない場合も）はnull
+ */
+function extractRecurrence(text) {
+  const source = toHalfWidth(text);
+  // 「月・水・金曜」のように最後の曜日には「曜」が必要（「毎週日報」を日曜と読まないため）
+  // 「月水金」「土日」のように区切りのない曜日の並びは、「曜」が続くか、空白・数字（時刻）・句読点・文末の前のみ曜日とみなす
+  const weekdayList = '((?:[日月火水木金土](?:曜日?)?\\s*(?:と|・|、|,)\\s*)*(?:[日月火水木金土]曜日?|[日月火水木金土]{2,7}(?:曜日?|(?=[\\s\\d、。,.!?]|$))))';
+  const weeklyPrefix = '(毎週|隔週|(\\d+)週間?(?:ごと|毎)の?)\\s*';
+  const patterns = [
+    {
+      pattern: new RegExp(`${weeklyPrefix}${weekdayList}`),
+      build: match => ({
+        freq: 'WEEKLY',
+        interval: match[1] === '毎週' ? 1 : match[1] === '隔週' ? 2 : parseInt(match[2], 10),
+        byDay: [...match[3].replace(/曜日?/g, '').matchAll(/[日月火水木金土]/g)].map(day => WEEKDAYS[day[0]])
+      })
+    },
+    {
+      // 「毎週月水金に」のように曜日として読めない並びは、曜日を落として「毎週」にしないよう解釈しない
+      pattern: new RegExp(`${weeklyPrefix}[日月火水木金土]{2}`),
+      build: null
+    },
+    {
+      pattern: /毎月\s*(末|(\d{1,2})日)/,
+      build: match => ({ freq: 'MONTHLY', byMonthDay: [match[2] ? parseInt(match[2], 10) : -1] })
+    },
+    {
+      pattern: /(毎)?平日/,
+      build: () => ({ freq: 'WEEKLY', byDay: [1, 2, 3, 4, 5] })
+    },
+    {
+      // 「N日おき」は間にN日空けるので N+1日ごと
+      pattern: /(\d+)日(ごと|毎|おき)/,
+      build: match => ({ freq: 'DAILY', interval: parseInt(match[1], 10) + (match[2] === 'おき' ? 1 : 0) })
+    },
+    {
+      pattern: /(\d+)週間?(ごと|毎|おき)/,
+      build: match => ({ freq: 'WEEKLY', interval: parseInt(match[1], 10) + (match[2] === 'おき' ? 1 : 0) })
+    },
+    {
+      pattern: /毎週/,
+      build: () => ({ freq: 'WEEKLY' })
+    },
+    {
+      pattern: /毎月/,
+      build: () => ({ freq: 'MONTHLY' })
+    },
+    {
+      pattern: /毎日|毎朝|毎晩/,
+      build: () => ({ freq: 'DAILY' })
+    }
+  ];
+
+  for (const { pattern, build } of patterns) {
+    const match = source.match(pattern);
+    if (!match) continue;
+    if (!build) return null;
+
+    const rule = parseRRule(toRRule({ interval: 1, byDay: [], byMonthDay: [], ...build(match) }));
+    if (!rule) continue;
+    return { rule, rrule: toRRule(rule), text: text.slice(match.index, match.index + match[0].length), index: match.index };
+  }
+
+  return null;
+}
+
+/**
+ * 繰り返しの入力（日本語の表現、またはRRULE）を解釈する
+ * @param {string} input - 入力文字列（例: 毎週金曜、FREQ=MONTHLY;BYMONTHDAY=25）
+ * @returns {Object|null} - 繰り返しの規則、解釈できない場合はnull
+ */
+function parseRecurrenceInput(input) {
+  if (!input) return null;
+  if (/FREQ=/i.test(input)) return parseRRule(input);
+  const extracted = extractRecurrence(input);
+  return extracted ? extracted.rule : null;
+}
+
+module.exports = {
+  parseRRule,
+  toRRule,
+  matchesRule,
+  getNextDate,
+  getFirstDate,
+  describeRRule,
+  extractRecurrence,
+  parseRecurrenceInput
+};
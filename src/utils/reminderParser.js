@@ -0,0 +1,107 @@
+const { getLocalDateTime, addDays, zonedTimeToUtc, toHalfWidth, extractDates } = require('./helpers');
+const { parseRRule, getFirstDate, getNextDate, describeRRule, extractRecurrence } = require('./recurrence');
+
+// 日付だけ指定された場合の通知時刻
+const DEFAULT_REMINDER_TIME = '09:00';
+
+/**
+ * 繰り返しの次の通知時刻を求める
+ * @param {Object} recurrence - { rrule: RRULE形式の繰り返し, time: 'HH:MM' }
+ * @param {Date} after - この時刻より後の最初の通知時刻を求める
+ * @param {string} timezone - IANAタイムゾーン名
+ * @returns {Date} - 次の通知時刻
+ */
+function getNextOccurrence(recurrence, after, timezone) {
+  const rule = parseRRule(recurrence.rrule);
+  if (!rule) {
+    throw new Error(`繰り返しの指定を解釈できませんでした: ${recurrence.rrule}`);
+  }
+
+  // 今日以降の最初の該当日から順に、通知時刻が after より後になる日を探す
+  let date = getFirstDate(rule, getLocalDateTime(after, timezone).date);
+  for (let i = 0; i < 400; i++, date = getNextDate(rule, date)) {
+    const candidate = zonedTimeToUtc(date, recurrence.time, timezone);
+    if (candidate > after) return candidate;
+  }
+
+  throw new Error(`次の通知時刻を求められませんでした: ${recurrence.rrule}`);
+}
+
+/**
+ * 繰り返しの指定を表示用の文字列にする
+ * @param {Object} recurrence - { rrule, time }
+ * @returns {string} - 表示用の文字列（例: 毎週月曜 09:00）
+ */
+function describeRecurrence(recurrence) {
+  const rule = parseRRule(recurrence.rrule);
+  return `${rule ? describeRRule(rule) : recurrence.rrule} ${recurrence.time}`;
+}
+
+/**
+ * 通知時刻の指定を取り除いて、通知する内容を取り出す
+ * @param {string} text - 半角に変換済みの文字列
+ * @param {Array<string>} spans - 時刻の指定として解釈した部分
+ * @returns {string} - 通知する内容
+ */
+function extractReminderMessage(text, spans) {
+  // 時刻の指定を目印に置き換え、その直後の助詞（明日「の」15時「に」）も一緒に取り除く
+  let message = text;
+  for (const span of spans) {
+    message = message.replace(span, '\u0000');
+  }
+
+  return message
+    .replace(/\u0000[\s、,]*(?:(?:の|に|で|は|まで)[\s、,]*)?/g, ' ')
+    // 「〜に通知して」「〜ってリマインドして」などの依頼の部分
+    .replace(/(って|と|を|で|に)?\s*(通知|リマインド|お知らせ|知らせ|教え|思い出させ)(して|て)?(ください|下さい|くれ|ね)?[。!！\s]*$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * 自然文のリマインダー依頼（「30分後に通知して」「明日の15時に会議」「毎週月曜9時にゴミ出し」）を解釈する
+ * @param {string} text - 入力文字列
+ * @param {Object} options - オプション
+ * @param {string} [options.timezone] - ユーザーのタイムゾーン
+ * @param {Date} [options.now] - 基準となる現在時刻
+ * @returns {Object|null} - { remindAt: Date, recurrence, message }、時刻を読み取れない場合はnull
+ */
+function parseReminder(text, options = {}) {
+  const { timezone = 'Asia/Tokyo', now = new Date() } = options;
+  const normalized = toHalfWidth(text);
+
+  const repeat = extractRecurrence(normalized);
+  if (repeat) {
+    // 繰り返しの指定を空白に置き換えた残りから時刻を読み取る（位置がずれないよう同じ文字数にする）
+    const rest = normalized.replace(repeat.text, ' '.repeat(repeat.text.length));
+    const timed = extractDates(rest, { timezone, now }).find(result => result.time);
+    const recurrence = { rrule: repeat.rrule, time: timed ? timed.time : DEFAULT_REMINDER_TIME };
+    return {
+      remindAt: getNextOccurrence(recurrence, now, timezone),
+      recurrence,
+      message: extractReminderMessage(normalized, [repeat.text, timed && timed.text].filter(Boolean))
+    };
+  }
+
+  const [result] = extractDates(normalized, { timezone, now });
+  if (!result) return null;
+
+  const time = result.time || DEFAULT_REMINDER_TIME;
+  let remindAt = zonedTimeToUtc(result.date, time, timezone);
+  // 「金曜に」のように曜日だけの指定で、今日の通知時刻を既に過ぎている場合は翌週にする
+  if (remindAt <= now && result.kind === 'weekday') {
+    remindAt = zonedTimeToUtc(addDays(result.date, 7), time, timezone);
+  }
+
+  return {
+    remindAt,
+    recurrence: null,
+    message: extractReminderMessage(normalized, [result.text])
+  };
+}
+
+module.exports = {
+  parseReminder,
+  getNextOccurrence,
+  describeRecurrence
+};
@@ -0,0 +1,181 @@
+/**
+ * 文章のベクトルの計算
+ * - 外部APIを使わずに文章をベクトル化するための、ハッシュ化したTF-IDF（疎ベクトル）
+ * - 埋め込みAPIが返す密ベクトルのコサイン類似度と、SQLiteのBLOBとの変換
+ *
+ * TF-IDFの語の区切り
+ * 日本語は単語の区切りがないため、漢字・カタカナの連続は2文字ずつ（bigram、1文字だけの場合はその1文字）、英数字は単語ごとに区切る
+ * ひらがなは助詞・語尾がほとんどで、関係のない文章どうしを似ているとみなしてしまうため語にしない
+ * 語はハッシュで位置に割り当て、文章ごとの頻度（1 + log tf）を値にする。IDF（語の珍しさ）は比較する文章の集合から求める
+ */
+
+// 語を割り当てる位置の数（衝突がほぼ起きないよう大きくし、値のある位置だけを保存する）
+const HASH_SPACE = 1 << 20;
+
+// 漢字の連続、カタカナの連続、英数字の連続
+const CJK_PATTERN = /[\u3400-\u9fff\uf900-\ufaff\u3005\u3006]+|[\u30a1-\u30ff]+/g;
+const WORD_PATTERN = /[a-z0-9][a-z0-9_\-.]*/g;
+
+/**
+ * 文章を語に区切る
+ * @param {string} text - 文章
+ * @returns {Array<string>} - 語の配列
+ */
+function tokenize(text) {
+  const normalized = String(text || '').normalize('NFKC').toLowerCase();
+  const tokens = [];
+
+  for (const run of normalized.match(CJK_PATTERN) || []) {
+    const chars = [...run];
+    if (chars.length === 1) {
+      tokens.push(run);
+      continue;
+    }
+    for (let i = 0; i < chars.length - 1; i++) {
+      tokens.push(chars[i] + chars[i + 1]);
+    }
+  }
+  for (const word of normalized.match(WORD_PATTERN) || []) {
+    if (word.length >= 2) tokens.push(word);
+  }
+  return tokens;
+}
+
+/**
+ * 語を位置に割り当てる（FNV-1a ハッシュ）
+ * @param {string} token - 語
+ * @returns {number} - 位置
+ */
+function hashToken(token) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < token.length; i++) {
+    hash ^= token.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) % HASH_SPACE;
+}
+
+/**
+ * 文章を語の頻度の疎ベクトルにする
+ * @param {string} text - 文章
+ * @returns {Object} - { indices: 位置（昇順）, values: 1 + log(頻度) }
+ */
+function termFrequencyVector(text) {
+  const counts = new Map();
+  for (const token of tokenize(text)) {
+    const index = hashToken(token);
+    counts.set(index, (counts.get(index) || 0) + 1);
+  }
+
+  const indices = Uint32Array.from([...counts.keys()].sort((a, b) => a - b));
+  const values = Float32Array.from(indices, index => 1 + Math.log(counts.get(index)));
+  return { indices, values };
+}
+
+/**
+ * 文章の集合をもとに、TF-IDFで重み付けしたコサイン類似度を求める
+ * @param {Object} query - 比較する文章の疎ベクトル
+ * @param {Array<Object>} documents - 文章の集合の疎ベクトル（IDFもこの集合から求める）
+ * @returns {Array<number>} - documents と同じ順の類似度（0〜1）
+ */
+function tfIdfSimilarities(query, documents) {
+  const documentFrequency = new Map();
+  for (const document of documents) {
+    for (const index of document.indices) {
+      documentFrequency.set(index, (documentFrequency.get(index) || 0) + 1);
+    }
+  }
+  const idf = index => Math.log((documents.length + 1) / ((documentFrequency.get(index) || 0) + 1)) + 1;
+
+  const weightedQuery = new Map();
+  let queryNorm = 0;
+  query.indices.forEach((index, i) => {
+    const weight = query.values[i] * idf(index);
+    weightedQuery.set(index, weight);
+    queryNorm += weight * weight;
+  });
+  if (queryNorm === 0) return documents.map(() => 0);
+
+  return documents.map(document => {
+    let dot = 0;
+    let norm = 0;
+    document.indices.forEach((index, i) => {
+      const weight = document.values[i] * idf(index);
+      norm += weight * weight;
+      if (weightedQuery.has(index)) dot += weight * weightedQuery.get(index);
+    });
+    return norm === 0 ? 0 : dot / Math.sqrt(queryNorm * norm);
+  });
+}
+
+/**
+ * 疎ベクトルをSQLiteのBLOBに保存する形式にする
+ * @param {Object} vector - { indices, values }
+ * @returns {Buffer} - 位置（uint32）の並びと値（float32）の並び
+ */
+function sparseToBuffer(vector) {
+  return Buffer.concat([Buffer.from(vector.indices.buffer), Buffer.from(vector.values.buffer)]);
+}
+
+/**
+ * SQLiteのBLOBから疎ベクトルを読み込む
+ * @param {Buffer} buffer - sparseToBuffer() の形式
+ * @returns {Object} - { indices, values }
+ */
+function sparseFromBuffer(buffer) {
+  const copy = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+  const length = buffer.byteLength / 8;
+  return {
+    indices: new Uint32Array(copy, 0, length),
+    values: new Float32Array(copy, length * 4, length)
+  };
+}
+
+/**
+ * 密ベクトルのコサイン類似度を求める
+ * @param {ArrayLike<number>} a - ベクトル
+ * @param {ArrayLike<number>} b - ベクトル
+ * @returns {number} - 類似度（-1〜1、次元が異なる・零ベクトルの場合は0）
+ */
+function cosineSimilarity(a, b) {
+  if (a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+}
+
+/**
+ * 密ベクトルをSQLiteのBLOBに保存する形式にする
+ * @param {ArrayLike<number>} vector - ベクトル
+ * @returns {Buffer} - float32の並び
+ */
+function denseToBuffer(vector) {
+  return Buffer.from(Float32Array.from(vector).buffer);
+}
+
+/**
+ * SQLiteのBLOBから密ベクトルを読み込む
+ * @param {Buffer} buffer - float32の並び
+ * @returns {Float32Array} - ベクトル
+ */
+function denseFromBuffer(buffer) {
+  return new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+}
+
+module.exports = {
+  tokenize,
+  termFrequencyVector,
+  tfIdfSimilarities,
+  sparseToBuffer,
+  sparseFromBuffer,
+  cosineSimilarity,
+  denseToBuffer,
+  denseFromBuffer
+};
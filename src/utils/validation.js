@@ -0,0 +1,141 @@
+const { toIsoDate } = require('./jsonSchema');
+
+/**
+ * 更新内容の検証に失敗したことを表すエラー（ユーザーにそのまま表示できるメッセージを持つ）
+ */
+class ValidationError extends Error {
+  /**
+   * @param {string} message - エラーメッセージ
+   * @param {Object} details - 詳細情報
+   * @param {string} [details.field] - 問題のある項目
+   */
+  constructor(message, { field = null } = {}) {
+    super(message);
+    this.name = 'ValidationError';
+    this.field = field;
+  }
+}
+
+/**
+ * 文字列の項目の検証関数を作る
+ * @param {string} label - 表示用の項目名
+ * @param {Object} options - オプション
+ * @param {number} [options.maxLength] - 最大文字数
+ * @param {boolean} [options.required] - 空を許さないか
+ * @param {boolean} [options.nullable] - 空の場合にnullにするか（falseの場合は空文字）
+ * @returns {Function} - (value) => 正規化した値
+ */
+function text(label, { maxLength = 2000, required = false, nullable = false } = {}) {
+  return value => {
+    if (value !== null && value !== undefined && typeof value !== 'string' && typeof value !== 'number') {
+      throw new ValidationError(`${label}は文字列で指定してください`);
+    }
+    const normalized = value === null || value === undefined ? '' : String(value).trim();
+    if (required && !normalized) {
+      throw new ValidationError(`${label}を空にはできません`);
+    }
+    if (normalized.length > maxLength) {
+      throw new ValidationError(`${label}は${maxLength}文字以内で指定してください`);
+    }
+    return normalized || (nullable ? null : '');
+  };
+}
+
+/**
+ * 選択肢から選ぶ項目の検証関数を作る
+ * @param {string} label - 表示用の項目名
+ * @param {Array<string>} choices - 選択肢
+ * @returns {Function} - (value) => 値
+ */
+function oneOf(label, choices) {
+  return value => {
+    if (!choices.includes(value)) {
+      throw new ValidationError(`${label}は ${choices.join(' / ')} のいずれかで指定してください`);
+    }
+    return value;
+  };
+}
+
+/**
+ * 期限（YYYY-MM-DD または YYYY-MM-DD HH:MM、nullで期限なし）の検証関数
+ * @param {*} value - 値
+ * @returns {string|null} - 正規化した期限
+ */
+function dueDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const match = typeof value === 'string' && value.trim().match(/^(\S+?)(?:[T\s](\d{1,2}):(\d{2})(?::\d{2})?)?$/);
+  const date = match && toIsoDate(match[1]);
+  if (!date) {
+    throw new ValidationError('期限は YYYY-MM-DD または YYYY-MM-DD HH:MM 形式で指定してください');
+  }
+  if (!match[2]) return date;
+
+  const hour = parseInt(match[2], 10);
+  const minute = parseInt(match[3], 10);
+  if (hour > 23 || minute > 59) {
+    throw new ValidationError(`期限の時刻 ${match[2]}:${match[3]} が正しくありません`);
+  }
+  return `${date} ${String(hour).padStart(2, '0')}:${match[3]}`;
+}
+
+/**
+ * タグ（配列またはカンマ区切りの文字列）の検証関数
+ * @param {*} value - 値
+ * @returns {string|null} - カンマ区切りの文字列、タグがない場合はnull
+ */
+function tags(value) {
+  if (value === null || value === undefined) return null;
+  const list = Array.isArray(value) ? value : String(value).split(/[,、，]/);
+  const normalized = [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+  if (normalized.length > 20) {
+    throw new ValidationError('タグは20個以内で指定してください');
+  }
+  return normalized.join(',') || null;
+}
+
+/**
+ * 更新内容を項目ごとの検証関数で検証・正規化する
+ * 許可されていない項目が含まれる場合はエラーにする
+ * @param {Object} changes - 更新内容
+ * @param {Object} rules - 項目名 → 検証関数
+ * @returns {Object} - 正規化した更新内容
+ * @throws {ValidationError} - 許可されていない項目、または値が正しくない場合
+ */
+function sanitizeChanges(changes, rules) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw new ValidationError('更新内容はオブジェクトで指定してください');
+  }
+
+  const unknown = Object.keys(changes).filter(field => !Object.prototype.hasOwnProperty.call(rules, field));
+  if (unknown.length > 0) {
+    throw new ValidationError(`更新できない項目です: ${unknown.join(', ')}（更新できる項目: ${Object.keys(rules).join(', ')}）`, {
+      field: unknown[0]
+    });
+  }
+
+  const sanitized = {};
+  for (const [field, value] of Object.entries(changes)) {
+    if (value === undefined) continue;
+    try {
+      sanitized[field] = rules[field](value);
+    } catch (error) {
+      if (error instanceof ValidationError) error.field = field;
+      throw error;
+    }
+  }
+
+  if (Object.keys(sanitized).length === 0) {
+    throw new ValidationError('更新する項目がありません');
+  }
+  return sanitized;
+}
+
+module.exports = {
+  ValidationError,
+  text,
+  oneOf,
+  dueDate,
+  tags,
+  sanitizeChanges
+};